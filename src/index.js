@@ -5,6 +5,7 @@ import dotenv from 'dotenv';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 import authRoutes from './routes/auth.js';
+import twoFactorRoutes from './routes/twoFactor.js';
 import gigRoutes from './routes/gigs.js';
 import userRoutes from './routes/users.js';
 import orderRoutes from './routes/orders.js';
@@ -12,8 +13,15 @@ import messageRoutes from './routes/messages.js';
 import reviewRoutes from './routes/reviews.js';
 import paymentRoutes from './routes/payments.js';
 import uploadRoutes from './routes/upload.js';
-import { errorHandler } from './middleware/errorHandler.js';
+import adminRoutes from './routes/admin.js';
+import earningsRoutes from './routes/earnings.js';
+import collectionRoutes from './routes/collections.js';
+import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
+import { requestId } from './middleware/requestId.js';
 import { setupSocket } from './socket/socketHandler.js';
+import { startJobs, stopJobs } from './jobs/index.js';
+import { runMigrations } from './migrations/index.js';
+import { getGigTracker } from './utils/gigTracking.js';
 
 dotenv.config();
 
@@ -28,19 +36,27 @@ const io = new Server(server, {
 
 const PORT = process.env.PORT || 5000;
 
+// Behind a proxy req.ip should be the client's address (used for login throttling)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware
+app.use(requestId);
 app.use(cors({
   origin: process.env.CLIENT_URL,
   credentials: true
 }));
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Stripe webhook endpoint (must be before express.json())
 app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
 
+app.use(express.json({ limit: '50mb' }));
+app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/gigs', gigRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/orders', orderRoutes);
@@ -48,6 +64,9 @@ app.use('/api/messages', messageRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/earnings', earningsRoutes);
+app.use('/api/collections', collectionRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -55,6 +74,7 @@ app.get('/api/health', (req, res) => {
 });
 
 // Error handling middleware
+app.use('/api', notFoundHandler);
 app.use(errorHandler);
 
 // Setup Socket.IO
@@ -62,12 +82,17 @@ setupSocket(io);
 
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => {
+  .then(async () => {
     console.log('✅ Connected to MongoDB');
+    await runMigrations();
     server.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📱 Socket.IO server ready`);
     });
+
+    startJobs()
+      .then(() => console.log('⏱️  Background jobs started'))
+      .catch((error) => console.error('❌ Failed to start background jobs:', error));
   })
   .catch((error) => {
     console.error('❌ MongoDB connection error:', error);
@@ -77,7 +102,9 @@ mongoose.connect(process.env.MONGODB_URI)
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
-  server.close(() => {
+  server.close(async () => {
+    await stopJobs();
+    await getGigTracker().stop();
     mongoose.connection.close();
     process.exit(0);
   });
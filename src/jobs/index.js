@@ -0,0 +1,15 @@
+import { createScheduler } from './scheduler.js';
+import { registerOrderJobs } from './orderJobs.js';
+import { registerLedgerJobs } from './ledgerJobs.js';
+import { registerOfferJobs } from './offerJobs.js';
+
+export const scheduler = createScheduler();
+
+export const startJobs = async () => {
+  await registerOrderJobs(scheduler);
+  await registerLedgerJobs(scheduler);
+  await registerOfferJobs(scheduler);
+  scheduler.start(Number(process.env.JOB_POLL_INTERVAL_MS) || 30 * 1000);
+};
+
+export const stopJobs = () => scheduler.stop();
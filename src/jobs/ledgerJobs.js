@@ -0,0 +1,9 @@
+import { clearAvailableFunds } from '../utils/ledger.js';
+
+export const CLEAR_FUNDS_JOB = 'ledger:clear-funds';
+
+export const registerLedgerJobs = async (scheduler) => {
+  scheduler.define(CLEAR_FUNDS_JOB, (data, { now }) => clearAvailableFunds({ now }));
+
+  await scheduler.every(CLEAR_FUNDS_JOB, 60 * 60 * 1000);
+};
@@ -0,0 +1,31 @@
+import Message from '../models/Message.js';
+import { expireOffer } from '../utils/customOffers.js';
+
+export const EXPIRE_OFFERS_JOB = 'offers:expire';
+
+// Expire pending custom offers whose expiresAt has passed
+export const expireCustomOffers = async ({ now = new Date(), limit = 100 } = {}) => {
+  const offers = await Message.find({
+    messageType: 'custom_offer',
+    'customOffer.status': 'pending',
+    'customOffer.expiresAt': { $lte: now }
+  })
+    .sort({ 'customOffer.expiresAt': 1 })
+    .limit(limit);
+
+  let expiredCount = 0;
+
+  for (const offer of offers) {
+    if (await expireOffer(offer, { now })) {
+      expiredCount++;
+    }
+  }
+
+  return expiredCount;
+};
+
+export const registerOfferJobs = async (scheduler) => {
+  scheduler.define(EXPIRE_OFFERS_JOB, (data, { now }) => expireCustomOffers({ now }));
+
+  await scheduler.every(EXPIRE_OFFERS_JOB, 15 * 60 * 1000);
+};
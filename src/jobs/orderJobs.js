@@ -0,0 +1,146 @@
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import { transitionOrder } from '../utils/orderStateMachine.js';
+import { ConflictError } from '../utils/errors.js';
+import { createNotification } from '../utils/notifications.js';
+import { recordOrderEvent } from '../utils/orderEvents.js';
+
+export const AUTO_COMPLETE_JOB = 'orders:auto-complete';
+export const LATE_ORDERS_JOB = 'orders:late-delivery';
+
+// How long after an order is flagged late the buyer can cancel it for a refund
+export const getLateCancelGracePeriod = () => {
+  return (Number(process.env.ORDER_LATE_GRACE_HOURS) || 24) * 60 * 60 * 1000;
+};
+
+// Complete delivered orders whose review window has passed
+export const autoCompleteDeliveredOrders = async ({ now = new Date(), limit = 100 } = {}) => {
+  const orders = await Order.find({
+    status: 'delivered',
+    autoCompleteAt: { $lte: now }
+  })
+    .sort({ autoCompleteAt: 1 })
+    .limit(limit);
+
+  let completedCount = 0;
+
+  for (const order of orders) {
+    try {
+      await transitionOrder(order, 'complete', { role: 'system', now });
+      completedCount++;
+    } catch (error) {
+      // The buyer accepted or disputed it in the meantime
+      if (!(error instanceof ConflictError)) throw error;
+    }
+  }
+
+  return completedCount;
+};
+
+// Flag in-progress orders that are past their delivery date and tell both parties
+export const flagLateOrders = async ({ now = new Date(), limit = 100 } = {}) => {
+  const orders = await Order.find({
+    status: 'in_progress',
+    deliveryDate: { $lt: now },
+    'lateDelivery.isLate': { $ne: true }
+  })
+    .sort({ deliveryDate: 1 })
+    .limit(limit);
+
+  let flaggedCount = 0;
+
+  for (const order of orders) {
+    const cancelAvailableAt = new Date(now.getTime() + getLateCancelGracePeriod());
+
+    // Only flag once, even if the sweep overlaps with another instance
+    const flagged = await Order.findOneAndUpdate(
+      { _id: order._id, status: 'in_progress', 'lateDelivery.isLate': { $ne: true } },
+      {
+        lateDelivery: {
+          isLate: true,
+          flaggedAt: now,
+          cancelAvailableAt
+        }
+      },
+      { new: true }
+    );
+    if (!flagged) continue;
+
+    flaggedCount++;
+
+    await User.findByIdAndUpdate(flagged.seller, {
+      $inc: { lateDeliveries: 1 }
+    });
+
+    await recordOrderEvent(flagged._id, {
+      type: 'late',
+      message: 'Order is past its delivery date',
+      data: { deliveryDate: flagged.deliveryDate, cancelAvailableAt },
+      at: now
+    });
+
+    await Promise.all([
+      createNotification({
+        recipient: flagged.seller,
+        type: 'order_late',
+        title: 'Order Is Late',
+        message: `Your order for ${flagged.packageDetails.title} is past its delivery date. Please deliver as soon as possible`,
+        data: { orderId: flagged._id }
+      }),
+      createNotification({
+        recipient: flagged.buyer,
+        type: 'order_late',
+        title: 'Order Is Late',
+        message: `Your order for ${flagged.packageDetails.title} is past its delivery date. If it isn't delivered by ${cancelAvailableAt.toUTCString()} you can cancel it for a full refund`,
+        data: { orderId: flagged._id }
+      })
+    ]);
+  }
+
+  return flaggedCount;
+};
+
+// Tell buyers of late orders once they are allowed to cancel for a refund
+export const notifyLateCancelAvailable = async ({ now = new Date(), limit = 100 } = {}) => {
+  const orders = await Order.find({
+    status: 'in_progress',
+    'lateDelivery.isLate': true,
+    'lateDelivery.cancelAvailableAt': { $lte: now },
+    'lateDelivery.cancelNotifiedAt': null
+  }).limit(limit);
+
+  let notifiedCount = 0;
+
+  for (const order of orders) {
+    const result = await Order.updateOne(
+      { _id: order._id, 'lateDelivery.cancelNotifiedAt': null },
+      { 'lateDelivery.cancelNotifiedAt': now }
+    );
+    if (!result.modifiedCount) continue;
+
+    notifiedCount++;
+
+    await createNotification({
+      recipient: order.buyer,
+      type: 'order_late',
+      title: 'You Can Cancel Your Late Order',
+      message: `Your order for ${order.packageDetails.title} still hasn't been delivered. You can now cancel it for a full refund`,
+      data: { orderId: order._id }
+    });
+  }
+
+  return notifiedCount;
+};
+
+export const registerOrderJobs = async (scheduler) => {
+  scheduler.define(AUTO_COMPLETE_JOB, (data, { now }) => autoCompleteDeliveredOrders({ now }));
+  scheduler.define(LATE_ORDERS_JOB, async (data, { now }) => {
+    await flagLateOrders({ now });
+    await notifyLateCancelAvailable({ now });
+  });
+
+  await Promise.all([
+    scheduler.every(AUTO_COMPLETE_JOB, 15 * 60 * 1000),
+    scheduler.every(LATE_ORDERS_JOB, 15 * 60 * 1000)
+  ]);
+};
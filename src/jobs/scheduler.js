@@ -0,0 +1,137 @@
+import Job from '../models/Job.js';
+
+// In-process job runner backed by the jobs collection. Jobs survive restarts
+// because they are claimed from Mongo on every poll, and a job left "running"
+// by a crashed process is picked up again once its lock goes stale.
+// `now` is the scheduler's clock; tests pass a fake one to move time along.
+export const createScheduler = ({
+  now = () => new Date(),
+  pollInterval = 30 * 1000,
+  lockTimeout = 10 * 60 * 1000,
+  batchSize = 20
+} = {}) => {
+  const handlers = new Map();
+  let timer = null;
+  let currentRun = null;
+
+  // Register the handler for a job name: handler(data, { now, job })
+  const define = (name, handler) => {
+    handlers.set(name, handler);
+  };
+
+  // Queue a one-off job
+  const schedule = (name, data = {}, runAt = now(), { maxAttempts } = {}) => {
+    return Job.create({ name, data, runAt, ...(maxAttempts && { maxAttempts }) });
+  };
+
+  // Ensure a single recurring job exists for this name
+  const every = (name, interval, data = {}) => {
+    return Job.findOneAndUpdate(
+      { uniqueKey: `every:${name}` },
+      {
+        $set: { name, repeatInterval: interval },
+        $setOnInsert: { data, runAt: now(), status: 'pending' }
+      },
+      { upsert: true, new: true }
+    );
+  };
+
+  const claimNext = () => {
+    const at = now();
+
+    return Job.findOneAndUpdate(
+      {
+        name: { $in: [...handlers.keys()] },
+        $or: [
+          { status: 'pending', runAt: { $lte: at } },
+          { status: 'running', lockedAt: { $lte: new Date(at.getTime() - lockTimeout) } }
+        ]
+      },
+      {
+        $set: { status: 'running', lockedAt: at, lastRunAt: at },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  };
+
+  const runJob = async (job) => {
+    const handler = handlers.get(job.name);
+
+    try {
+      await handler(job.data, { now: now(), job });
+
+      if (job.repeatInterval) {
+        job.status = 'pending';
+        job.attempts = 0;
+        job.runAt = new Date(now().getTime() + job.repeatInterval);
+      } else {
+        job.status = 'completed';
+        job.completedAt = now();
+      }
+      job.lastError = undefined;
+    } catch (error) {
+      console.error(`Job ${job.name} failed:`, error);
+      job.lastError = error.message;
+
+      if (job.repeatInterval) {
+        job.status = 'pending';
+        job.runAt = new Date(now().getTime() + job.repeatInterval);
+      } else if (job.attempts >= job.maxAttempts) {
+        job.status = 'failed';
+      } else {
+        // Exponential backoff: 1m, 2m, 4m, ...
+        job.status = 'pending';
+        job.runAt = new Date(now().getTime() + 2 ** (job.attempts - 1) * 60 * 1000);
+      }
+    }
+
+    job.lockedAt = undefined;
+    await job.save();
+  };
+
+  // Run every job that is currently due. Returns the number of jobs processed.
+  const runDue = async () => {
+    if (currentRun) return currentRun;
+
+    currentRun = (async () => {
+      let processed = 0;
+      while (processed < batchSize) {
+        const job = await claimNext();
+        if (!job) break;
+        await runJob(job);
+        processed++;
+      }
+      return processed;
+    })();
+
+    try {
+      return await currentRun;
+    } finally {
+      currentRun = null;
+    }
+  };
+
+  const tick = () => {
+    runDue().catch((error) => console.error('Job runner error:', error));
+  };
+
+  const start = (interval = pollInterval) => {
+    if (timer) return;
+    timer = setInterval(tick, interval);
+    timer.unref();
+    tick();
+  };
+
+  const stop = async () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+    if (currentRun) {
+      await currentRun.catch(() => {});
+    }
+  };
+
+  return { define, schedule, every, runDue, start, stop };
+};
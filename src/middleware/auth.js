@@ -1,39 +1,124 @@
-import jwt from 'jsonwebtoken';
-import User from '../models/User.js'
+import { verifyAccessToken } from '../utils/sessions.js';
+import { verifyStepUpCode } from '../utils/twoFactor.js';
+import { getSetting } from '../utils/settings.js';
+import { AppError, ForbiddenError, UnauthorizedError } from '../utils/errors.js';
 
 export const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    throw new UnauthorizedError('Access token required', { code: 'TOKEN_REQUIRED' });
+  }
+
+  let user, session;
   try {
-    const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.split(' ')[1];
+    ({ user, session } = await verifyAccessToken(token));
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    // Expired access tokens get a 401 so clients know to refresh
+    if (error.name === 'TokenExpiredError') {
+      throw new UnauthorizedError('Access token expired', { code: 'TOKEN_EXPIRED' });
+    }
+    throw new ForbiddenError('Invalid or expired token', { code: 'INVALID_TOKEN' });
+  }
 
-    if (!token) {
-      return res.status(401).json({ message: 'Access token required' });
+  if (!user) {
+    throw new UnauthorizedError('User not found');
+  }
+
+  if (user.isSuspended) {
+    throw new ForbiddenError('Account suspended', { code: 'ACCOUNT_SUSPENDED' });
+  }
+
+  req.user = user;
+  req.authSession = session;
+  next();
+};
+
+export const requireRole = (roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      throw new UnauthorizedError();
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ message: 'User not found' });
+    if (!roles.includes(req.user.role)) {
+      throw new ForbiddenError('Insufficient permissions');
     }
 
-    req.user = user;
     next();
+  };
+};
+
+// Attach req.user when a valid token is sent, but let anonymous requests through
+export const optionalAuth = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (token) {
+      const { user, session } = await verifyAccessToken(token);
+
+      if (user && !user.isSuspended) {
+        req.user = user;
+        req.authSession = session;
+      }
+    }
   } catch (error) {
-    return res.status(403).json({ message: 'Invalid or expired token' });
+    // Invalid tokens are treated as anonymous
   }
+
+  next();
 };
 
-export const requireRole = (roles) => {
+// REQUIRE_EMAIL_VERIFICATION lists the actions that need a verified email:
+// 'buy', 'sell', or 'true' for both
+export const isVerificationRequired = (action) => {
+  const setting = (process.env.REQUIRE_EMAIL_VERIFICATION || '').toLowerCase();
+  if (setting === 'true') return true;
+  return setting.split(',').map(value => value.trim()).includes(action);
+};
+
+export const requireVerifiedEmail = (action) => {
   return (req, res, next) => {
     if (!req.user) {
-      return res.status(401).json({ message: 'Authentication required' });
+      throw new UnauthorizedError();
     }
 
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ message: 'Insufficient permissions' });
+    if (isVerificationRequired(action) && !req.user.isVerified) {
+      throw new ForbiddenError('Please verify your email address first', { code: 'EMAIL_NOT_VERIFIED' });
     }
 
     next();
   };
-};
\ No newline at end of file
+};
+
+// Step-up check for sensitive actions. When the `settingKey` setting is on, the
+// user needs 2FA enabled and a current code in the X-Two-Factor-Code header
+// (or `twoFactorCode` in the body). Wrong codes count towards the login lockout.
+export const requireTwoFactor = (settingKey) => {
+  return async (req, res, next) => {
+    if (!(await getSetting(settingKey))) {
+      return next();
+    }
+
+    if (!req.user.twoFactor?.enabled) {
+      throw new ForbiddenError('Two-factor authentication must be enabled for this action', {
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
+    const code = req.get('x-two-factor-code') || req.body?.twoFactorCode;
+    if (!code) {
+      throw new ForbiddenError('Two-factor code required', { code: 'TWO_FACTOR_REQUIRED' });
+    }
+
+    if (!(await verifyStepUpCode(req, req.user, code))) {
+      throw new ForbiddenError('Invalid two-factor code', { code: 'INVALID_TWO_FACTOR_CODE' });
+    }
+
+    next();
+  };
+};
@@ -1,38 +1,100 @@
-export const errorHandler = (err, req, res, next) => {
-  console.error(err.stack);
+import mongoose from 'mongoose';
+import multer from 'multer';
+import { AppError, NotFoundError } from '../utils/errors.js';
+
+// Codes for errors that carry a status but aren't AppErrors (body-parser, http-errors)
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'VALIDATION_FAILED',
+  429: 'RATE_LIMITED',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+// Map anything thrown by a route to { status, code, message, details }
+const normalizeError = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    return {
+      status: 422,
+      code: 'VALIDATION_FAILED',
+      message: 'Validation failed',
+      details: Object.values(err.errors).map(e => ({
+        field: e.path,
+        location: 'body',
+        message: e.message
+      }))
+    };
+  }
 
-  // Mongoose validation error
-  if (err.name === 'ValidationError') {
-    const errors = Object.values(err.errors).map(e => e.message);
-    return res.status(400).json({
-      message: 'Validation Error',
-      errors
-    });
+  if (err instanceof mongoose.Error.CastError) {
+    return { status: 400, code: 'INVALID_ID', message: `Invalid ${err.path}` };
   }
 
-  // Mongoose duplicate key error
   if (err.code === 11000) {
-    const field = Object.keys(err.keyValue)[0];
-    return res.status(400).json({
-      message: `${field} already exists`
-    });
+    const field = Object.keys(err.keyValue || {})[0];
+    return {
+      status: 409,
+      code: 'DUPLICATE_KEY',
+      message: field ? `${field} already exists` : 'Duplicate value'
+    };
+  }
+
+  if (err.name === 'TokenExpiredError') {
+    return { status: 401, code: 'TOKEN_EXPIRED', message: 'Token expired' };
   }
 
-  // JWT errors
   if (err.name === 'JsonWebTokenError') {
-    return res.status(401).json({
-      message: 'Invalid token'
-    });
+    return { status: 401, code: 'INVALID_TOKEN', message: 'Invalid token' };
   }
 
-  if (err.name === 'TokenExpiredError') {
-    return res.status(401).json({
-      message: 'Token expired'
-    });
+  if (err instanceof multer.MulterError) {
+    return { status: 400, code: 'UPLOAD_FAILED', message: err.message };
+  }
+
+  // Client errors from Express and its parsers (bad JSON, body too large)
+  const status = err.status || err.statusCode;
+  if (status >= 400 && status < 500 && err.expose !== false) {
+    return { status, code: STATUS_CODES[status] || 'BAD_REQUEST', message: err.message };
+  }
+
+  return { status: 500, code: 'INTERNAL_ERROR', message: 'Internal server error' };
+};
+
+// Every error response has the same shape:
+// { message, code, requestId, details? }
+export const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
   }
 
-  // Default error
-  res.status(err.status || 500).json({
-    message: err.message || 'Internal Server Error'
+  const { status, code, message, details, retryAfter } = normalizeError(err);
+
+  // Only unexpected errors are logged with a stack; their message stays server-side
+  if (status >= 500) {
+    console.error(`[${req.id}] ${req.method} ${req.originalUrl}`, err);
+  }
+
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+  }
+
+  res.status(status).json({
+    message,
+    code,
+    requestId: req.id,
+    ...(details !== undefined && { details })
   });
-};
\ No newline at end of file
+};
+
+// Unknown API routes
+export const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Route not found: ${req.method} ${req.baseUrl}${req.path}`, { code: 'ROUTE_NOT_FOUND' }));
+};
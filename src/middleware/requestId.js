@@ -0,0 +1,10 @@
+import crypto from 'crypto';
+
+// Tag every request with an id for error responses and logs. A sane incoming
+// X-Request-Id (e.g. from a proxy) is kept so ids match across services.
+export const requestId = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && /^[\w.-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
@@ -0,0 +1,22 @@
+import { checkSchema, validationResult } from 'express-validator';
+import { ValidationError } from '../utils/errors.js';
+
+// Stop the request with a 422 listing every failed check in `details`:
+// [{ field, location, message }]
+export const handleValidationErrors = (req, res, next) => {
+  const result = validationResult(req);
+  if (result.isEmpty()) {
+    return next();
+  }
+
+  next(new ValidationError('Validation failed', {
+    details: result.array({ onlyFirstError: true }).map(error => ({
+      field: error.path,
+      location: error.location,
+      message: error.msg
+    }))
+  }));
+};
+
+// Run an express-validator schema before the route handler
+export const validate = (schema) => [checkSchema(schema), handleValidationErrors];
@@ -0,0 +1,24 @@
+import Gig from '../models/Gig.js';
+
+// Data fixes for documents saved before a schema change. They run on startup,
+// before the server takes requests, and each is safe to run again.
+const MIGRATIONS = [
+  {
+    name: 'approve gigs published before moderation',
+    // Gigs went live straight away before the approval pipeline, and without
+    // a status they would drop out of the marketplace
+    up: () => Gig.updateMany(
+      { status: { $exists: false } },
+      { $set: { status: 'approved' } }
+    )
+  }
+];
+
+export const runMigrations = async () => {
+  for (const migration of MIGRATIONS) {
+    const { modifiedCount } = await migration.up();
+    if (modifiedCount > 0) {
+      console.log(`🔧 Migration "${migration.name}" updated ${modifiedCount} documents`);
+    }
+  }
+};
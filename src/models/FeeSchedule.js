@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+
+// Fee schedules are versioned and never edited: a change is a new version with a
+// new effectiveFrom, so orders priced under an old version stay explainable.
+const feeScheduleSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Charged to the buyer on top of the package price
+  buyerFee: {
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 1
+    },
+    minimum: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  // Taken from the seller's share of the package price
+  platformFee: {
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 1
+    },
+    minimum: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  categoryRates: [{
+    category: {
+      type: String,
+      required: true
+    },
+    buyerRate: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    platformRate: {
+      type: Number,
+      min: 0,
+      max: 1
+    }
+  }],
+  // The best tier the seller qualifies for lowers their platform rate
+  sellerTiers: [{
+    name: {
+      type: String,
+      required: true
+    },
+    minCompletedOrders: {
+      type: Number,
+      default: 0
+    },
+    minRating: {
+      type: Number,
+      default: 0
+    },
+    platformRateDiscount: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 1
+    }
+  }],
+  promotions: [{
+    name: {
+      type: String,
+      required: true
+    },
+    startsAt: {
+      type: Date,
+      required: true
+    },
+    endsAt: {
+      type: Date,
+      required: true
+    },
+    // Empty means every category
+    categories: [String],
+    buyerRateDiscount: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 1
+    },
+    platformRateDiscount: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 1
+    }
+  }],
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+feeScheduleSchema.index({ effectiveFrom: -1, version: -1 });
+
+export default mongoose.model('FeeSchedule', feeScheduleSchema);
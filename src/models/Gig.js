@@ -132,10 +132,45 @@ const gigSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Moderation state. Only approved gigs are listed in the marketplace.
+  status: {
+    type: String,
+    enum: ['pending_review', 'approved', 'rejected'],
+    default: 'pending_review'
+  },
+  moderation: {
+    submittedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    rejectionReason: String
+  },
+  // Paused by the owner (or while the owner is suspended): hidden from the
+  // marketplace and not orderable, but otherwise unchanged
   isPaused: {
     type: Boolean,
     default: false
   },
+  // Set when the owner deletes the gig. Archived gigs are kept so orders and
+  // reviews can still show them, but are never listed or orderable again.
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when a moderator takes the gig down
+  deactivation: {
+    reason: String,
+    deactivatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    deactivatedAt: Date
+  },
   impressions: {
     type: Number,
     default: 0
@@ -179,6 +214,47 @@ gigSchema.index({ totalOrders: -1 });
 gigSchema.index({ 'pricing.basic.price': 1 });
 gigSchema.index({ createdAt: -1 });
 gigSchema.index({ isActive: 1, isPaused: 1 });
+// Marketplace listing (see utils/gigSearch.js)
+gigSchema.index({ status: 1, isActive: 1, isPaused: 1, category: 1, 'pricing.basic.price': 1 });
+gigSchema.index({ status: 1, 'moderation.submittedAt': 1 });
+// Saved gigs (see utils/favorites.js)
+gigSchema.index({ favorites: 1 });
+
+// Fields that send a gig back to moderation when they change
+gigSchema.statics.REVIEWED_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'subcategory',
+  'searchTags',
+  'pricing',
+  'images',
+  'video'
+];
+
+// Fields owners can't set directly
+gigSchema.statics.PROTECTED_FIELDS = [
+  'freelancer',
+  'status',
+  'moderation',
+  'deactivation',
+  'isActive',
+  'isPaused',
+  'archivedAt',
+  'rating',
+  'totalReviews',
+  'totalOrders',
+  'impressions',
+  'clicks',
+  'favorites'
+];
+
+// Put the gig back in the moderation queue
+gigSchema.methods.submitForReview = function() {
+  this.status = 'pending_review';
+  this.moderation = { submittedAt: new Date() };
+  return this;
+};
 
 // Update rating method
 gigSchema.methods.updateRating = async function() {
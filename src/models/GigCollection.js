@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// A named list of saved gigs (e.g. "logo designers to compare"). Gigs in a
+// collection are always favorites of its owner too, see utils/favorites.js.
+const gigCollectionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  gigs: [{
+    gig: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Gig',
+      required: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+gigCollectionSchema.index({ owner: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+gigCollectionSchema.index({ owner: 1, 'gigs.gig': 1 });
+
+export default mongoose.model('GigCollection', gigCollectionSchema);
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Daily counters for one gig, written by utils/gigTracking.js
+const gigStatSchema = new mongoose.Schema({
+  gig: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Gig',
+    required: true
+  },
+  // Midnight UTC of the day counted
+  date: {
+    type: Date,
+    required: true
+  },
+  // Times the gig was shown in search or listing results
+  impressions: {
+    type: Number,
+    default: 0
+  },
+  // Views of the gig page
+  clicks: {
+    type: Number,
+    default: 0
+  },
+  // Paid orders
+  orders: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Indexes
+gigStatSchema.index({ gig: 1, date: 1 }, { unique: true });
+
+export default mongoose.model('GigStat', gigStatSchema);
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  runAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Recurring jobs are rescheduled this many ms after each run
+  repeatInterval: Number,
+  // Unique key for recurring jobs so restarts don't create duplicates
+  uniqueKey: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  lockedAt: Date,
+  lastRunAt: Date,
+  lastError: String,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ name: 1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+
+export default mongoose.model('Job', jobSchema);
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+export const LEDGER_ACCOUNTS = [
+  'stripe_cash',        // Money held in our Stripe balance
+  'escrow',             // Buyer payments held until the order completes or is refunded
+  'platform_revenue',   // Service fees and platform cut
+  'seller_pending',     // Seller earnings still in the clearance period
+  'seller_available',   // Seller earnings that can be withdrawn
+  'seller_withdrawals'  // Withdrawals requested but not yet paid out
+];
+
+const entrySchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: LEDGER_ACCOUNTS,
+    required: true
+  },
+  // Set on seller accounts
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const ledgerTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      'payment',
+      'completion',
+      'refund',
+      'clearance',
+      'withdrawal_requested',
+      'withdrawal_paid',
+      'withdrawal_returned'
+    ],
+    required: true
+  },
+  // Makes posting idempotent, e.g. "payment:<orderId>"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  withdrawal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Withdrawal'
+  },
+  description: String,
+  entries: {
+    type: [entrySchema],
+    required: true
+  },
+  // Completion transactions: when the seller's earnings clear
+  availableAt: Date,
+  cleared: Boolean
+}, {
+  timestamps: true
+});
+
+// Indexes
+ledgerTransactionSchema.index({ order: 1 });
+ledgerTransactionSchema.index({ 'entries.user': 1, 'entries.account': 1 });
+ledgerTransactionSchema.index({ type: 1, cleared: 1, availableAt: 1 });
+ledgerTransactionSchema.index({ createdAt: -1 });
+
+// Every transaction must balance
+ledgerTransactionSchema.pre('validate', function(next) {
+  const debits = this.entries.reduce((sum, entry) => sum + entry.debit, 0);
+  const credits = this.entries.reduce((sum, entry) => sum + entry.credit, 0);
+
+  if (Math.abs(debits - credits) > 0.005) {
+    return next(new Error(`Unbalanced ledger transaction: debits ${debits} != credits ${credits}`));
+  }
+  next();
+});
+
+export default mongoose.model('LedgerTransaction', ledgerTransactionSchema);
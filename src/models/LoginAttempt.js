@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Failed login attempts per account or IP, for the Mongo-backed login throttle store
+const loginAttemptSchema = new mongoose.Schema({
+  // 'account:<email>' or 'ip:<address>'
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  lastFailedAt: Date,
+  lockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Records are removed by MongoDB once the window and any lockout have passed
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -30,7 +30,7 @@ const messageSchema = new mongoose.Schema({
     name: String,
     url: String,
     size: Number,
-    type: String
+    type: { type: String }
   }],
   customOffer: {
     title: String,
@@ -41,8 +41,26 @@ const messageSchema = new mongoose.Schema({
     expiresAt: Date,
     status: {
       type: String,
-      enum: ['pending', 'accepted', 'declined', 'expired'],
+      enum: ['pending', 'accepted', 'declined', 'expired', 'withdrawn', 'countered'],
       default: 'pending'
+    },
+    // Counter-offers come from the buyer, so the seller is recorded explicitly
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // The offer this one counters
+    counterOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    acceptedAt: Date,
+    closedAt: Date,
+    declineReason: String,
+    // Order created when the buyer accepted
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
     }
   },
   isRead: {
@@ -69,5 +87,6 @@ messageSchema.index({ conversation: 1, createdAt: -1 });
 messageSchema.index({ sender: 1 });
 messageSchema.index({ receiver: 1 });
 messageSchema.index({ isRead: 1 });
+messageSchema.index({ messageType: 1, 'customOffer.status': 1, 'customOffer.expiresAt': 1 });
 
 export default mongoose.model('Message', messageSchema);
\ No newline at end of file
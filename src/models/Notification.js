@@ -14,16 +14,27 @@ const notificationSchema = new mongoose.Schema({
     type: String,
     enum: [
       'new_order',
+      'requirements_submitted',
       'order_delivered',
       'order_completed',
       'order_cancelled',
+      'order_late',
+      'order_refunded',
       'revision_requested',
+      'extension_requested',
+      'extension_approved',
+      'extension_declined',
+      'dispute_opened',
+      'dispute_updated',
+      'dispute_resolved',
       'new_message',
       'review_received',
       'payment_received',
+      'payout_update',
       'gig_approved',
       'gig_rejected',
       'custom_offer',
+      'security_alert',
       'system'
     ],
     required: true
@@ -1,5 +1,12 @@
 import mongoose from 'mongoose';
 
+const attachmentSchema = new mongoose.Schema({
+  name: String,
+  url: String,
+  size: Number,
+  type: { type: String }
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
   buyer: {
     type: mongoose.Schema.Types.ObjectId,
@@ -11,16 +18,30 @@ const orderSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Custom offer orders have no gig
   gig: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Gig',
-    required: true
+    required: function() {
+      return this.package !== 'custom';
+    }
   },
   package: {
     type: String,
-    enum: ['basic', 'standard', 'premium'],
+    enum: ['basic', 'standard', 'premium', 'custom'],
     required: true
   },
+  // The offer message a custom order was accepted from
+  customOffer: {
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conversation'
+    }
+  },
   packageDetails: {
     title: String,
     description: String,
@@ -32,8 +53,21 @@ const orderSchema = new mongoose.Schema({
   customRequirements: [{
     question: String,
     answer: String,
-    type: String
+    type: { type: String }
   }],
+  // The buyer's answers to the gig's requirements, with the question copied
+  // over in case the gig changes later
+  requirementAnswers: [{
+    requirement: mongoose.Schema.Types.ObjectId, // Gig.requirements entry
+    question: String,
+    type: {
+      type: String,
+      enum: ['text', 'multiple-choice', 'file']
+    },
+    answer: String,
+    files: [attachmentSchema]
+  }],
+  requirementsSubmittedAt: Date,
   totalAmount: {
     type: Number,
     required: true
@@ -46,6 +80,16 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  platformFee: Number,
+  // Fee schedule the order was priced with (see utils/fees.js)
+  feeScheduleVersion: Number,
+  feeBreakdown: {
+    buyerRate: Number,
+    platformRate: Number,
+    category: String,
+    sellerTier: String,
+    promotions: [String]
+  },
   status: {
     type: String,
     enum: [
@@ -60,26 +104,104 @@ const orderSchema = new mongoose.Schema({
     ],
     default: 'pending'
   },
+  // Every status change, written by utils/orderStateMachine.js
+  statusHistory: [{
+    from: String,
+    to: String,
+    action: String,
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    actorRole: {
+      type: String,
+      enum: ['buyer', 'seller', 'admin', 'system']
+    },
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'refunded', 'failed'],
+    enum: ['pending', 'paid', 'partially_refunded', 'refunded', 'failed'],
     default: 'pending'
   },
   paymentIntentId: {
     type: String,
     required: true
   },
+  refunds: [{
+    stripeRefundId: String,
+    amount: Number,
+    reason: String,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  // What the seller was credited on completion, and how much of it refunds took back
+  sellerEarnings: Number,
+  earningsReversed: {
+    type: Number,
+    default: 0
+  },
   stripeSessionId: String,
+  // Due date for the delivery, counted from when work starts
   deliveryDate: Date,
+  lateDelivery: {
+    isLate: {
+      type: Boolean,
+      default: false
+    },
+    flaggedAt: Date,
+    // When the buyer may cancel with a refund
+    cancelAvailableAt: Date,
+    cancelNotifiedAt: Date
+  },
+  // Seller requests for more time. At most one is pending at a time.
+  extensions: [{
+    days: {
+      type: Number,
+      required: true
+    },
+    reason: String,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'declined'],
+      default: 'pending'
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date,
+    declineReason: String,
+    // Set on approval
+    previousDeliveryDate: Date,
+    newDeliveryDate: Date
+  }],
   completedAt: Date,
   deliveries: [{
     message: String,
-    files: [{
-      name: String,
-      url: String,
-      size: Number,
-      type: String
-    }],
+    files: [attachmentSchema],
     deliveredAt: {
       type: Date,
       default: Date.now
@@ -116,8 +238,38 @@ const orderSchema = new mongoose.Schema({
       type: String,
       enum: ['open', 'resolved', 'closed']
     },
+    // Order status to return to if the dispute is withdrawn
+    previousStatus: String,
+    timeline: [{
+      author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      authorRole: {
+        type: String,
+        enum: ['buyer', 'seller', 'admin']
+      },
+      message: String,
+      attachments: [attachmentSchema],
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    outcome: {
+      type: String,
+      enum: ['release', 'refund', 'split']
+    },
+    buyerRefund: Number,
+    sellerPayout: Number,
     resolution: String,
-    resolvedAt: Date
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date,
+    // Set while an admin's resolution is being applied
+    resolvingAt: Date
   },
   isReviewed: {
     buyer: {
@@ -142,13 +294,26 @@ orderSchema.index({ status: 1 });
 orderSchema.index({ paymentStatus: 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ deliveryDate: 1 });
+orderSchema.index({ 'dispute.status': 1 });
+orderSchema.index({ status: 1, autoCompleteAt: 1 });
+orderSchema.index({ status: 1, 'lateDelivery.isLate': 1, deliveryDate: 1 });
+// One order per accepted offer
+orderSchema.index(
+  { 'customOffer.message': 1 },
+  { unique: true, partialFilterExpression: { 'customOffer.message': { $exists: true } } }
+);
 
-// Auto-complete orders after 3 days of delivery
-orderSchema.methods.scheduleAutoComplete = function() {
-  if (this.status === 'delivered' && !this.autoCompleteAt) {
-    this.autoCompleteAt = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000); // 3 days
-    return this.save();
+// Start the history with the status the order was created in
+orderSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ to: this.status, action: 'create', actorRole: 'system' });
   }
+  next();
+});
+
+// Delivered orders auto-complete after 3 days (picked up by the orders:auto-complete job)
+orderSchema.statics.getAutoCompleteAt = function(now = new Date()) {
+  return new Date(now.getTime() + 3 * 24 * 60 * 60 * 1000);
 };
 
 export default mongoose.model('Order', orderSchema);
\ No newline at end of file
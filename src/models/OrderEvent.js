@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// Order activity log: one entry per thing that happened to an order, in the
+// order it happened. Written by utils/orderEvents.js and never edited.
+export const ORDER_EVENT_TYPES = [
+  // Status changes (the order state machine's actions)
+  'pay',
+  'fail_payment',
+  'submit_requirements',
+  'start',
+  'resume',
+  'deliver',
+  'request_revision',
+  'complete',
+  'cancel',
+  'cancel_late',
+  'open_dispute',
+  'withdraw_dispute',
+  'resolve_dispute',
+  // Everything else
+  'extension_requested',
+  'extension_approved',
+  'extension_declined',
+  'dispute_message',
+  'refund',
+  'late'
+];
+
+const orderEventSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ORDER_EVENT_TYPES,
+    required: true
+  },
+  // Missing for events the system triggers
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    enum: ['buyer', 'seller', 'admin', 'system'],
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // Event-specific details, e.g. { from, to } for status changes or { amount } for refunds
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+orderEventSchema.index({ order: 1, createdAt: 1 });
+
+export default mongoose.model('OrderEvent', orderEventSchema);
@@ -6,10 +6,10 @@ const reviewSchema = new mongoose.Schema({
     ref: 'Order',
     required: true
   },
+  // Empty for reviews of custom offer orders
   gig: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Gig',
-    required: true
+    ref: 'Gig'
   },
   reviewer: {
     type: mongoose.Schema.Types.ObjectId,
@@ -58,6 +58,17 @@ const reviewSchema = new mongoose.Schema({
     default: false
   },
   reportReason: String,
+  moderation: {
+    action: {
+      type: String,
+      enum: ['dismissed', 'hidden']
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: Date
+  },
   response: {
     content: String,
     respondedAt: Date
@@ -72,6 +83,7 @@ reviewSchema.index({ reviewer: 1 });
 reviewSchema.index({ reviewee: 1 });
 reviewSchema.index({ order: 1 });
 reviewSchema.index({ rating: -1 });
+reviewSchema.index({ isReported: 1 });
 
 // Ensure one review per order per user
 reviewSchema.index({ order: 1, reviewer: 1 }, { unique: true });
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// A signed-in device. Access tokens carry the session id, so revoking the
+// session cuts off its access tokens as well as its refresh token.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token; it changes on every refresh
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The token it replaced, kept to spot a stolen refresh token being replayed
+  previousTokenHash: String,
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'revoke_others', 'password_reset', 'token_reuse']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+sessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+export default mongoose.model('Session', sessionSchema);
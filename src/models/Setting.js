@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// Platform-wide settings admins can change at runtime, one document per key
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: mongoose.Schema.Types.Mixed,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Setting', settingSchema);
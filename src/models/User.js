@@ -24,7 +24,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['client', 'freelancer'],
+    enum: ['client', 'freelancer', 'admin'],
     required: true
   },
   fullName: {
@@ -80,6 +80,10 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  lateDeliveries: {
+    type: Number,
+    default: 0
+  },
   isOnline: {
     type: Boolean,
     default: false
@@ -100,9 +104,68 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  verificationToken: String,
-  resetPasswordToken: String,
-  resetPasswordExpires: Date
+  isSuspended: {
+    type: Boolean,
+    default: false
+  },
+  suspension: {
+    reason: String,
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    suspendedAt: Date,
+    // Gigs paused by the suspension, resumed when it is lifted
+    pausedGigs: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Gig'
+    }]
+  },
+  // TOTP two-factor authentication. Secrets and backup codes are never selected by default.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret being set up, until the first code confirms it
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused backup codes
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    // Last TOTP step used, so a code can't be replayed
+    lastUsedCounter: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Hashes of the emailed tokens (see utils/authTokens.js). Only ever queried,
+  // never selected by default.
+  verificationToken: {
+    type: String,
+    select: false
+  },
+  verificationExpires: {
+    type: Date,
+    select: false
+  },
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpires: {
+    type: Date,
+    select: false
+  }
 }, {
   timestamps: true
 });
@@ -112,6 +175,8 @@ userSchema.index({ username: 1, email: 1, role: 1, rating: -1 });
 // userSchema.index({ username: 1 });
 // userSchema.index({ role: 1 });
 // userSchema.index({ rating: -1 });
+userSchema.index({ verificationToken: 1 }, { sparse: true });
+userSchema.index({ resetPasswordToken: 1 }, { sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
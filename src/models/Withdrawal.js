@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const withdrawalSchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  method: {
+    type: {
+      type: String,
+      enum: ['bank_transfer', 'paypal', 'stripe'],
+      required: true
+    },
+    details: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  // Payout reference from the payment provider
+  reference: String,
+  note: String,
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+withdrawalSchema.index({ seller: 1, createdAt: -1 });
+withdrawalSchema.index({ status: 1, createdAt: 1 });
+
+export default mongoose.model('Withdrawal', withdrawalSchema);
@@ -0,0 +1,781 @@
+import express from 'express';
+import User from '../models/User.js';
+import Gig from '../models/Gig.js';
+import Order from '../models/Order.js';
+import Review from '../models/Review.js';
+import Withdrawal from '../models/Withdrawal.js';
+import FeeSchedule from '../models/FeeSchedule.js';
+import { authenticateToken, requireRole, requireTwoFactor } from '../middleware/auth.js';
+import { createNotification } from '../utils/notifications.js';
+import { REFUNDABLE_PAYMENT_STATUSES, refundOrder } from '../utils/refunds.js';
+import { calculateFees, getActiveFeeSchedule, getFeeSchedule } from '../utils/fees.js';
+import { getSettings, updateSetting } from '../utils/settings.js';
+import { LISTED_GIG_QUERY, syncGigSearch } from '../utils/gigSearch.js';
+import {
+  getTrialBalance,
+  postWithdrawalPaid,
+  postWithdrawalReturned,
+  reconcileOrders
+} from '../utils/ledger.js';
+import * as validators from '../validators/admin.js';
+import { BadRequestError, ConflictError, InvalidTransitionError, NotFoundError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// Every admin route requires an admin account
+router.use(authenticateToken, requireRole(['admin']));
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Payout actions can be put behind a 2FA code from the settings below
+const requirePayoutTwoFactor = requireTwoFactor('security.requireTwoFactorForPayoutActions');
+
+// Revenue counts completed orders that still hold some of the buyer's money,
+// net of refunds. Orders completed before sellerEarnings existed paid out netAmount.
+const REVENUE_ORDER_QUERY = { status: 'completed', paymentStatus: { $in: REFUNDABLE_PAYMENT_STATUSES } };
+const REVENUE_FIELDS = {
+  keptAmount: { $subtract: ['$totalAmount', { $ifNull: ['$refundedAmount', 0] }] },
+  sellerShare: {
+    $subtract: [{ $ifNull: ['$sellerEarnings', '$netAmount'] }, { $ifNull: ['$earningsReversed', 0] }]
+  }
+};
+
+const paginate = ({ page = 1, limit = 20 }) => {
+  const pageNumber = Math.max(1, Number(page) || 1);
+  const limitNumber = Math.min(100, Math.max(1, Number(limit) || 20));
+  return { page: pageNumber, limit: limitNumber, skip: (pageNumber - 1) * limitNumber };
+};
+
+// List users
+router.get('/users', validators.listUsers, async (req, res) => {
+  const { search, role, suspended } = req.query;
+  const { page, limit, skip } = paginate(req.query);
+
+  let query = {};
+
+  if (role && role !== 'all') {
+    query.role = role;
+  }
+
+  if (suspended !== undefined) {
+    query.isSuspended = suspended === 'true';
+  }
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    query.$or = [{ username: pattern }, { email: pattern }, { fullName: pattern }];
+  }
+
+  const [users, total] = await Promise.all([
+    User.find(query)
+      .select('-password')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    User.countDocuments(query)
+  ]);
+
+  res.json({
+    users,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// Get a single user with order and gig counts
+router.get('/users/:id', validators.userId, async (req, res) => {
+  const user = await User.findById(req.params.id)
+    .select('-password')
+    .populate('suspension.suspendedBy', 'username fullName');
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const [gigs, ordersAsBuyer, ordersAsSeller, reviewsReported] = await Promise.all([
+    Gig.countDocuments({ freelancer: user._id }),
+    Order.countDocuments({ buyer: user._id }),
+    Order.countDocuments({ seller: user._id }),
+    Review.countDocuments({ reviewer: user._id, isReported: true })
+  ]);
+
+  res.json({
+    user,
+    stats: { gigs, ordersAsBuyer, ordersAsSeller, reviewsReported }
+  });
+});
+
+// Suspend a user
+router.post('/users/:id/suspend', validators.suspendUser, async (req, res) => {
+  const { reason } = req.body;
+
+  if (req.params.id === req.user._id.toString()) {
+    throw new BadRequestError('Cannot suspend your own account');
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (user.role === 'admin') {
+    throw new BadRequestError('Cannot suspend an admin account');
+  }
+
+  // Take the user's live gigs out of the marketplace while suspended
+  const liveGigs = await Gig.find({ freelancer: user._id, isPaused: false }).select('_id');
+  const pausedGigs = liveGigs.map(gig => gig._id);
+  await Gig.updateMany({ _id: { $in: pausedGigs } }, { isPaused: true });
+  await syncGigSearch(pausedGigs);
+
+  user.isSuspended = true;
+  user.isOnline = false;
+  user.suspension = {
+    reason,
+    suspendedBy: req.user._id,
+    suspendedAt: new Date(),
+    pausedGigs
+  };
+  await user.save();
+
+  res.json({ message: 'User suspended successfully' });
+});
+
+// Lift a suspension
+router.post('/users/:id/unsuspend', validators.userId, async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (!user.isSuspended) {
+    throw new InvalidTransitionError('User is not suspended');
+  }
+
+  // Resume only the gigs the suspension paused
+  await Gig.updateMany({ _id: { $in: user.suspension?.pausedGigs || [] } }, { isPaused: false });
+  await syncGigSearch(user.suspension?.pausedGigs || []);
+
+  user.isSuspended = false;
+  user.suspension = undefined;
+  await user.save();
+
+  await createNotification({
+    recipient: user._id,
+    type: 'system',
+    title: 'Account Restored',
+    message: 'Your account suspension has been lifted'
+  });
+
+  res.json({ message: 'User unsuspended successfully' });
+});
+
+// List gigs
+router.get('/gigs', validators.listGigs, async (req, res) => {
+  const { search, status, reviewStatus, freelancer } = req.query;
+  const { page, limit, skip } = paginate(req.query);
+
+  let query = {};
+
+  if (status === 'active') {
+    query.isActive = true;
+    query.archivedAt = null;
+  } else if (status === 'inactive') {
+    query.isActive = false;
+  } else if (status === 'archived') {
+    query.archivedAt = { $ne: null };
+  }
+
+  if (reviewStatus && reviewStatus !== 'all') {
+    query.status = reviewStatus;
+  }
+
+  if (freelancer) {
+    query.freelancer = freelancer;
+  }
+
+  if (search) {
+    query.title = new RegExp(escapeRegex(search), 'i');
+  }
+
+  const [gigs, total] = await Promise.all([
+    Gig.find(query)
+      .populate('freelancer', 'username fullName avatar isSuspended')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Gig.countDocuments(query)
+  ]);
+
+  res.json({
+    gigs,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// Moderation queue, oldest submissions first
+router.get('/gigs/pending', validators.listPage, async (req, res) => {
+  const { page, limit, skip } = paginate(req.query);
+  const query = { status: 'pending_review', archivedAt: null };
+
+  const [gigs, total] = await Promise.all([
+    Gig.find(query)
+      .populate('freelancer', 'username fullName avatar rating completedOrders memberSince')
+      .sort({ 'moderation.submittedAt': 1 })
+      .skip(skip)
+      .limit(limit),
+    Gig.countDocuments(query)
+  ]);
+
+  res.json({
+    gigs,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// Approve a gig
+router.post('/gigs/:id/approve', validators.gigId, async (req, res) => {
+  const gig = await Gig.findById(req.params.id);
+
+  if (!gig) {
+    throw new NotFoundError('Gig not found');
+  }
+
+  if (gig.status !== 'pending_review') {
+    throw new InvalidTransitionError('Gig is not awaiting review');
+  }
+
+  gig.status = 'approved';
+  gig.moderation.reviewedBy = req.user._id;
+  gig.moderation.reviewedAt = new Date();
+  gig.moderation.rejectionReason = undefined;
+  await gig.save();
+  await syncGigSearch(gig._id);
+
+  await createNotification({
+    recipient: gig.freelancer,
+    sender: req.user._id,
+    type: 'gig_approved',
+    title: 'Gig Approved',
+    message: `Your gig "${gig.title}" has been approved and is now live`,
+    data: { gigId: gig._id }
+  });
+
+  res.json({ message: 'Gig approved successfully', gig });
+});
+
+// Reject a gig
+router.post('/gigs/:id/reject', validators.rejectGig, async (req, res) => {
+  const { reason } = req.body;
+
+  const gig = await Gig.findById(req.params.id);
+
+  if (!gig) {
+    throw new NotFoundError('Gig not found');
+  }
+
+  if (gig.status !== 'pending_review') {
+    throw new InvalidTransitionError('Gig is not awaiting review');
+  }
+
+  gig.status = 'rejected';
+  gig.moderation.reviewedBy = req.user._id;
+  gig.moderation.reviewedAt = new Date();
+  gig.moderation.rejectionReason = reason;
+  await gig.save();
+  await syncGigSearch(gig._id);
+
+  await createNotification({
+    recipient: gig.freelancer,
+    sender: req.user._id,
+    type: 'gig_rejected',
+    title: 'Gig Rejected',
+    message: `Your gig "${gig.title}" was not approved: ${reason}`,
+    data: { gigId: gig._id }
+  });
+
+  res.json({ message: 'Gig rejected successfully', gig });
+});
+
+// Deactivate a gig
+router.post('/gigs/:id/deactivate', validators.deactivateGig, async (req, res) => {
+  const { reason } = req.body;
+
+  const gig = await Gig.findById(req.params.id);
+
+  if (!gig) {
+    throw new NotFoundError('Gig not found');
+  }
+
+  gig.isActive = false;
+  gig.deactivation = {
+    reason,
+    deactivatedBy: req.user._id,
+    deactivatedAt: new Date()
+  };
+  await gig.save();
+  await syncGigSearch(gig._id);
+
+  await createNotification({
+    recipient: gig.freelancer,
+    type: 'system',
+    title: 'Gig Deactivated',
+    message: `Your gig "${gig.title}" was deactivated by a moderator: ${reason}`,
+    data: { gigId: gig._id }
+  });
+
+  res.json({ message: 'Gig deactivated successfully', gig });
+});
+
+// Reactivate a gig
+router.post('/gigs/:id/activate', validators.gigId, async (req, res) => {
+  const gig = await Gig.findById(req.params.id);
+
+  if (!gig) {
+    throw new NotFoundError('Gig not found');
+  }
+
+  gig.isActive = true;
+  gig.deactivation = undefined;
+  await gig.save();
+  await syncGigSearch(gig._id);
+
+  await createNotification({
+    recipient: gig.freelancer,
+    type: 'system',
+    title: 'Gig Reactivated',
+    message: `Your gig "${gig.title}" is active again`,
+    data: { gigId: gig._id }
+  });
+
+  res.json({ message: 'Gig activated successfully', gig });
+});
+
+// List reported reviews
+router.get('/reviews/reported', validators.listPage, async (req, res) => {
+  const { page, limit, skip } = paginate(req.query);
+  const query = { isReported: true };
+
+  const [reviews, total] = await Promise.all([
+    Review.find(query)
+      .populate('reviewer', 'username fullName avatar')
+      .populate('reviewee', 'username fullName avatar')
+      .populate('gig', 'title')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Review.countDocuments(query)
+  ]);
+
+  res.json({
+    reviews,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// Resolve a review report: 'dismiss' keeps the review, 'hide' removes it from public view
+router.post('/reviews/:id/moderate', validators.moderateReview, async (req, res) => {
+  const { action } = req.body;
+
+  const review = await Review.findById(req.params.id);
+
+  if (!review) {
+    throw new NotFoundError('Review not found');
+  }
+
+  review.isReported = false;
+  review.moderation = {
+    action: action === 'hide' ? 'hidden' : 'dismissed',
+    moderatedBy: req.user._id,
+    moderatedAt: new Date()
+  };
+
+  if (action === 'hide') {
+    review.isPublic = false;
+  }
+
+  await review.save();
+
+  res.json({ message: 'Review moderated successfully', review });
+});
+
+// List disputed orders
+router.get('/disputes', validators.listDisputes, async (req, res) => {
+  const { status = 'open' } = req.query;
+  const { page, limit, skip } = paginate(req.query);
+
+  let query = { 'dispute.status': { $exists: true } };
+  if (status !== 'all') {
+    query['dispute.status'] = status;
+  }
+
+  const [orders, total] = await Promise.all([
+    Order.find(query)
+      .select('buyer seller gig status totalAmount netAmount paymentStatus dispute.reason dispute.status dispute.raisedBy dispute.raisedAt dispute.outcome dispute.resolvedAt')
+      .populate('buyer', 'username fullName avatar')
+      .populate('seller', 'username fullName avatar')
+      .populate('gig', 'title')
+      .sort({ 'dispute.raisedAt': -1 })
+      .skip(skip)
+      .limit(limit),
+    Order.countDocuments(query)
+  ]);
+
+  res.json({
+    orders,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// Refund all or part of an order without cancelling it
+router.post('/orders/:id/refund', validators.refundOrder, requirePayoutTwoFactor, async (req, res) => {
+  const { amount, reason } = req.body;
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  const refunded = await refundOrder(order, {
+    amount: amount === undefined ? undefined : Number(amount),
+    reason,
+    requestedBy: req.user._id
+  });
+
+  res.json({ message: 'Refund issued successfully', order: refunded });
+});
+
+// List withdrawal requests
+router.get('/withdrawals', validators.listWithdrawals, async (req, res) => {
+  const { status = 'pending' } = req.query;
+  const { page, limit, skip } = paginate(req.query);
+
+  let query = {};
+  if (status !== 'all') {
+    query.status = status;
+  }
+
+  const [withdrawals, total] = await Promise.all([
+    Withdrawal.find(query)
+      .populate('seller', 'username fullName email')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit),
+    Withdrawal.countDocuments(query)
+  ]);
+
+  res.json({
+    withdrawals,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// Mark a withdrawal as paid out
+router.post('/withdrawals/:id/paid', validators.markWithdrawalPaid, requirePayoutTwoFactor, async (req, res) => {
+  const { reference } = req.body;
+
+  const withdrawal = await Withdrawal.findOneAndUpdate(
+    { _id: req.params.id, status: 'pending' },
+    {
+      status: 'paid',
+      reference,
+      processedBy: req.user._id,
+      processedAt: new Date()
+    },
+    { new: true }
+  );
+
+  if (!withdrawal) {
+    throw new NotFoundError('Pending withdrawal not found');
+  }
+
+  await postWithdrawalPaid(withdrawal);
+
+  await createNotification({
+    recipient: withdrawal.seller,
+    type: 'payout_update',
+    title: 'Withdrawal Sent',
+    message: `Your withdrawal of $${withdrawal.amount.toFixed(2)} has been paid out`,
+    data: { amount: withdrawal.amount }
+  });
+
+  res.json({ message: 'Withdrawal marked as paid', withdrawal });
+});
+
+// Reject a withdrawal and return the money to the seller's balance
+router.post('/withdrawals/:id/reject', validators.rejectWithdrawal, requirePayoutTwoFactor, async (req, res) => {
+  const { reason } = req.body;
+
+  const withdrawal = await Withdrawal.findOneAndUpdate(
+    { _id: req.params.id, status: 'pending' },
+    {
+      status: 'rejected',
+      note: reason,
+      processedBy: req.user._id,
+      processedAt: new Date()
+    },
+    { new: true }
+  );
+
+  if (!withdrawal) {
+    throw new NotFoundError('Pending withdrawal not found');
+  }
+
+  await postWithdrawalReturned(withdrawal);
+
+  await createNotification({
+    recipient: withdrawal.seller,
+    type: 'payout_update',
+    title: 'Withdrawal Rejected',
+    message: `Your withdrawal of $${withdrawal.amount.toFixed(2)} was rejected: ${reason}`,
+    data: { amount: withdrawal.amount }
+  });
+
+  res.json({ message: 'Withdrawal rejected', withdrawal });
+});
+
+// Debit/credit totals per ledger account
+router.get('/ledger/trial-balance', async (req, res) => {
+  res.json(await getTrialBalance());
+});
+
+// Orders whose amounts don't match the ledger
+router.get('/ledger/reconciliation', validators.reconciliation, async (req, res) => {
+  const { from, to } = req.query;
+
+  const result = await reconcileOrders({
+    from: from ? new Date(from) : undefined,
+    to: to ? new Date(to) : undefined
+  });
+
+  res.json(result);
+});
+
+// List fee schedule versions
+router.get('/fee-schedules', async (req, res) => {
+  const [schedules, active] = await Promise.all([
+    FeeSchedule.find()
+      .populate('createdBy', 'username')
+      .sort({ version: -1 }),
+    getActiveFeeSchedule()
+  ]);
+
+  res.json({ schedules, activeVersion: active.version });
+});
+
+// Get a fee schedule version ('active' for the one in force now)
+router.get('/fee-schedules/:version', validators.feeScheduleVersion, async (req, res) => {
+  const schedule = req.params.version === 'active'
+    ? await getActiveFeeSchedule()
+    : await getFeeSchedule(req.params.version);
+
+  if (!schedule) {
+    throw new NotFoundError('Fee schedule not found');
+  }
+
+  const orderCount = await Order.countDocuments({ feeScheduleVersion: schedule.version });
+
+  res.json({ schedule, orderCount });
+});
+
+// Publish a new fee schedule version. Existing versions are never edited.
+router.post('/fee-schedules', validators.createFeeSchedule, async (req, res) => {
+  const {
+    name,
+    effectiveFrom,
+    buyerFee,
+    platformFee,
+    categoryRates,
+    sellerTiers,
+    promotions,
+    notes
+  } = req.body;
+
+  const latest = await FeeSchedule.findOne().sort({ version: -1 }).select('version');
+
+  let schedule;
+  try {
+    schedule = await FeeSchedule.create({
+      version: (latest?.version || 0) + 1,
+      name,
+      effectiveFrom: effectiveFrom ? new Date(effectiveFrom) : new Date(),
+      buyerFee,
+      platformFee,
+      categoryRates,
+      sellerTiers,
+      promotions,
+      notes,
+      createdBy: req.user._id
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ConflictError('Another fee schedule was published at the same time');
+    }
+    throw error;
+  }
+
+  res.status(201).json({
+    message: 'Fee schedule published successfully',
+    schedule
+  });
+});
+
+// Preview what an order would cost under the schedule in force at a given time
+router.post('/fee-schedules/preview', validators.previewFees, async (req, res) => {
+  const { subtotal, category, sellerId, at } = req.body;
+  const amount = Number(subtotal);
+
+  const seller = sellerId
+    ? await User.findById(sellerId).select('completedOrders rating')
+    : null;
+
+  const fees = await calculateFees({
+    subtotal: amount,
+    category,
+    seller,
+    at: at ? new Date(at) : new Date()
+  });
+
+  res.json(fees);
+});
+
+// Get platform settings
+router.get('/settings', async (req, res) => {
+  res.json(await getSettings());
+});
+
+// Update platform settings, e.g. { "security.requireTwoFactorForWithdrawals": true }
+router.put('/settings', validators.updateSettings, async (req, res) => {
+  const updates = Object.entries(req.body || {});
+
+  await Promise.all(updates.map(([key, value]) => updateSetting(key, value, req.user._id)));
+
+  res.json({
+    message: 'Settings updated successfully',
+    settings: await getSettings()
+  });
+});
+
+// Platform-wide stats
+router.get('/stats', async (req, res) => {
+  const now = new Date();
+  const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+  const oneYearAgo = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
+
+  const [
+    usersByRole,
+    newUsers,
+    suspendedUsers,
+    activeGigs,
+    pendingGigs,
+    totalGigs,
+    ordersByStatus,
+    revenue,
+    monthlyRevenue,
+    openDisputes,
+    reportedReviews
+  ] = await Promise.all([
+    User.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]),
+    User.countDocuments({ createdAt: { $gte: thirtyDaysAgo } }),
+    User.countDocuments({ isSuspended: true }),
+    Gig.countDocuments(LISTED_GIG_QUERY),
+    Gig.countDocuments({ status: 'pending_review' }),
+    Gig.countDocuments(),
+    Order.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    Order.aggregate([
+      { $match: REVENUE_ORDER_QUERY },
+      { $set: REVENUE_FIELDS },
+      {
+        $group: {
+          _id: null,
+          grossVolume: { $sum: '$keptAmount' },
+          sellerEarnings: { $sum: '$sellerShare' },
+          orders: { $sum: 1 }
+        }
+      }
+    ]),
+    Order.aggregate([
+      { $match: { ...REVENUE_ORDER_QUERY, completedAt: { $gte: oneYearAgo } } },
+      { $set: REVENUE_FIELDS },
+      {
+        $group: {
+          _id: {
+            year: { $year: '$completedAt' },
+            month: { $month: '$completedAt' }
+          },
+          grossVolume: { $sum: '$keptAmount' },
+          platformRevenue: { $sum: { $subtract: ['$keptAmount', '$sellerShare'] } },
+          orders: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.year': 1, '_id.month': 1 } }
+    ]),
+    Order.countDocuments({ 'dispute.status': 'open' }),
+    Review.countDocuments({ isReported: true })
+  ]);
+
+  const totals = revenue[0] || { grossVolume: 0, sellerEarnings: 0, orders: 0 };
+
+  res.json({
+    users: {
+      byRole: Object.fromEntries(usersByRole.map(item => [item._id, item.count])),
+      newLast30Days: newUsers,
+      suspended: suspendedUsers
+    },
+    gigs: {
+      total: totalGigs,
+      active: activeGigs,
+      pendingReview: pendingGigs
+    },
+    orders: {
+      byStatus: Object.fromEntries(ordersByStatus.map(item => [item._id, item.count])),
+      openDisputes
+    },
+    revenue: {
+      grossVolume: totals.grossVolume,
+      sellerEarnings: totals.sellerEarnings,
+      platformRevenue: totals.grossVolume - totals.sellerEarnings,
+      completedOrders: totals.orders
+    },
+    monthlyRevenue,
+    reportedReviews
+  });
+});
+
+export default router;
@@ -1,113 +1,358 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 import { authenticateToken } from '../middleware/auth.js';
+import * as validators from '../validators/auth.js';
+import {
+  createToken,
+  getPasswordResetTokenTTL,
+  getVerificationTokenTTL,
+  hashToken
+} from '../utils/authTokens.js';
+import {
+  sendPasswordChangedEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+} from '../utils/emails.js';
+import {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions
+} from '../utils/sessions.js';
+import { assertLoginAllowed, getLoginThrottle, recordLoginFailure } from '../utils/loginThrottle.js';
+import {
+  createChallengeToken,
+  verifyChallengeToken,
+  verifyTwoFactorCode
+} from '../utils/twoFactor.js';
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  UnauthorizedError
+} from '../utils/errors.js';
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+// Start a session and respond with its tokens
+const sendLoginResponse = async (req, res, user) => {
+  const { accessToken, refreshToken } = await createSession(user, req);
+
+  // Return user without password
+  const userResponse = {
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    fullName: user.fullName,
+    avatar: user.avatar,
+    isVerified: user.isVerified
+  };
+
+  res.json({
+    message: 'Login successful',
+    token: accessToken,
+    refreshToken,
+    user: userResponse
+  });
 };
 
-// Register
-router.post('/register', async (req, res) => {
+// Give the user a fresh verification token and email it.
+// A failed email shouldn't fail the request; the user can ask for another.
+const startEmailVerification = async (user) => {
+  const { token, hash } = createToken();
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      verificationToken: hash,
+      verificationExpires: new Date(Date.now() + getVerificationTokenTTL())
+    }
+  );
+
   try {
-    const { username, email, password, role, fullName } = req.body;
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    console.error('Verification email error:', error);
+  }
+};
 
-    // Check if user already exists
-    const existingUser = await User.findOne({
-      $or: [{ email }, { username }]
-    });
+// Register
+router.post('/register', validators.register, async (req, res) => {
+  const { username, email, password, role, fullName } = req.body;
 
-    if (existingUser) {
-      return res.status(400).json({
-        message: 'User with this email or username already exists'
-      });
-    }
+  // Check if user already exists
+  const existingUser = await User.findOne({
+    $or: [{ email }, { username }]
+  });
 
-    // Create new user
-    const user = new User({
-      username,
-      email,
-      password,
-      role,
-      fullName
-    });
+  if (existingUser) {
+    throw new ConflictError('User with this email or username already exists', { code: 'USER_EXISTS' });
+  }
 
-    await user.save();
-
-    // Generate token
-    const token = generateToken(user._id);
-
-    // Return user without password
-    const userResponse = {
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      role: user.role,
-      fullName: user.fullName,
-      avatar: user.avatar
-    };
-
-    res.status(201).json({
-      message: 'User registered successfully',
-      token,
-      user: userResponse
-    });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error creating user',
-      error: error.message
+  // Create new user
+  const user = new User({
+    username,
+    email,
+    password,
+    role,
+    fullName
+  });
+
+  await user.save();
+  await startEmailVerification(user);
+
+  // Start a session
+  const { accessToken, refreshToken } = await createSession(user, req);
+
+  // Return user without password
+  const userResponse = {
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    fullName: user.fullName,
+    avatar: user.avatar,
+    isVerified: user.isVerified
+  };
+
+  res.status(201).json({
+    message: 'User registered successfully',
+    token: accessToken,
+    refreshToken,
+    user: userResponse
+  });
+});
+
+// Login
+router.post('/login', validators.login, async (req, res) => {
+  const { email, password } = req.body;
+
+  await assertLoginAllowed(req, email);
+
+  // Find user by email
+  const user = await User.findOne({ email });
+  if (!user) {
+    await recordLoginFailure(req, email);
+    throw new UnauthorizedError('Invalid email or password', { code: 'INVALID_CREDENTIALS' });
+  }
+
+  // Check password
+  const isPasswordValid = await user.comparePassword(password);
+  if (!isPasswordValid) {
+    await recordLoginFailure(req, email, user);
+    throw new UnauthorizedError('Invalid email or password', { code: 'INVALID_CREDENTIALS' });
+  }
+
+  if (user.isSuspended) {
+    throw new ForbiddenError('Account suspended', { code: 'ACCOUNT_SUSPENDED' });
+  }
+
+  // Accounts with 2FA finish signing in at /login/2fa. Their failures are only
+  // cleared there, so logging in again can't reset the count of code guesses.
+  if (user.twoFactor?.enabled) {
+    return res.json({
+      message: 'Two-factor code required',
+      twoFactorRequired: true,
+      challengeToken: createChallengeToken(user._id)
     });
   }
+
+  await getLoginThrottle().recordSuccess({ email });
+  await sendLoginResponse(req, res, user);
 });
 
-// Login
-router.post('/login', async (req, res) => {
+// Second login step for accounts with 2FA: a TOTP or backup code
+router.post('/login/2fa', validators.loginTwoFactor, async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  let challenge;
   try {
-    const { email, password } = req.body;
-
-    // Find user by email
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(401).json({
-        message: 'Invalid email or password'
-      });
-    }
+    challenge = verifyChallengeToken(challengeToken);
+  } catch (error) {
+    throw new UnauthorizedError('Invalid or expired login challenge', { code: 'INVALID_LOGIN_CHALLENGE' });
+  }
+
+  const user = await User.findById(challenge.userId);
+  if (!user) {
+    throw new UnauthorizedError('User not found');
+  }
+
+  // Code guesses count against the account like password guesses
+  await assertLoginAllowed(req, user.email);
+
+  const method = await verifyTwoFactorCode(user._id, code);
+  if (!method) {
+    await recordLoginFailure(req, user.email, user);
+    throw new UnauthorizedError('Invalid two-factor code', { code: 'INVALID_TWO_FACTOR_CODE' });
+  }
+
+  await getLoginThrottle().recordSuccess({ email: user.email });
+
+  if (user.isSuspended) {
+    throw new ForbiddenError('Account suspended', { code: 'ACCOUNT_SUSPENDED' });
+  }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        message: 'Invalid email or password'
-      });
+  await sendLoginResponse(req, res, user);
+});
+
+// Swap a refresh token for a new access/refresh token pair
+router.post('/refresh', validators.refresh, async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const session = await refreshSession(refreshToken, req);
+
+  res.json({
+    token: session.accessToken,
+    refreshToken: session.refreshToken
+  });
+});
+
+// Logout (ends the current session)
+router.post('/logout', authenticateToken, async (req, res) => {
+  await revokeSession(req.authSession._id, 'logout');
+
+  res.json({ message: 'Logged out successfully' });
+});
+
+// List my active sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+
+  res.json(sessions.map(session => ({
+    id: session._id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: session._id.equals(req.authSession._id)
+  })));
+});
+
+// Revoke all sessions except the current one
+router.post('/sessions/revoke-others', authenticateToken, async (req, res) => {
+  const revoked = await revokeUserSessions(req.user._id, {
+    except: req.authSession._id,
+    reason: 'revoke_others'
+  });
+
+  res.json({ message: 'Other sessions revoked', revoked });
+});
+
+// Revoke one of my sessions
+router.delete('/sessions/:id', authenticateToken, validators.sessionId, async (req, res) => {
+  const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+  if (!session || session.revokedAt) {
+    throw new NotFoundError('Session not found');
+  }
+
+  await revokeSession(session._id, 'revoked');
+
+  res.json({ message: 'Session revoked' });
+});
+
+// Verify email address
+router.post('/verify-email', validators.verifyEmail, async (req, res) => {
+  const { token } = req.body;
+
+  // Tokens are single-use: clearing it in the same query means a replay finds nothing
+  const user = await User.findOneAndUpdate(
+    {
+      verificationToken: hashToken(token),
+      verificationExpires: { $gt: new Date() }
+    },
+    {
+      isVerified: true,
+      $unset: { verificationToken: 1, verificationExpires: 1 }
+    },
+    { new: true }
+  );
+
+  if (!user) {
+    throw new BadRequestError('Invalid or expired verification token', { code: 'INVALID_TOKEN' });
+  }
+
+  res.json({ message: 'Email verified successfully' });
+});
+
+// Send a new verification email
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  if (req.user.isVerified) {
+    throw new ConflictError('Email is already verified', { code: 'ALREADY_VERIFIED' });
+  }
+
+  await startEmailVerification(req.user);
+
+  res.json({ message: 'Verification email sent' });
+});
+
+// Email a password reset link
+router.post('/forgot-password', validators.forgotPassword, async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+
+  // Same response either way so the endpoint can't be used to find accounts
+  if (user) {
+    const { token, hash } = createToken();
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        resetPasswordToken: hash,
+        resetPasswordExpires: new Date(Date.now() + getPasswordResetTokenTTL())
+      }
+    );
+
+    try {
+      await sendPasswordResetEmail(user, token);
+    } catch (error) {
+      console.error('Password reset email error:', error);
     }
+  }
 
-    // Generate token
-    const token = generateToken(user._id);
-
-    // Return user without password
-    const userResponse = {
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      role: user.role,
-      fullName: user.fullName,
-      avatar: user.avatar
-    };
-
-    res.json({
-      message: 'Login successful',
-      token,
-      user: userResponse
-    });
+  res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+});
+
+// Set a new password with a reset token
+router.post('/reset-password', validators.resetPassword, async (req, res) => {
+  const { token, password } = req.body;
+
+  const user = await User.findOneAndUpdate(
+    {
+      resetPasswordToken: hashToken(token),
+      resetPasswordExpires: { $gt: new Date() }
+    },
+    { $unset: { resetPasswordToken: 1, resetPasswordExpires: 1 } },
+    { new: true }
+  );
+
+  if (!user) {
+    throw new BadRequestError('Invalid or expired reset token', { code: 'INVALID_TOKEN' });
+  }
+
+  user.password = password;
+  // The reset link proves the user owns the address
+  user.isVerified = true;
+  await user.save();
+
+  // Whoever knew the old password may still be signed in
+  await revokeUserSessions(user._id, { reason: 'password_reset' });
+
+  try {
+    await sendPasswordChangedEmail(user);
   } catch (error) {
-    res.status(500).json({
-      message: 'Error during login',
-      error: error.message
-    });
+    console.error('Password changed email error:', error);
   }
+
+  res.json({ message: 'Password reset successfully' });
 });
 
 // Get current user
@@ -119,6 +364,8 @@ router.get('/me', authenticateToken, (req, res) => {
     role: req.user.role,
     fullName: req.user.fullName,
     avatar: req.user.avatar,
+    isVerified: req.user.isVerified,
+    twoFactorEnabled: req.user.twoFactor?.enabled || false,
     description: req.user.description,
     skills: req.user.skills,
     rating: req.user.rating,
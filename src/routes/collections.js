@@ -0,0 +1,162 @@
+import express from 'express';
+import GigCollection from '../models/GigCollection.js';
+import { authenticateToken } from '../middleware/auth.js';
+import * as validators from '../validators/collections.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+import { favoriteGig, formatGig, getSaveableGig } from '../utils/favorites.js';
+
+// Named collections of saved gigs, private to the user who made them
+
+const router = express.Router();
+
+const MAX_COLLECTIONS = 100;
+const MAX_GIGS_PER_COLLECTION = 500;
+
+router.use(authenticateToken);
+
+const getOwnCollection = async (req) => {
+  const collection = await GigCollection.findOne({ _id: req.params.id, owner: req.user._id });
+
+  if (!collection) {
+    throw new NotFoundError('Collection not found');
+  }
+
+  return collection;
+};
+
+// Names are unique per user, ignoring case
+const saveCollection = async (collection) => {
+  try {
+    await collection.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ConflictError('You already have a collection with this name', { code: 'COLLECTION_EXISTS' });
+    }
+    throw error;
+  }
+};
+
+// My collections, most recently changed first
+router.get('/', async (req, res) => {
+  const collections = await GigCollection.aggregate([
+    { $match: { owner: req.user._id } },
+    { $sort: { updatedAt: -1 } },
+    {
+      $project: {
+        name: 1,
+        description: 1,
+        gigCount: { $size: '$gigs' },
+        createdAt: 1,
+        updatedAt: 1
+      }
+    }
+  ]);
+
+  res.json({ collections });
+});
+
+router.post('/', validators.createCollection, async (req, res) => {
+  const { name, description } = req.body;
+
+  const count = await GigCollection.countDocuments({ owner: req.user._id });
+  if (count >= MAX_COLLECTIONS) {
+    throw new ConflictError(`You can have at most ${MAX_COLLECTIONS} collections`, { code: 'COLLECTION_LIMIT' });
+  }
+
+  const collection = new GigCollection({ owner: req.user._id, name, description });
+  await saveCollection(collection);
+
+  res.status(201).json({
+    message: 'Collection created',
+    collection
+  });
+});
+
+// One collection with its gigs, most recently added first
+router.get('/:id', validators.collectionId, async (req, res) => {
+  const collection = await GigCollection.findOne({ _id: req.params.id, owner: req.user._id })
+    .populate({
+      path: 'gigs.gig',
+      select: 'title images pricing rating totalReviews freelancer favorites status isActive isPaused archivedAt',
+      populate: { path: 'freelancer', select: 'username fullName avatar rating totalReviews isOnline' }
+    });
+
+  if (!collection) {
+    throw new NotFoundError('Collection not found');
+  }
+
+  const { gigs, ...rest } = collection.toObject();
+
+  res.json({
+    ...rest,
+    gigs: gigs
+      .filter(entry => entry.gig)
+      .reverse()
+      .map(({ gig, addedAt }) => ({ ...formatGig(gig, req.user), addedAt }))
+  });
+});
+
+router.put('/:id', validators.updateCollection, async (req, res) => {
+  const collection = await getOwnCollection(req);
+  const { name, description } = req.body;
+
+  if (name !== undefined) collection.name = name;
+  if (description !== undefined) collection.description = description;
+
+  await saveCollection(collection);
+
+  res.json({
+    message: 'Collection updated',
+    collection
+  });
+});
+
+// Deleting a collection keeps its gigs in the user's favorites
+router.delete('/:id', validators.collectionId, async (req, res) => {
+  const collection = await getOwnCollection(req);
+
+  await collection.deleteOne();
+
+  res.json({ message: 'Collection deleted' });
+});
+
+// Adding a gig to a collection also saves it
+router.post('/:id/gigs', validators.addGig, async (req, res) => {
+  const collection = await getOwnCollection(req);
+  const gig = await getSaveableGig(req.body.gigId, req.user);
+
+  await favoriteGig(gig._id, req.user._id);
+
+  // Adding a gig that is already there changes nothing
+  const result = await GigCollection.updateOne(
+    {
+      _id: collection._id,
+      'gigs.gig': { $ne: gig._id },
+      [`gigs.${MAX_GIGS_PER_COLLECTION - 1}`]: { $exists: false }
+    },
+    { $push: { gigs: { gig: gig._id } } }
+  );
+
+  if (result.matchedCount === 0) {
+    const isInCollection = await GigCollection.exists({ _id: collection._id, 'gigs.gig': gig._id });
+    if (!isInCollection) {
+      throw new ConflictError(`A collection can hold at most ${MAX_GIGS_PER_COLLECTION} gigs`, { code: 'COLLECTION_FULL' });
+    }
+  }
+
+  res.json({ message: 'Gig added to collection' });
+});
+
+// Removing a gig from a collection keeps it in the user's favorites
+router.delete('/:id/gigs/:gigId', validators.removeGig, async (req, res) => {
+  const collection = await getOwnCollection(req);
+
+  await GigCollection.updateOne(
+    { _id: collection._id },
+    { $pull: { gigs: { gig: req.params.gigId } } }
+  );
+
+  res.json({ message: 'Gig removed from collection' });
+});
+
+export default router;
@@ -0,0 +1,148 @@
+import express from 'express';
+import LedgerTransaction from '../models/LedgerTransaction.js';
+import Withdrawal from '../models/Withdrawal.js';
+import { authenticateToken, requireRole, requireTwoFactor } from '../middleware/auth.js';
+import {
+  getSellerBalances,
+  postWithdrawalRequested,
+  postWithdrawalReturned
+} from '../utils/ledger.js';
+import * as validators from '../validators/earnings.js';
+import { BadRequestError, ConflictError, NotFoundError } from '../utils/errors.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole(['freelancer']));
+
+const getMinimumWithdrawal = () => Number(process.env.MIN_WITHDRAWAL_AMOUNT) || 10;
+
+// Get available / pending balances
+router.get('/balance', async (req, res) => {
+  const sellerId = req.user._id;
+
+  const [balances, upcoming] = await Promise.all([
+    getSellerBalances(sellerId),
+    LedgerTransaction.find({
+      type: 'completion',
+      cleared: false,
+      'entries.user': sellerId
+    })
+      .select('order availableAt entries')
+      .sort({ availableAt: 1 })
+      .limit(20)
+  ]);
+
+  res.json({
+    ...balances,
+    minimumWithdrawal: getMinimumWithdrawal(),
+    upcomingClearances: upcoming.map(transaction => ({
+      orderId: transaction.order,
+      availableAt: transaction.availableAt,
+      amount: transaction.entries.find(entry => entry.account === 'seller_pending')?.credit || 0
+    }))
+  });
+});
+
+// Get ledger movements on my balance
+router.get('/transactions', validators.listTransactions, async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const sellerId = req.user._id;
+  const query = { 'entries.user': sellerId };
+
+  const [transactions, total] = await Promise.all([
+    LedgerTransaction.find(query)
+      .populate('order', 'packageDetails.title')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit),
+    LedgerTransaction.countDocuments(query)
+  ]);
+
+  res.json({
+    transactions: transactions.map(transaction => ({
+      id: transaction._id,
+      type: transaction.type,
+      description: transaction.description,
+      order: transaction.order,
+      withdrawal: transaction.withdrawal,
+      createdAt: transaction.createdAt,
+      // Only the seller's own accounts
+      entries: transaction.entries
+        .filter(entry => entry.user?.toString() === sellerId.toString())
+        .map(({ account, debit, credit }) => ({ account, amount: credit - debit }))
+    })),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// Get my withdrawals
+router.get('/withdrawals', async (req, res) => {
+  const withdrawals = await Withdrawal.find({ seller: req.user._id })
+    .sort({ createdAt: -1 });
+
+  res.json(withdrawals);
+});
+
+// Request a withdrawal
+router.post('/withdrawals', validators.requestWithdrawal, requireTwoFactor('security.requireTwoFactorForWithdrawals'), async (req, res) => {
+  const { amount, method } = req.body;
+  const withdrawalAmount = Math.round(Number(amount) * 100) / 100;
+
+  if (!(withdrawalAmount >= getMinimumWithdrawal())) {
+    throw new BadRequestError(`Minimum withdrawal is $${getMinimumWithdrawal()}`, { code: 'BELOW_MINIMUM_WITHDRAWAL' });
+  }
+
+  const { available } = await getSellerBalances(req.user._id);
+  if (withdrawalAmount > available) {
+    throw new BadRequestError('Insufficient available balance', { code: 'INSUFFICIENT_BALANCE' });
+  }
+
+  const withdrawal = new Withdrawal({
+    seller: req.user._id,
+    amount: withdrawalAmount,
+    method
+  });
+
+  await withdrawal.save();
+  await postWithdrawalRequested(withdrawal);
+
+  // Two requests racing past the balance check would leave the balance negative
+  const after = await getSellerBalances(req.user._id);
+  if (after.available < 0) {
+    withdrawal.status = 'cancelled';
+    withdrawal.note = 'Insufficient available balance';
+    await withdrawal.save();
+    await postWithdrawalReturned(withdrawal);
+
+    throw new ConflictError('Insufficient available balance', { code: 'INSUFFICIENT_BALANCE' });
+  }
+
+  res.status(201).json({
+    message: 'Withdrawal requested successfully',
+    withdrawal
+  });
+});
+
+// Cancel a pending withdrawal
+router.post('/withdrawals/:id/cancel', validators.withdrawalId, async (req, res) => {
+  const withdrawal = await Withdrawal.findOneAndUpdate(
+    { _id: req.params.id, seller: req.user._id, status: 'pending' },
+    { status: 'cancelled', processedAt: new Date() },
+    { new: true }
+  );
+
+  if (!withdrawal) {
+    throw new NotFoundError('Pending withdrawal not found');
+  }
+
+  await postWithdrawalReturned(withdrawal);
+
+  res.json({ message: 'Withdrawal cancelled successfully', withdrawal });
+});
+
+export default router;
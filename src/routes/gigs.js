@@ -1,199 +1,326 @@
 import express from 'express';
 import Gig from '../models/Gig.js';
-import { authenticateToken, requireRole } from '../middleware/auth.js';
+import GigCollection from '../models/GigCollection.js';
+import Order from '../models/Order.js';
+import { authenticateToken, requireRole, optionalAuth, requireVerifiedEmail } from '../middleware/auth.js';
+import * as validators from '../validators/gigs.js';
+import { ConflictError, ForbiddenError, InvalidTransitionError, NotFoundError } from '../utils/errors.js';
+import { favoriteGig, formatGig, getFavoriteCount, getSaveableGig, unfavoriteGig } from '../utils/favorites.js';
+import { getGigAnalytics, getGigTracker } from '../utils/gigTracking.js';
+import { searchGigs, suggestGigs, syncGigSearch } from '../utils/gigSearch.js';
 
 const router = express.Router();
 
-// Get all gigs with filters
-router.get('/', async (req, res) => {
-  try {
-    const { category, search, minPrice, maxPrice, page = 1, limit = 12 } = req.query;
-    
-    let query = { isActive: true };
-    
-    // Category filter
-    if (category && category !== 'all') {
-      query.category = category;
-    }
-    
-    // Search filter
-    if (search) {
-      query.$text = { $search: search };
-    }
-    
-    // Price filter
-    if (minPrice || maxPrice) {
-      query['price.basic.price'] = {};
-      if (minPrice) query['price.basic.price'].$gte = Number(minPrice);
-      if (maxPrice) query['price.basic.price'].$lte = Number(maxPrice);
-    }
+// Drop fields the gig owner isn't allowed to set
+const pickEditableFields = (body) => {
+  const updates = { ...body };
+  Gig.PROTECTED_FIELDS.forEach(field => delete updates[field]);
+  return updates;
+};
 
-    const skip = (Number(page) - 1) * Number(limit);
-    
-    const gigs = await Gig.find(query)
-      .populate('freelancer', 'username fullName avatar rating totalReviews')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(Number(limit));
-
-    const total = await Gig.countDocuments(query);
-    
-    res.json({
-      gigs,
-      pagination: {
-        page: Number(page),
-        limit: Number(limit),
-        total,
-        pages: Math.ceil(total / Number(limit))
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error fetching gigs',
-      error: error.message
-    });
+// Comparable form of a field value: sorted keys, no subdocument ids
+const canonical = (value) => JSON.stringify(value ?? null, (key, val) => {
+  if (val && typeof val === 'object' && !Array.isArray(val)) {
+    return Object.keys(val)
+      .filter(k => k !== '_id')
+      .sort()
+      .reduce((obj, k) => ({ ...obj, [k]: val[k] }), {});
   }
+  return val;
 });
 
-//  Get user's gigs (freelancer only)
-router.get('/user/my-gigs', authenticateToken, requireRole(['freelancer']), async (req, res) => {
-  try {
-    const gigs = await Gig.find({ freelancer: req.user._id })
-      .sort({ createdAt: -1 });
-    
-    res.json(gigs);
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error fetching user gigs',
-      error: error.message
-    });
+// Orders in these states are over; any other order keeps its gig from being deleted
+const FINISHED_ORDER_STATUSES = ['completed', 'cancelled'];
+
+// Stripe checkout sessions expire after a day, so unpaid orders older than
+// that were abandoned at checkout and don't count as active
+const CHECKOUT_LIFETIME = 24 * 60 * 60 * 1000;
+
+// The current user's gig, for changes by its owner. Archived gigs can't be changed.
+const getOwnGig = async (req, action) => {
+  const gig = await Gig.findById(req.params.id);
+
+  if (!gig || gig.archivedAt) {
+    throw new NotFoundError('Gig not found');
+  }
+
+  if (gig.freelancer.toString() !== req.user._id.toString()) {
+    throw new ForbiddenError(`Not authorized to ${action} this gig`);
   }
+
+  return gig;
+};
+
+// Days covered by each analytics period
+const ANALYTICS_PERIODS = { '7d': 7, '30d': 30, '90d': 90 };
+
+// Query values arrive as strings (the validators have checked them)
+const toNumber = (value) => (value === undefined ? undefined : Number(value));
+
+// Search listed gigs, with facet counts for the filter sidebar
+router.get('/', validators.listGigs, optionalAuth, async (req, res) => {
+  const { search, category, subcategory, country, language, sort, online } = req.query;
+
+  const result = await searchGigs({
+    search,
+    category,
+    subcategory,
+    minPrice: toNumber(req.query.minPrice),
+    maxPrice: toNumber(req.query.maxPrice),
+    maxDeliveryDays: toNumber(req.query.maxDeliveryDays),
+    minRating: toNumber(req.query.minRating),
+    country,
+    language,
+    online: online === undefined ? undefined : online === 'true',
+    sort,
+    page: toNumber(req.query.page) || 1,
+    limit: toNumber(req.query.limit) || 12,
+    viewer: req.user?._id
+  });
+
+  getGigTracker().recordImpressions(result.gigs.map(gig => gig._id));
+
+  res.json(result);
 });
 
-// Get single gig
-router.get('/:id', async (req, res) => {
-  try {
-    const gig = await Gig.findById(req.params.id)
-      .populate('freelancer', 'username fullName avatar rating totalReviews description isOnline');
-    
-    if (!gig) {
-      return res.status(404).json({ message: 'Gig not found' });
+// Autocomplete for the search box
+router.get('/suggest', validators.suggest, async (req, res) => {
+  const { q, limit } = req.query;
+
+  const suggestions = await suggestGigs(q, { limit: toNumber(limit) || 5 });
+
+  res.json({ query: q, ...suggestions });
+});
+
+// Gigs the current user has saved
+router.get('/favorites', authenticateToken, validators.listFavorites, async (req, res) => {
+  const page = toNumber(req.query.page) || 1;
+  const limit = toNumber(req.query.limit) || 12;
+  const query = { favorites: req.user._id, status: 'approved', isActive: true, archivedAt: null };
+
+  const [gigs, total] = await Promise.all([
+    Gig.find(query)
+      .populate('freelancer', 'username fullName avatar rating totalReviews isOnline')
+      .sort({ _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Gig.countDocuments(query)
+  ]);
+
+  res.json({
+    gigs: gigs.map(gig => formatGig(gig, req.user)),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
     }
-    
-    res.json(gig);
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error fetching gig',
-      error: error.message
-    });
+  });
+});
+
+//  Get user's gigs (freelancer only). Deleted gigs are listed with ?archived=true.
+router.get('/user/my-gigs', authenticateToken, requireRole(['freelancer']), validators.myGigs, async (req, res) => {
+  const archived = req.query.archived === 'true';
+  const gigs = await Gig.find({ freelancer: req.user._id, archivedAt: archived ? { $ne: null } : null })
+    .sort({ createdAt: -1 });
+  
+  res.json(gigs.map(gig => formatGig(gig, req.user)));
+});
+
+// Get single gig
+router.get('/:id', validators.gigId, optionalAuth, async (req, res) => {
+  const gig = await Gig.findById(req.params.id)
+    .populate('freelancer', 'username fullName avatar rating totalReviews description isOnline');
+  
+  if (!gig) {
+    throw new NotFoundError('Gig not found');
   }
+
+  // Unapproved gigs are only visible to their owner and admins
+  const isOwner = req.user && gig.freelancer._id.toString() === req.user._id.toString();
+  if (gig.status !== 'approved' && !isOwner && req.user?.role !== 'admin') {
+    throw new NotFoundError('Gig not found');
+  }
+
+  // Owners looking at their own gig don't count as clicks
+  if (!isOwner) {
+    getGigTracker().recordClick(gig._id);
+  }
+  
+  res.json(formatGig(gig, req.user));
 });
 
-// Create new gig (freelancers only)
-router.post('/', authenticateToken, requireRole(['freelancer']), async (req, res) => {
-  try {
-    const gigData = {
-      ...req.body,
-      freelancer: req.user._id,
-      price: req.body.pricing ? {
-        basic: req.body.pricing.basic
-      } : undefined
-    };
-
-    if(!gigData.title || !gigData.description || !gigData.category) {
-      return res.status(400).json({message: 'Missing required fields'});
-    }
-    
-    const gig = new Gig(gigData);
-    await gig.save();
-    
-    const populatedGig = await Gig.findById(gig._id)
-      .populate('freelancer', 'username fullName avatar rating totalReviews');
-    
-    res.status(201).json({
-      message: 'Gig created successfully',
-      gig: populatedGig
-    });
-  } catch (error) {
-    console.error('Detailed error:', error);
-    res.status(500).json({
-      message: 'Error creating gig',
-      error: error.message,
-      ...(error.name === 'ValidationError' && {errors: error.errors})
-    });
+// Save a gig to the current user's favorites
+router.post('/:id/favorite', authenticateToken, validators.gigId, async (req, res) => {
+  const gig = await getSaveableGig(req.params.id, req.user);
+
+  await favoriteGig(gig._id, req.user._id);
+
+  res.json({
+    message: 'Gig saved',
+    isFavorited: true,
+    favoriteCount: await getFavoriteCount(gig._id)
+  });
+});
+
+// Remove a gig from the current user's favorites and collections
+router.delete('/:id/favorite', authenticateToken, validators.gigId, async (req, res) => {
+  const gig = await Gig.findById(req.params.id).select('_id');
+
+  if (!gig) {
+    throw new NotFoundError('Gig not found');
+  }
+
+  await unfavoriteGig(gig._id, req.user._id);
+
+  res.json({
+    message: 'Gig removed from saved gigs',
+    isFavorited: false,
+    favoriteCount: await getFavoriteCount(gig._id)
+  });
+});
+
+// Daily impressions, clicks, orders and conversion (owner or admin)
+router.get('/:id/analytics', authenticateToken, validators.analytics, async (req, res) => {
+  const { period = '30d' } = req.query;
+  const gig = await Gig.findById(req.params.id).select('freelancer title impressions clicks totalOrders favorites');
+
+  if (!gig) {
+    throw new NotFoundError('Gig not found');
   }
+
+  if (gig.freelancer.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    throw new ForbiddenError('Not authorized to view analytics for this gig');
+  }
+
+  const to = new Date();
+  const from = new Date(to.getTime() - (ANALYTICS_PERIODS[period] - 1) * 24 * 60 * 60 * 1000);
+
+  const analytics = await getGigAnalytics(gig._id, { from, to });
+
+  res.json({
+    gigId: gig._id,
+    title: gig.title,
+    period,
+    lifetime: {
+      impressions: gig.impressions,
+      clicks: gig.clicks,
+      orders: gig.totalOrders,
+      favorites: gig.favorites.length
+    },
+    ...analytics
+  });
+});
+
+// Create new gig (freelancers only)
+router.post('/', authenticateToken, requireRole(['freelancer']), requireVerifiedEmail('sell'), validators.createGig, async (req, res) => {
+  const gigData = {
+    ...pickEditableFields(req.body),
+    freelancer: req.user._id
+  };
+  
+  const gig = new Gig(gigData);
+  await gig.save();
+  await syncGigSearch(gig._id);
+  
+  const populatedGig = await Gig.findById(gig._id)
+    .populate('freelancer', 'username fullName avatar rating totalReviews');
+  
+  res.status(201).json({
+    message: 'Gig submitted for review',
+    gig: formatGig(populatedGig, req.user)
+  });
 });
 
 // Update gig (freelancer only, own gigs)
-router.put('/:id', authenticateToken, requireRole(['freelancer']), async (req, res) => {
-  try {
-    const gig = await Gig.findById(req.params.id);
-    
-    if (!gig) {
-      return res.status(404).json({ message: 'Gig not found' });
-    }
-    
-    // Check if user owns the gig
-    if (gig.freelancer.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to update this gig' });
-    }
-    
-    const updatedGig = await Gig.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate('freelancer', 'username fullName avatar rating totalReviews');
-    
-    res.json({
-      message: 'Gig updated successfully',
-      gig: updatedGig
-    });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error updating gig',
-      error: error.message
-    });
+router.put('/:id', authenticateToken, requireRole(['freelancer']), validators.updateGig, async (req, res) => {
+  const gig = await getOwnGig(req, 'update');
+  
+  const before = Gig.REVIEWED_FIELDS.map(field => canonical(gig.get(field)));
+  gig.set(pickEditableFields(req.body));
+  const after = Gig.REVIEWED_FIELDS.map(field => canonical(gig.get(field)));
+
+  // Material edits and any edit to a rejected gig go back through moderation
+  const needsReview = gig.status === 'rejected' || before.some((value, i) => value !== after[i]);
+  if (needsReview) {
+    gig.submitForReview();
   }
+
+  await gig.save();
+  await syncGigSearch(gig._id);
+
+  const updatedGig = await Gig.findById(gig._id)
+    .populate('freelancer', 'username fullName avatar rating totalReviews');
+  
+  res.json({
+    message: needsReview ? 'Gig updated and submitted for review' : 'Gig updated successfully',
+    gig: formatGig(updatedGig, req.user)
+  });
 });
 
-// Delete gig (freelancer only, own gigs)
-router.delete('/:id', authenticateToken, requireRole(['freelancer']), async (req, res) => {
-  try {
-    const gig = await Gig.findById(req.params.id);
-    
-    if (!gig) {
-      return res.status(404).json({ message: 'Gig not found' });
-    }
-    
-    // Check if user owns the gig
-    if (gig.freelancer.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to delete this gig' });
-    }
-    
-    await Gig.findByIdAndDelete(req.params.id);
-    
-    res.json({ message: 'Gig deleted successfully' });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error deleting gig',
-      error: error.message
-    });
+// Take a gig off the marketplace for a while (freelancer only, own gigs)
+router.post('/:id/pause', authenticateToken, requireRole(['freelancer']), validators.gigId, async (req, res) => {
+  const gig = await getOwnGig(req, 'pause');
+
+  if (gig.isPaused) {
+    throw new InvalidTransitionError('Gig is already paused');
   }
+
+  gig.isPaused = true;
+  await gig.save();
+  await syncGigSearch(gig._id);
+
+  res.json({
+    message: 'Gig paused',
+    gig: formatGig(gig, req.user)
+  });
 });
 
-// Get user's gigs (freelancer only)
-router.get('/user/my-gigs', authenticateToken, requireRole(['freelancer']), async (req, res) => {
-  try {
-    const gigs = await Gig.find({ freelancer: req.user._id })
-      .sort({ createdAt: -1 });
-    
-    res.json(gigs);
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error fetching user gigs',
-      error: error.message
-    });
+// Put a paused gig back on the marketplace (freelancer only, own gigs)
+router.post('/:id/resume', authenticateToken, requireRole(['freelancer']), validators.gigId, async (req, res) => {
+  const gig = await getOwnGig(req, 'resume');
+
+  if (!gig.isPaused) {
+    throw new InvalidTransitionError('Gig is not paused');
+  }
+
+  gig.isPaused = false;
+  await gig.save();
+  await syncGigSearch(gig._id);
+
+  res.json({
+    message: 'Gig resumed',
+    gig: formatGig(gig, req.user)
+  });
+});
+
+// Delete gig (freelancer only, own gigs). The gig is archived rather than
+// removed so existing orders and reviews keep pointing at it.
+router.delete('/:id', authenticateToken, requireRole(['freelancer']), validators.gigId, async (req, res) => {
+  const gig = await getOwnGig(req, 'delete');
+
+  const activeOrders = await Order.countDocuments({
+    gig: gig._id,
+    $or: [
+      { status: { $nin: [...FINISHED_ORDER_STATUSES, 'pending'] } },
+      { status: 'pending', createdAt: { $gt: new Date(Date.now() - CHECKOUT_LIFETIME) } }
+    ]
+  });
+  if (activeOrders > 0) {
+    throw new ConflictError(
+      `This gig has ${activeOrders} active order${activeOrders === 1 ? '' : 's'}. Pause it instead, and delete it once they are finished.`,
+      { code: 'GIG_HAS_ACTIVE_ORDERS' }
+    );
   }
+
+  gig.archivedAt = new Date();
+  await gig.save();
+  await Promise.all([
+    syncGigSearch(gig._id),
+    GigCollection.updateMany({ 'gigs.gig': gig._id }, { $pull: { gigs: { gig: gig._id } } })
+  ]);
+  
+  res.json({ message: 'Gig deleted successfully' });
 });
 
 export default router;
\ No newline at end of file
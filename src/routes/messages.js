@@ -1,283 +1,502 @@
 import express from 'express';
 import Message from '../models/Message.js';
 import Conversation from '../models/Conversation.js';
-import { authenticateToken } from '../middleware/auth.js';
-import { getIO } from '../socket/socketHandler.js';
+import { authenticateToken, isVerificationRequired } from '../middleware/auth.js';
+import { getIO, emitToUser } from '../socket/socketHandler.js';
+import { getStripe } from '../utils/stripe.js';
+import { createNotification } from '../utils/notifications.js';
+import {
+  buildOfferOrder,
+  checkoutOfferOrder,
+  expireOffer,
+  getOfferParties,
+  isOfferExpired,
+  normalizeOffer,
+  postOfferUpdate,
+  transitionOffer
+} from '../utils/customOffers.js';
+import * as validators from '../validators/messages.js';
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  InvalidTransitionError,
+  NotFoundError,
+  PaymentUnavailableError
+} from '../utils/errors.js';
 
 const router = express.Router();
 
 // Get user conversations
 router.get('/conversations', authenticateToken, async (req, res) => {
-  try {
-    const userId = req.user._id;
-    
-    const conversations = await Conversation.find({
-      participants: userId
-    })
-    .populate('participants', 'username fullName avatar isOnline lastSeen')
-    .populate('lastMessage')
-    .populate('gig', 'title images')
-    .populate('order', 'status totalAmount')
-    .sort({ lastActivity: -1 });
-
-    // Add unread count for current user
-    const conversationsWithUnread = conversations.map(conv => {
-      const unreadCount = conv.unreadCount.get(userId.toString()) || 0;
-      return {
-        ...conv.toObject(),
-        unreadCount
-      };
-    });
+  const userId = req.user._id;
+  
+  const conversations = await Conversation.find({
+    participants: userId
+  })
+  .populate('participants', 'username fullName avatar isOnline lastSeen')
+  .populate('lastMessage')
+  .populate('gig', 'title images')
+  .populate('order', 'status totalAmount')
+  .sort({ lastActivity: -1 });
+
+  // Add unread count for current user
+  const conversationsWithUnread = conversations.map(conv => {
+    const unreadCount = conv.unreadCount.get(userId.toString()) || 0;
+    return {
+      ...conv.toObject(),
+      unreadCount
+    };
+  });
+
+  res.json(conversationsWithUnread);
+});
 
-    res.json(conversationsWithUnread);
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error fetching conversations',
-      error: error.message
+// Get or create conversation
+router.post('/conversations', authenticateToken, validators.createConversation, async (req, res) => {
+  const { participantId, gigId, orderId } = req.body;
+  const userId = req.user._id;
+
+  if (userId.toString() === participantId) {
+    throw new BadRequestError('Cannot create conversation with yourself');
+  }
+
+  // Check if conversation already exists
+  let conversation = await Conversation.findOne({
+    participants: { $all: [userId, participantId] }
+  })
+  .populate('participants', 'username fullName avatar isOnline lastSeen')
+  .populate('lastMessage')
+  .populate('gig', 'title images')
+  .populate('order', 'status totalAmount');
+
+  if (!conversation) {
+    // Create new conversation
+    conversation = new Conversation({
+      participants: [userId, participantId],
+      gig: gigId || undefined,
+      order: orderId || undefined
     });
+
+    await conversation.save();
+    
+    conversation = await Conversation.findById(conversation._id)
+      .populate('participants', 'username fullName avatar isOnline lastSeen')
+      .populate('gig', 'title images')
+      .populate('order', 'status totalAmount');
   }
+
+  res.json(conversation);
 });
 
-// Get or create conversation
-router.post('/conversations', authenticateToken, async (req, res) => {
-  try {
-    const { participantId, gigId, orderId } = req.body;
-    const userId = req.user._id;
+// Get messages in conversation
+router.get('/conversations/:id/messages', authenticateToken, validators.listMessages, async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+  const conversationId = req.params.id;
+  const userId = req.user._id;
+
+  // Verify user is participant
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation || !conversation.participants.includes(userId)) {
+    throw new ForbiddenError('Not authorized to view this conversation');
+  }
 
-    if (userId.toString() === participantId) {
-      return res.status(400).json({ message: 'Cannot create conversation with yourself' });
+  const messages = await Message.find({ 
+    conversation: conversationId,
+    isDeleted: false
+  })
+  .populate('sender', 'username fullName avatar')
+  .sort({ createdAt: -1 })
+  .limit(limit * 1)
+  .skip((page - 1) * limit);
+
+  // Mark messages as read
+  await Message.updateMany(
+    { 
+      conversation: conversationId, 
+      receiver: userId, 
+      isRead: false 
+    },
+    { 
+      isRead: true, 
+      readAt: new Date() 
     }
+  );
 
-    // Check if conversation already exists
-    let conversation = await Conversation.findOne({
-      participants: { $all: [userId, participantId] }
-    })
-    .populate('participants', 'username fullName avatar isOnline lastSeen')
-    .populate('lastMessage')
-    .populate('gig', 'title images')
-    .populate('order', 'status totalAmount');
-
-    if (!conversation) {
-      // Create new conversation
-      conversation = new Conversation({
-        participants: [userId, participantId],
-        gig: gigId || undefined,
-        order: orderId || undefined
-      });
-
-      await conversation.save();
-      
-      conversation = await Conversation.findById(conversation._id)
-        .populate('participants', 'username fullName avatar isOnline lastSeen')
-        .populate('gig', 'title images')
-        .populate('order', 'status totalAmount');
-    }
+  // Update conversation unread count
+  conversation.unreadCount.set(userId.toString(), 0);
+  await conversation.save();
 
-    res.json(conversation);
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error creating conversation',
-      error: error.message
-    });
-  }
+  res.json(messages.reverse());
 });
 
-// Get messages in conversation
-router.get('/conversations/:id/messages', authenticateToken, async (req, res) => {
-  try {
-    const { page = 1, limit = 50 } = req.query;
-    const conversationId = req.params.id;
-    const userId = req.user._id;
-
-    // Verify user is participant
-    const conversation = await Conversation.findById(conversationId);
-    if (!conversation || !conversation.participants.includes(userId)) {
-      return res.status(403).json({ message: 'Not authorized to view this conversation' });
+// Send message
+router.post('/conversations/:id/messages', authenticateToken, validators.sendMessage, async (req, res) => {
+  const { content, messageType = 'text', attachments = [], customOffer } = req.body;
+  const conversationId = req.params.id;
+  const senderId = req.user._id;
+
+  // Verify conversation exists and user is participant
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation || !conversation.participants.includes(senderId)) {
+    throw new ForbiddenError('Not authorized to send message to this conversation');
+  }
+
+  const receiverId = conversation.participants.find(p => p.toString() !== senderId.toString());
+
+  // Only sellers send custom offers, and only offer messages carry one
+  let offer;
+  if (messageType === 'custom_offer') {
+    if (req.user.role !== 'freelancer') {
+      throw new ForbiddenError('Only sellers can send custom offers');
     }
 
-    const messages = await Message.find({ 
-      conversation: conversationId,
-      isDeleted: false
-    })
-    .populate('sender', 'username fullName avatar')
-    .sort({ createdAt: -1 })
-    .limit(limit * 1)
-    .skip((page - 1) * limit);
-
-    // Mark messages as read
-    await Message.updateMany(
-      { 
-        conversation: conversationId, 
-        receiver: userId, 
-        isRead: false 
-      },
-      { 
-        isRead: true, 
-        readAt: new Date() 
-      }
-    );
+    if (isVerificationRequired('sell') && !req.user.isVerified) {
+      throw new ForbiddenError('Please verify your email address first', { code: 'EMAIL_NOT_VERIFIED' });
+    }
 
-    // Update conversation unread count
-    conversation.unreadCount.set(userId.toString(), 0);
-    await conversation.save();
+    const result = normalizeOffer(customOffer);
+    if (result.error) {
+      throw new BadRequestError(result.error, { code: 'INVALID_OFFER' });
+    }
+    offer = { ...result.offer, seller: senderId };
+  }
 
-    res.json(messages.reverse());
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error fetching messages',
-      error: error.message
+  const message = new Message({
+    conversation: conversationId,
+    sender: senderId,
+    receiver: receiverId,
+    content: content || (offer && `Custom offer: ${offer.title}`),
+    messageType,
+    attachments,
+    customOffer: offer
+  });
+
+  await message.save();
+
+  // Update conversation
+  conversation.lastMessage = message._id;
+  conversation.lastActivity = new Date();
+  
+  // Update unread count for receiver
+  const currentUnread = conversation.unreadCount.get(receiverId.toString()) || 0;
+  conversation.unreadCount.set(receiverId.toString(), currentUnread + 1);
+  
+  await conversation.save();
+
+  // Populate message for response
+  await message.populate('sender', 'username fullName avatar');
+
+  // Emit to receiver via Socket.IO
+  const io = getIO();
+  io.to(`user_${receiverId}`).emit('new_message', {
+    message,
+    conversationId
+  });
+
+  if (offer) {
+    await createNotification({
+      recipient: receiverId,
+      sender: senderId,
+      type: 'custom_offer',
+      title: 'New Custom Offer',
+      message: `You received a custom offer for ${offer.title} ($${offer.price})`,
+      data: { messageId: message._id, conversationId }
     });
   }
+
+  res.status(201).json(message);
 });
 
-// Send message
-router.post('/conversations/:id/messages', authenticateToken, async (req, res) => {
+// Mark message as read
+router.patch('/messages/:id/read', authenticateToken, validators.messageId, async (req, res) => {
+  const messageId = req.params.id;
+  const userId = req.user._id;
+
+  const message = await Message.findOneAndUpdate(
+    { _id: messageId, receiver: userId, isRead: false },
+    { isRead: true, readAt: new Date() },
+    { new: true }
+  );
+
+  if (!message) {
+    throw new NotFoundError('Message not found or already read');
+  }
+
+  // Update conversation unread count
+  const conversation = await Conversation.findById(message.conversation);
+  const currentUnread = conversation.unreadCount.get(userId.toString()) || 0;
+  conversation.unreadCount.set(userId.toString(), Math.max(0, currentUnread - 1));
+  await conversation.save();
+
+  // Emit read receipt via Socket.IO
+  const io = getIO();
+  io.to(`user_${message.sender}`).emit('message_read', {
+    messageId,
+    readAt: message.readAt
+  });
+
+  res.json({ message: 'Message marked as read' });
+});
+
+// Throw unless the offer can still be answered.
+// Offers past expiresAt are expired on the spot.
+const assertOfferOpen = async (message, now) => {
+  if (message.customOffer.status === 'pending' && isOfferExpired(message.customOffer, now)) {
+    await expireOffer(message, { now });
+    throw new InvalidTransitionError('Offer has expired', { code: 'OFFER_EXPIRED' });
+  }
+
+  if (message.customOffer.status !== 'pending') {
+    throw new InvalidTransitionError('Offer is no longer available', { code: 'OFFER_CLOSED' });
+  }
+};
+
+// Accept custom offer. The buyer goes straight to checkout; a seller accepting
+// a counter-offer creates the order for the buyer to pay.
+router.post('/messages/:id/accept-offer', authenticateToken, validators.messageId, async (req, res) => {
+  const userId = req.user._id;
+  const now = new Date();
+
+  const message = await Message.findById(req.params.id);
+  if (!message || message.receiver.toString() !== userId.toString()) {
+    throw new ForbiddenError('Not authorized');
+  }
+
+  if (message.messageType !== 'custom_offer' || !message.customOffer) {
+    throw new BadRequestError('Not a custom offer message', { code: 'NOT_AN_OFFER' });
+  }
+
+  const { buyer } = getOfferParties(message);
+  const isBuyer = buyer.toString() === userId.toString();
+
+  if (isVerificationRequired(isBuyer ? 'buy' : 'sell') && !req.user.isVerified) {
+    throw new ForbiddenError('Please verify your email address first', { code: 'EMAIL_NOT_VERIFIED' });
+  }
+
+  if (isBuyer && !getStripe()) {
+    throw new PaymentUnavailableError();
+  }
+
+  await assertOfferOpen(message, now);
+
+  // Claim the offer so a double click can't create two orders
+  const accepted = await transitionOffer(message._id, 'accepted', {
+    now,
+    set: { 'customOffer.acceptedAt': now }
+  });
+
+  if (!accepted) {
+    throw new ConflictError('Offer is no longer available', { code: 'OFFER_CLOSED' });
+  }
+
+  let order;
+  let session;
   try {
-    const { content, messageType = 'text', attachments = [], customOffer } = req.body;
-    const conversationId = req.params.id;
-    const senderId = req.user._id;
-
-    // Verify conversation exists and user is participant
-    const conversation = await Conversation.findById(conversationId);
-    if (!conversation || !conversation.participants.includes(senderId)) {
-      return res.status(403).json({ message: 'Not authorized to send message to this conversation' });
+    const conversation = await Conversation.findById(accepted.conversation);
+    order = await buildOfferOrder(accepted, conversation);
+
+    if (isBuyer) {
+      session = await checkoutOfferOrder(order);
+    } else {
+      await order.save();
     }
+  } catch (error) {
+    // Put the offer back so it can be accepted again
+    await Message.updateOne(
+      { _id: accepted._id },
+      { 'customOffer.status': 'pending', $unset: { 'customOffer.acceptedAt': 1 } }
+    );
+    throw error;
+  }
 
-    const receiverId = conversation.participants.find(p => p.toString() !== senderId.toString());
+  await Promise.all([
+    Message.updateOne({ _id: accepted._id }, { 'customOffer.order': order._id }),
+    Conversation.updateOne({ _id: accepted.conversation }, { order: order._id })
+  ]);
+
+  await postOfferUpdate(accepted, {
+    from: userId,
+    to: accepted.sender,
+    content: isBuyer
+      ? `Custom offer "${accepted.customOffer.title}" was accepted`
+      : `Counter-offer "${accepted.customOffer.title}" was accepted and is ready for payment`,
+    title: 'Custom Offer Accepted',
+    data: { orderId: order._id }
+  });
+
+  res.json({
+    message: 'Offer accepted',
+    orderId: order._id,
+    ...(session && { sessionId: session.id, url: session.url })
+  });
+});
 
-    const message = new Message({
-      conversation: conversationId,
-      sender: senderId,
-      receiver: receiverId,
-      content,
-      messageType,
-      attachments,
-      customOffer
-    });
+// Decline custom offer
+router.post('/messages/:id/decline-offer', authenticateToken, validators.declineOffer, async (req, res) => {
+  const { reason } = req.body;
+  const userId = req.user._id;
+  const now = new Date();
 
-    await message.save();
+  const message = await Message.findById(req.params.id);
+  if (!message || message.receiver.toString() !== userId.toString()) {
+    throw new ForbiddenError('Not authorized');
+  }
 
-    // Update conversation
-    conversation.lastMessage = message._id;
-    conversation.lastActivity = new Date();
-    
-    // Update unread count for receiver
-    const currentUnread = conversation.unreadCount.get(receiverId.toString()) || 0;
-    conversation.unreadCount.set(receiverId.toString(), currentUnread + 1);
-    
-    await conversation.save();
+  if (message.messageType !== 'custom_offer' || !message.customOffer) {
+    throw new BadRequestError('Not a custom offer message', { code: 'NOT_AN_OFFER' });
+  }
 
-    // Populate message for response
-    await message.populate('sender', 'username fullName avatar');
+  await assertOfferOpen(message, now);
 
-    // Emit to receiver via Socket.IO
-    const io = getIO();
-    io.to(`user_${receiverId}`).emit('new_message', {
-      message,
-      conversationId
-    });
+  const declined = await transitionOffer(message._id, 'declined', {
+    now,
+    set: { 'customOffer.closedAt': now, 'customOffer.declineReason': reason }
+  });
 
-    res.status(201).json(message);
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error sending message',
-      error: error.message
-    });
+  if (!declined) {
+    throw new ConflictError('Offer is no longer available', { code: 'OFFER_CLOSED' });
   }
+
+  await postOfferUpdate(declined, {
+    from: userId,
+    to: declined.sender,
+    content: `Custom offer "${declined.customOffer.title}" was declined${reason ? `: ${reason}` : ''}`,
+    title: 'Custom Offer Declined'
+  });
+
+  res.json({ message: 'Offer declined', offer: declined });
 });
 
-// Mark message as read
-router.patch('/messages/:id/read', authenticateToken, async (req, res) => {
-  try {
-    const messageId = req.params.id;
-    const userId = req.user._id;
+// Withdraw a custom offer you sent
+router.post('/messages/:id/withdraw-offer', authenticateToken, validators.messageId, async (req, res) => {
+  const userId = req.user._id;
+  const now = new Date();
 
-    const message = await Message.findOneAndUpdate(
-      { _id: messageId, receiver: userId, isRead: false },
-      { isRead: true, readAt: new Date() },
-      { new: true }
-    );
+  const message = await Message.findById(req.params.id);
+  if (!message || message.sender.toString() !== userId.toString()) {
+    throw new ForbiddenError('Not authorized');
+  }
 
-    if (!message) {
-      return res.status(404).json({ message: 'Message not found or already read' });
-    }
+  if (message.messageType !== 'custom_offer' || !message.customOffer) {
+    throw new BadRequestError('Not a custom offer message', { code: 'NOT_AN_OFFER' });
+  }
 
-    // Update conversation unread count
-    const conversation = await Conversation.findById(message.conversation);
-    const currentUnread = conversation.unreadCount.get(userId.toString()) || 0;
-    conversation.unreadCount.set(userId.toString(), Math.max(0, currentUnread - 1));
-    await conversation.save();
+  await assertOfferOpen(message, now);
 
-    // Emit read receipt via Socket.IO
-    const io = getIO();
-    io.to(`user_${message.sender}`).emit('message_read', {
-      messageId,
-      readAt: message.readAt
-    });
+  const withdrawn = await transitionOffer(message._id, 'withdrawn', {
+    now,
+    set: { 'customOffer.closedAt': now }
+  });
 
-    res.json({ message: 'Message marked as read' });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error marking message as read',
-      error: error.message
-    });
+  if (!withdrawn) {
+    throw new ConflictError('Offer is no longer available', { code: 'OFFER_CLOSED' });
   }
+
+  await postOfferUpdate(withdrawn, {
+    from: userId,
+    to: withdrawn.receiver,
+    content: `Custom offer "${withdrawn.customOffer.title}" was withdrawn`,
+    title: 'Custom Offer Withdrawn'
+  });
+
+  res.json({ message: 'Offer withdrawn', offer: withdrawn });
 });
 
-// Accept custom offer
-router.post('/messages/:id/accept-offer', authenticateToken, async (req, res) => {
-  try {
-    const messageId = req.params.id;
-    const userId = req.user._id;
+// Counter a custom offer with different price, delivery time or revisions
+router.post('/messages/:id/counter-offer', authenticateToken, validators.counterOffer, async (req, res) => {
+  const { content, price, deliveryTime, revisions, description, expiresAt } = req.body;
+  const userId = req.user._id;
+  const now = new Date();
 
-    const message = await Message.findById(messageId);
-    if (!message || message.receiver.toString() !== userId.toString()) {
-      return res.status(403).json({ message: 'Not authorized' });
-    }
+  const message = await Message.findById(req.params.id);
+  if (!message || message.receiver.toString() !== userId.toString()) {
+    throw new ForbiddenError('Not authorized');
+  }
 
-    if (message.messageType !== 'custom_offer' || !message.customOffer) {
-      return res.status(400).json({ message: 'Not a custom offer message' });
-    }
+  if (message.messageType !== 'custom_offer' || !message.customOffer) {
+    throw new BadRequestError('Not a custom offer message', { code: 'NOT_AN_OFFER' });
+  }
 
-    if (message.customOffer.status !== 'pending') {
-      return res.status(400).json({ message: 'Offer is no longer available' });
-    }
+  const original = message.customOffer;
+  const result = normalizeOffer({
+    title: original.title,
+    description: description ?? original.description,
+    price: price ?? original.price,
+    deliveryTime: deliveryTime ?? original.deliveryTime,
+    revisions: revisions ?? original.revisions,
+    expiresAt
+  }, now);
+
+  if (result.error) {
+    throw new BadRequestError(result.error, { code: 'INVALID_OFFER' });
+  }
 
-    message.customOffer.status = 'accepted';
-    await message.save();
+  const terms = result.offer;
+  if (
+    terms.price === original.price &&
+    terms.deliveryTime === original.deliveryTime &&
+    terms.revisions === original.revisions
+  ) {
+    throw new BadRequestError('Counter-offer must change the price, delivery time or revisions', { code: 'INVALID_OFFER' });
+  }
 
-    // Here you would typically create a Stripe checkout session
-    // and redirect to payment
+  await assertOfferOpen(message, now);
 
-    res.json({ message: 'Offer accepted', redirectUrl: '/checkout' });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error accepting offer',
-      error: error.message
-    });
+  const countered = await transitionOffer(message._id, 'countered', {
+    now,
+    set: { 'customOffer.closedAt': now }
+  });
+
+  if (!countered) {
+    throw new ConflictError('Offer is no longer available', { code: 'OFFER_CLOSED' });
   }
+
+  const counter = await Message.create({
+    conversation: countered.conversation,
+    sender: userId,
+    receiver: countered.sender,
+    content: content || `Counter-offer: ${terms.title}`,
+    messageType: 'custom_offer',
+    customOffer: {
+      ...terms,
+      seller: getOfferParties(countered).seller,
+      counterOf: countered._id
+    }
+  });
+
+  // postOfferUpdate below counts the counter-offer as one unread message
+  await counter.populate('sender', 'username fullName avatar');
+  emitToUser(countered.sender, 'new_message', {
+    message: counter,
+    conversationId: countered.conversation
+  });
+
+  await postOfferUpdate(countered, {
+    from: userId,
+    to: countered.sender,
+    content: `Custom offer "${terms.title}" was countered at $${terms.price}, ` +
+      `${terms.deliveryTime} day(s) delivery and ${terms.revisions} revision(s)`,
+    title: 'Counter-Offer Received',
+    data: { counterOfferId: counter._id }
+  });
+
+  res.status(201).json({ message: 'Counter-offer sent', offer: counter });
 });
 
 // Get unread message count
 router.get('/unread-count', authenticateToken, async (req, res) => {
-  try {
-    const userId = req.user._id;
-    
-    const conversations = await Conversation.find({
-      participants: userId
-    });
+  const userId = req.user._id;
+  
+  const conversations = await Conversation.find({
+    participants: userId
+  });
 
-    const totalUnread = conversations.reduce((total, conv) => {
-      return total + (conv.unreadCount.get(userId.toString()) || 0);
-    }, 0);
+  const totalUnread = conversations.reduce((total, conv) => {
+    return total + (conv.unreadCount.get(userId.toString()) || 0);
+  }, 0);
 
-    res.json({ unreadCount: totalUnread });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error fetching unread count',
-      error: error.message
-    });
-  }
+  res.json({ unreadCount: totalUnread });
 });
 
 export default router;
\ No newline at end of file
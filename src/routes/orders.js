@@ -2,410 +2,659 @@ import express from 'express';
 import Order from '../models/Order.js';
 import Gig from '../models/Gig.js';
 import User from '../models/User.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requireRole, requireTwoFactor } from '../middleware/auth.js';
 import { createNotification } from '../utils/notifications.js';
+import { buildRequirementAnswers, getDisputeRecipients, getOrderRole } from '../utils/orders.js';
+import { getOrderTimeline, recordOrderEvent } from '../utils/orderEvents.js';
+import { assertTransition, getStatusUpdateAction, transitionOrder } from '../utils/orderStateMachine.js';
+import { REFUNDABLE_PAYMENT_STATUSES, getRefundableAmount, refundOrder } from '../utils/refunds.js';
+import * as validators from '../validators/orders.js';
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  InvalidTransitionError,
+  NotFoundError
+} from '../utils/errors.js';
 
 const router = express.Router();
 
+// How long an admin's claim on a dispute blocks other resolutions
+const DISPUTE_CLAIM_TIMEOUT = 5 * 60 * 1000;
+
 // Get user orders
-router.get('/', authenticateToken, async (req, res) => {
-  try {
-    const { status, role = 'buyer' } = req.query;
-    const userId = req.user._id;
-    
-    let query = {};
-    if (role === 'buyer') {
-      query.buyer = userId;
-    } else {
-      query.seller = userId;
-    }
-    
-    if (status && status !== 'all') {
-      query.status = status;
-    }
+router.get('/', authenticateToken, validators.listOrders, async (req, res) => {
+  const { status, role = 'buyer' } = req.query;
+  const userId = req.user._id;
+  
+  let query = {};
+  if (role === 'buyer') {
+    query.buyer = userId;
+  } else {
+    query.seller = userId;
+  }
+  
+  if (status === 'late') {
+    query.status = 'in_progress';
+    query['lateDelivery.isLate'] = true;
+  } else if (status && status !== 'all') {
+    query.status = status;
+  }
 
-    const orders = await Order.find(query)
-      .populate('buyer', 'username fullName avatar')
-      .populate('seller', 'username fullName avatar')
-      .populate('gig', 'title images pricing')
-      .sort({ createdAt: -1 });
+  const orders = await Order.find(query)
+    .populate('buyer', 'username fullName avatar')
+    .populate('seller', 'username fullName avatar')
+    .populate('gig', 'title images pricing')
+    .sort({ createdAt: -1 });
 
-    res.json(orders);
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error fetching orders',
-      error: error.message
-    });
-  }
+  res.json(orders);
 });
 
 // Get single order
-router.get('/:id', authenticateToken, async (req, res) => {
-  try {
-    const order = await Order.findById(req.params.id)
-      .populate('buyer', 'username fullName avatar email')
-      .populate('seller', 'username fullName avatar email')
-      .populate('gig', 'title images pricing description');
+router.get('/:id', authenticateToken, validators.getOrder, async (req, res) => {
+  const order = await Order.findById(req.params.id)
+    .populate('buyer', 'username fullName avatar email')
+    .populate('seller', 'username fullName avatar email')
+    .populate('gig', 'title images pricing description');
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
 
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
-    }
+  // Check if user is authorized to view this order
+  if (!getOrderRole(order, req.user)) {
+    throw new ForbiddenError('Not authorized to view this order');
+  }
 
-    // Check if user is authorized to view this order
-    if (order.buyer._id.toString() !== req.user._id.toString() && 
-        order.seller._id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to view this order' });
-    }
+  res.json(order);
+});
 
-    res.json(order);
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error fetching order',
-      error: error.message
-    });
+// Order activity log, oldest first. New events are also emitted as `order_event`
+// to the order's socket room.
+router.get('/:id/timeline', authenticateToken, validators.getOrder, async (req, res) => {
+  const order = await Order.findById(req.params.id).select('buyer seller status');
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  if (!getOrderRole(order, req.user)) {
+    throw new ForbiddenError('Not authorized to view this order');
   }
+
+  const events = await getOrderTimeline(order._id);
+
+  res.json({ orderId: order._id, status: order.status, events });
 });
 
-// Update order status (seller only)
-router.patch('/:id/status', authenticateToken, async (req, res) => {
-  try {
-    const { status } = req.body;
-    const order = await Order.findById(req.params.id);
+// Submit answers to the gig's requirements (buyer only). Starts work on the
+// order and the delivery clock.
+router.post('/:id/requirements', authenticateToken, validators.submitRequirements, async (req, res) => {
+  const { answers = [] } = req.body;
+  const order = await Order.findById(req.params.id);
 
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
-    }
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
 
-    // Check if user is the seller
-    if (order.seller.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Only seller can update order status' });
-    }
+  assertTransition(order, 'submit_requirements', { user: req.user });
 
-    const validTransitions = {
-      'pending': ['requirements_pending', 'in_progress', 'cancelled'],
-      'requirements_pending': ['in_progress', 'cancelled'],
-      'in_progress': ['delivered', 'cancelled'],
-      'delivered': ['completed'],
-      'revision_requested': ['in_progress', 'delivered']
-    };
-
-    if (!validTransitions[order.status]?.includes(status)) {
-      return res.status(400).json({ 
-        message: `Cannot transition from ${order.status} to ${status}` 
-      });
-    }
+  // Custom offer orders have no gig, so nothing to answer
+  const gig = order.gig && await Gig.findById(order.gig).select('requirements');
 
-    order.status = status;
-    
-    if (status === 'delivered') {
-      order.deliveryDate = new Date();
-      order.scheduleAutoComplete();
-    } else if (status === 'completed') {
-      order.completedAt = new Date();
-      
-      // Update seller earnings and completed orders
-      await User.findByIdAndUpdate(order.seller, {
-        $inc: { 
-          totalEarnings: order.netAmount,
-          completedOrders: 1
-        }
-      });
-      
-      // Update gig total orders
-      await Gig.findByIdAndUpdate(order.gig, {
-        $inc: { totalOrders: 1 }
-      });
-    }
+  const updated = await transitionOrder(order, 'submit_requirements', {
+    user: req.user,
+    answers: buildRequirementAnswers(gig?.requirements, answers)
+  });
 
-    await order.save();
+  res.json({ message: 'Requirements submitted successfully', order: updated });
+});
 
-    // Create notification for buyer
-    await createNotification({
-      recipient: order.buyer,
-      type: `order_${status}`,
-      title: `Order ${status}`,
-      message: `Your order has been ${status}`,
-      data: { orderId: order._id }
-    });
+// Update order status (seller only): start work, or start on a requested revision.
+// Delivering, completing and cancelling have their own endpoints.
+router.patch('/:id/status', authenticateToken, validators.updateStatus, async (req, res) => {
+  const order = await Order.findById(req.params.id);
 
-    res.json({ message: 'Order status updated successfully', order });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error updating order status',
-      error: error.message
-    });
+  if (!order) {
+    throw new NotFoundError('Order not found');
   }
+
+  const action = getStatusUpdateAction(order, req.body.status);
+  const updated = await transitionOrder(order, action, { user: req.user });
+
+  res.json({ message: 'Order status updated successfully', order: updated });
 });
 
 // Deliver order
-router.post('/:id/deliver', authenticateToken, async (req, res) => {
-  try {
-    const { message, files = [] } = req.body;
-    const order = await Order.findById(req.params.id);
+router.post('/:id/deliver', authenticateToken, validators.deliver, async (req, res) => {
+  const { message, files = [] } = req.body;
+  const order = await Order.findById(req.params.id);
 
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
-    }
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
 
-    if (order.seller.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Only seller can deliver order' });
-    }
+  const delivered = await transitionOrder(order, 'deliver', { user: req.user, message, files });
 
-    if (order.status !== 'in_progress') {
-      return res.status(400).json({ 
-        message: 'Order must be in progress to deliver' 
-      });
-    }
+  res.json({ message: 'Order delivered successfully', order: delivered });
+});
 
-    order.deliveries.push({
-      message,
-      files,
-      deliveredAt: new Date()
-    });
+// Request revision (buyer only)
+router.post('/:id/revision', authenticateToken, validators.requestRevision, async (req, res) => {
+  const { message } = req.body;
+  const order = await Order.findById(req.params.id);
 
-    order.status = 'delivered';
-    order.deliveryDate = new Date();
-    order.scheduleAutoComplete();
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
 
-    await order.save();
+  const updated = await transitionOrder(order, 'request_revision', { user: req.user, message });
 
-    // Create notification for buyer
-    await createNotification({
-      recipient: order.buyer,
-      type: 'order_delivered',
-      title: 'Order Delivered',
-      message: `Your order has been delivered by ${req.user.username}`,
-      data: { orderId: order._id }
-    });
+  res.json({ message: 'Revision requested successfully', order: updated });
+});
 
-    res.json({ message: 'Order delivered successfully', order });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error delivering order',
-      error: error.message
+// Accept order (buyer only)
+router.post('/:id/accept', authenticateToken, validators.getOrder, async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  const completed = await transitionOrder(order, 'complete', { user: req.user });
+
+  res.json({ message: 'Order accepted successfully', order: completed });
+});
+
+// Cancel order
+router.post('/:id/cancel', authenticateToken, validators.cancel, async (req, res) => {
+  const { reason } = req.body;
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  // Once the buyer has the work, cancelling for a refund is a dispute
+  const role = getOrderRole(order, req.user);
+  if (['buyer', 'seller'].includes(role) && ['delivered', 'revision_requested'].includes(order.status)) {
+    throw new InvalidTransitionError('Delivered orders cannot be cancelled. Open a dispute instead.', {
+      code: 'DISPUTE_REQUIRED'
     });
   }
+
+  // The status is claimed before the buyer is refunded, and put back if the refund fails
+  const cancelled = await transitionOrder(order, 'cancel', { user: req.user, reason, note: reason });
+
+  res.json({ message: 'Order cancelled successfully', order: cancelled });
 });
 
-// Request revision (buyer only)
-router.post('/:id/revision', authenticateToken, async (req, res) => {
-  try {
-    const { message } = req.body;
-    const order = await Order.findById(req.params.id);
+// Cancel a late order with a full refund (buyer only)
+router.post('/:id/cancel-late', authenticateToken, validators.cancel, async (req, res) => {
+  const { reason } = req.body;
+  const order = await Order.findById(req.params.id);
 
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
-    }
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
 
-    if (order.buyer.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Only buyer can request revision' });
-    }
+  const cancelled = await transitionOrder(order, 'cancel_late', { user: req.user, reason, note: reason });
 
-    if (order.status !== 'delivered') {
-      return res.status(400).json({ 
-        message: 'Can only request revision for delivered orders' 
-      });
-    }
+  res.json({ message: 'Order cancelled and refunded successfully', order: cancelled });
+});
 
-    // Check if revisions are available
-    const usedRevisions = order.revisions.length;
-    const availableRevisions = order.packageDetails.revisions;
+const formatExtraDays = (days) => `${days} more day${days === 1 ? '' : 's'}`;
 
-    if (usedRevisions >= availableRevisions) {
-      return res.status(400).json({ 
-        message: 'No more revisions available for this package' 
-      });
-    }
+// Request more time to deliver (seller only)
+router.post('/:id/extensions', authenticateToken, validators.requestExtension, async (req, res) => {
+  const { days, reason } = req.body;
+  const order = await Order.findById(req.params.id);
 
-    order.revisions.push({
-      message,
-      requestedAt: new Date()
-    });
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
 
-    order.status = 'revision_requested';
-    await order.save();
+  if (getOrderRole(order, req.user) !== 'seller') {
+    throw new ForbiddenError('Only the seller can request an extension');
+  }
 
-    // Create notification for seller
-    await createNotification({
-      recipient: order.seller,
-      type: 'revision_requested',
-      title: 'Revision Requested',
-      message: `${req.user.username} requested a revision`,
-      data: { orderId: order._id }
-    });
+  if (order.status !== 'in_progress') {
+    throw new InvalidTransitionError('Extensions can only be requested while the order is in progress');
+  }
 
-    res.json({ message: 'Revision requested successfully', order });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error requesting revision',
-      error: error.message
-    });
+  // One pending request at a time
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: 'in_progress', 'extensions.status': { $ne: 'pending' } },
+    {
+      $push: {
+        extensions: { days, reason, requestedBy: req.user._id, requestedAt: new Date() }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new ConflictError('An extension request is already pending', { code: 'EXTENSION_PENDING' });
   }
+
+  const extension = updated.extensions[updated.extensions.length - 1];
+
+  await recordOrderEvent(updated._id, {
+    type: 'extension_requested',
+    actor: req.user,
+    actorRole: 'seller',
+    message: `Seller asked for ${formatExtraDays(days)}: ${reason}`,
+    data: { extensionId: extension._id, days }
+  });
+
+  await createNotification({
+    recipient: updated.buyer,
+    sender: req.user._id,
+    type: 'extension_requested',
+    title: 'Extension Requested',
+    message: `${req.user.username} asked for ${formatExtraDays(days)} to deliver: ${reason}`,
+    data: { orderId: updated._id, extensionId: extension._id }
+  });
+
+  res.status(201).json({ message: 'Extension requested successfully', extension, order: updated });
 });
 
-// Accept order (buyer only)
-router.post('/:id/accept', authenticateToken, async (req, res) => {
-  try {
-    const order = await Order.findById(req.params.id);
+// Load an order and one of its pending extension requests for the buyer to answer
+const getPendingExtension = async (req) => {
+  const order = await Order.findById(req.params.id);
 
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
-    }
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
 
-    if (order.buyer.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Only buyer can accept order' });
-    }
+  const extension = order.extensions.id(req.params.extensionId);
+  if (!extension) {
+    throw new NotFoundError('Extension request not found');
+  }
 
-    if (order.status !== 'delivered') {
-      return res.status(400).json({ 
-        message: 'Can only accept delivered orders' 
-      });
-    }
+  if (getOrderRole(order, req.user) !== 'buyer') {
+    throw new ForbiddenError('Only the buyer can respond to an extension request');
+  }
 
-    order.status = 'completed';
-    order.completedAt = new Date();
+  if (extension.status !== 'pending' || order.status !== 'in_progress') {
+    throw new InvalidTransitionError('Extension request is no longer pending');
+  }
 
-    // Update seller earnings and completed orders
-    await User.findByIdAndUpdate(order.seller, {
-      $inc: { 
-        totalEarnings: order.netAmount,
-        completedOrders: 1
+  return { order, extension };
+};
+
+// Approve an extension request (buyer only). Moves the delivery date back.
+router.post('/:id/extensions/:extensionId/approve', authenticateToken, validators.extensionId, async (req, res) => {
+  const { order, extension } = await getPendingExtension(req);
+  const now = new Date();
+
+  const previousDeliveryDate = order.deliveryDate || now;
+  const deliveryDate = new Date(previousDeliveryDate.getTime() + extension.days * 24 * 60 * 60 * 1000);
+
+  const isOnTime = deliveryDate > now;
+
+  // Returns the order as it was, to see whether this cleared a late flag
+  const previous = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: 'in_progress',
+      extensions: { $elemMatch: { _id: extension._id, status: 'pending' } }
+    },
+    {
+      $set: {
+        'extensions.$.status': 'approved',
+        'extensions.$.respondedBy': req.user._id,
+        'extensions.$.respondedAt': now,
+        'extensions.$.previousDeliveryDate': previousDeliveryDate,
+        'extensions.$.newDeliveryDate': deliveryDate,
+        deliveryDate,
+        // An order that is on time again can be flagged late again later
+        ...(isOnTime && { lateDelivery: { isLate: false } })
       }
-    });
+    }
+  );
+
+  if (!previous) {
+    throw new ConflictError('Extension request is no longer pending', { code: 'ORDER_STATUS_CHANGED' });
+  }
 
-    // Update gig total orders
-    await Gig.findByIdAndUpdate(order.gig, {
-      $inc: { totalOrders: 1 }
+  // The late flag no longer counts against the seller
+  if (isOnTime && previous.lateDelivery?.isLate) {
+    await User.findByIdAndUpdate(previous.seller, {
+      $inc: { lateDeliveries: -1 }
     });
+  }
+
+  const updated = await Order.findById(order._id);
+
+  await recordOrderEvent(updated._id, {
+    type: 'extension_approved',
+    actor: req.user,
+    actorRole: 'buyer',
+    message: `Buyer approved ${formatExtraDays(extension.days)}`,
+    data: { extensionId: extension._id, previousDeliveryDate, deliveryDate },
+    at: now
+  });
+
+  await createNotification({
+    recipient: updated.seller,
+    sender: req.user._id,
+    type: 'extension_approved',
+    title: 'Extension Approved',
+    message: `${req.user.username} approved your extension. The order is now due ${deliveryDate.toUTCString()}`,
+    data: { orderId: updated._id, extensionId: extension._id }
+  });
+
+  res.json({ message: 'Extension approved successfully', order: updated });
+});
 
-    await order.save();
+// Decline an extension request (buyer only)
+router.post('/:id/extensions/:extensionId/decline', authenticateToken, validators.declineExtension, async (req, res) => {
+  const { reason } = req.body;
+  const { order, extension } = await getPendingExtension(req);
+  const now = new Date();
+
+  const updated = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      extensions: { $elemMatch: { _id: extension._id, status: 'pending' } }
+    },
+    {
+      $set: {
+        'extensions.$.status': 'declined',
+        'extensions.$.respondedBy': req.user._id,
+        'extensions.$.respondedAt': now,
+        'extensions.$.declineReason': reason
+      }
+    },
+    { new: true }
+  );
 
-    // Create notification for seller
-    await createNotification({
-      recipient: order.seller,
-      type: 'order_completed',
-      title: 'Order Completed',
-      message: `${req.user.username} accepted your delivery`,
-      data: { orderId: order._id }
-    });
+  if (!updated) {
+    throw new ConflictError('Extension request is no longer pending', { code: 'ORDER_STATUS_CHANGED' });
+  }
 
-    res.json({ message: 'Order accepted successfully', order });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error accepting order',
-      error: error.message
-    });
+  await recordOrderEvent(updated._id, {
+    type: 'extension_declined',
+    actor: req.user,
+    actorRole: 'buyer',
+    message: `Buyer declined the extension${reason ? `: ${reason}` : ''}`,
+    data: { extensionId: extension._id },
+    at: now
+  });
+
+  await createNotification({
+    recipient: updated.seller,
+    sender: req.user._id,
+    type: 'extension_declined',
+    title: 'Extension Declined',
+    message: `${req.user.username} declined your extension request${reason ? `: ${reason}` : ''}`,
+    data: { orderId: updated._id, extensionId: extension._id }
+  });
+
+  res.json({ message: 'Extension declined', order: updated });
+});
+
+// Notify everyone involved in a dispute except the user who triggered the update
+const notifyDispute = async (order, actor, { type, title, message }) => {
+  const recipients = await getDisputeRecipients(order, actor._id);
+
+  await Promise.all(recipients.map(recipient => createNotification({
+    recipient,
+    sender: actor._id,
+    type,
+    title,
+    message,
+    data: { orderId: order._id }
+  })));
+};
+
+// Open a dispute (buyer or seller)
+router.post('/:id/dispute', authenticateToken, validators.openDispute, async (req, res) => {
+  const { reason, description, attachments = [] } = req.body;
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
   }
+
+  const disputed = await transitionOrder(order, 'open_dispute', {
+    user: req.user,
+    reason,
+    description,
+    attachments,
+    note: reason
+  });
+
+  res.status(201).json({ message: 'Dispute opened successfully', order: disputed });
 });
 
-// Cancel order
-router.post('/:id/cancel', authenticateToken, async (req, res) => {
-  try {
-    const { reason } = req.body;
-    const order = await Order.findById(req.params.id);
+// Get dispute details and timeline
+router.get('/:id/dispute', authenticateToken, validators.getOrder, async (req, res) => {
+  const order = await Order.findById(req.params.id)
+    .select('buyer seller status dispute')
+    .populate('dispute.raisedBy', 'username fullName avatar')
+    .populate('dispute.resolvedBy', 'username fullName avatar')
+    .populate('dispute.timeline.author', 'username fullName avatar');
 
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
-    }
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  if (!getOrderRole(order, req.user)) {
+    throw new ForbiddenError('Not authorized to view this dispute');
+  }
+
+  if (!order.dispute?.status) {
+    throw new NotFoundError('No dispute found for this order');
+  }
+
+  res.json({ orderId: order._id, status: order.status, dispute: order.dispute });
+});
 
-    // Check if user is authorized to cancel
-    const isAuthorized = order.buyer.toString() === req.user._id.toString() || 
-                        order.seller.toString() === req.user._id.toString();
+// Add a message or evidence to the dispute timeline
+router.post('/:id/dispute/messages', authenticateToken, validators.addDisputeMessage, async (req, res) => {
+  const { message, attachments = [] } = req.body;
+  const order = await Order.findById(req.params.id);
 
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Not authorized to cancel this order' });
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  const role = getOrderRole(order, req.user);
+  if (!role) {
+    throw new ForbiddenError('Not authorized to update this dispute');
+  }
+
+  if (order.dispute?.status !== 'open') {
+    throw new InvalidTransitionError('Order has no open dispute');
+  }
+
+  if (!message && attachments.length === 0) {
+    throw new BadRequestError('Message or attachments are required');
+  }
+
+  order.dispute.timeline.push({
+    author: req.user._id,
+    authorRole: role,
+    message,
+    attachments,
+    createdAt: new Date()
+  });
+
+  await order.save();
+
+  await recordOrderEvent(order._id, {
+    type: 'dispute_message',
+    actor: req.user,
+    actorRole: role,
+    message: `${req.user.username} added to the dispute`,
+    data: { attachments: attachments.length }
+  });
+
+  await notifyDispute(order, req.user, {
+    type: 'dispute_updated',
+    title: 'Dispute Updated',
+    message: `${req.user.username} added to the dispute`
+  });
+
+  res.status(201).json({ message: 'Dispute updated successfully', dispute: order.dispute });
+});
+
+// Withdraw a dispute (the party who raised it)
+router.post('/:id/dispute/withdraw', authenticateToken, validators.getOrder, async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  const updated = await transitionOrder(order, 'withdraw_dispute', { user: req.user });
+
+  res.json({ message: 'Dispute withdrawn successfully', order: updated });
+});
+
+// Resolve a dispute (admin only)
+// outcome: 'release' pays the seller in full, 'refund' refunds the buyer in full,
+// 'split' refunds `buyerRefund` and pays the seller a proportional share.
+router.post('/:id/dispute/resolve', authenticateToken, requireRole(['admin']), validators.resolveDispute, requireTwoFactor('security.requireTwoFactorForPayoutActions'), async (req, res) => {
+  const { outcome, buyerRefund, resolution } = req.body;
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  assertTransition(order, 'resolve_dispute', { user: req.user });
+
+  if (order.dispute?.status !== 'open') {
+    throw new InvalidTransitionError('Order has no open dispute');
+  }
+
+  const isPaid = REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus);
+  const refundable = getRefundableAmount(order);
+
+  let refundAmount = 0;
+  if (outcome === 'refund') {
+    refundAmount = refundable;
+  } else if (outcome === 'split') {
+    refundAmount = Math.round(Number(buyerRefund) * 100) / 100;
+    if (!(refundAmount > 0 && refundAmount < refundable)) {
+      throw new BadRequestError(`Buyer refund must be between 0 and ${refundable}`, { code: 'INVALID_REFUND_AMOUNT' });
     }
+  }
+
+  // The seller keeps the part of their net amount the buyer wasn't refunded,
+  // counting refunds made before this resolution
+  const sellerPayout = Math.round(
+    order.netAmount * (order.totalAmount - (order.refundedAmount || 0) - refundAmount) / order.totalAmount * 100
+  ) / 100;
+
+  // Claim the dispute first so two admins can't resolve it at once. A claim
+  // left behind by a crashed request goes stale.
+  const now = new Date();
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: 'disputed',
+      'dispute.status': 'open',
+      $or: [
+        { 'dispute.resolvingAt': null },
+        { 'dispute.resolvingAt': { $lte: new Date(now.getTime() - DISPUTE_CLAIM_TIMEOUT) } }
+      ]
+    },
+    { $set: { 'dispute.resolvingAt': now } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw new ConflictError('Dispute is already being resolved');
+  }
+
+  const releaseClaim = () => Order.updateOne(
+    { _id: order._id, 'dispute.resolvingAt': now },
+    { $unset: { 'dispute.resolvingAt': '' } }
+  );
+
+  let resolved;
+
+  // The resolution is only written by the transition, so a failure leaves the
+  // dispute open. A refund made before the failure counts towards the next try.
+  try {
+    let refunded = claimed;
 
-    // Check if order can be cancelled
-    if (['completed', 'cancelled', 'disputed'].includes(order.status)) {
-      return res.status(400).json({ 
-        message: 'Cannot cancel order in current status' 
+    if (refundAmount > 0 && isPaid) {
+      refunded = await refundOrder(claimed, {
+        amount: refundAmount,
+        reason: `Dispute resolution: ${outcome}`,
+        requestedBy: req.user._id
       });
     }
 
-    order.status = 'cancelled';
-    order.cancellation = {
-      reason,
-      requestedBy: req.user._id,
-      requestedAt: new Date(),
-      approved: true,
-      approvedAt: new Date()
-    };
-
-    await order.save();
-
-    // Create notification for the other party
-    const recipient = order.buyer.toString() === req.user._id.toString() 
-      ? order.seller 
-      : order.buyer;
-
-    await createNotification({
-      recipient,
-      type: 'order_cancelled',
-      title: 'Order Cancelled',
-      message: `Order has been cancelled by ${req.user.username}`,
-      data: { orderId: order._id }
+    resolved = await transitionOrder(refunded, 'resolve_dispute', {
+      user: req.user,
+      now,
+      outcome,
+      buyerRefund: refundAmount,
+      sellerPayout,
+      resolution,
+      note: resolution
     });
-
-    res.json({ message: 'Order cancelled successfully', order });
   } catch (error) {
-    res.status(500).json({
-      message: 'Error cancelling order',
-      error: error.message
-    });
+    await releaseClaim();
+    throw error;
   }
+
+  res.json({ message: 'Dispute resolved successfully', order: resolved });
 });
 
 // Get order analytics (seller only)
 router.get('/analytics/dashboard', authenticateToken, async (req, res) => {
-  try {
-    const sellerId = req.user._id;
-    
-    const [
-      totalOrders,
-      activeOrders,
-      completedOrders,
-      totalEarnings,
-      thisMonthOrders,
-      thisMonthEarnings
-    ] = await Promise.all([
-      Order.countDocuments({ seller: sellerId }),
-      Order.countDocuments({ seller: sellerId, status: { $in: ['in_progress', 'delivered'] } }),
-      Order.countDocuments({ seller: sellerId, status: 'completed' }),
-      Order.aggregate([
-        { $match: { seller: sellerId, status: 'completed' } },
-        { $group: { _id: null, total: { $sum: '$netAmount' } } }
-      ]),
-      Order.countDocuments({
-        seller: sellerId,
-        createdAt: { $gte: new Date(new Date().getFullYear(), new Date().getMonth(), 1) }
-      }),
-      Order.aggregate([
-        {
-          $match: {
-            seller: sellerId,
-            status: 'completed',
-            createdAt: { $gte: new Date(new Date().getFullYear(), new Date().getMonth(), 1) }
-          }
-        },
-        { $group: { _id: null, total: { $sum: '$netAmount' } } }
-      ])
-    ]);
-
-    res.json({
-      totalOrders,
-      activeOrders,
-      completedOrders,
-      totalEarnings: totalEarnings[0]?.total || 0,
-      thisMonthOrders,
-      thisMonthEarnings: thisMonthEarnings[0]?.total || 0
-    });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error fetching analytics',
-      error: error.message
-    });
-  }
+  const sellerId = req.user._id;
+  
+  const [
+    totalOrders,
+    activeOrders,
+    lateOrders,
+    completedOrders,
+    totalEarnings,
+    thisMonthOrders,
+    thisMonthEarnings
+  ] = await Promise.all([
+    Order.countDocuments({ seller: sellerId }),
+    Order.countDocuments({ seller: sellerId, status: { $in: ['in_progress', 'delivered'] } }),
+    Order.countDocuments({ seller: sellerId, status: 'in_progress', 'lateDelivery.isLate': true }),
+    Order.countDocuments({ seller: sellerId, status: 'completed' }),
+    Order.aggregate([
+      { $match: { seller: sellerId, status: 'completed' } },
+      { $group: { _id: null, total: { $sum: '$netAmount' } } }
+    ]),
+    Order.countDocuments({
+      seller: sellerId,
+      createdAt: { $gte: new Date(new Date().getFullYear(), new Date().getMonth(), 1) }
+    }),
+    Order.aggregate([
+      {
+        $match: {
+          seller: sellerId,
+          status: 'completed',
+          createdAt: { $gte: new Date(new Date().getFullYear(), new Date().getMonth(), 1) }
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$netAmount' } } }
+    ])
+  ]);
+
+  res.json({
+    totalOrders,
+    activeOrders,
+    lateOrders,
+    lateDeliveries: req.user.lateDeliveries,
+    completedOrders,
+    totalEarnings: totalEarnings[0]?.total || 0,
+    thisMonthOrders,
+    thisMonthEarnings: thisMonthEarnings[0]?.total || 0
+  });
 });
 
 export default router;
\ No newline at end of file
@@ -2,210 +2,187 @@ import express from 'express';
 import Order from '../models/Order.js';
 import Gig from '../models/Gig.js';
 import User from '../models/User.js';
-import { authenticateToken } from '../middleware/auth.js';
-import { createNotification } from '../utils/notifications.js';
+import Message from '../models/Message.js';
+import { authenticateToken, requireVerifiedEmail } from '../middleware/auth.js';
+import { createCheckoutSession, getStripe } from '../utils/stripe.js';
+import { syncRefundsFromCharge } from '../utils/refunds.js';
+import { transitionOrder } from '../utils/orderStateMachine.js';
+import { calculateFees } from '../utils/fees.js';
+import { checkoutOfferOrder, getOfferParties } from '../utils/customOffers.js';
+import { isGigListed } from '../utils/gigSearch.js';
+import * as validators from '../validators/payments.js';
+import {
+  BadRequestError,
+  ConflictError,
+  InvalidTransitionError,
+  NotFoundError,
+  PaymentUnavailableError
+} from '../utils/errors.js';
 
 const router = express.Router();
 
-// Initialize Stripe with proper error handling
-let stripe;
-try {
-  if (!process.env.STRIPE_SECRET_KEY) {
-    console.warn('⚠️  STRIPE_SECRET_KEY not found in environment variables. Stripe functionality will be disabled.');
-    stripe = null;
-  } else {
-    const Stripe = (await import('stripe')).default;
-    stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-    console.log('✅ Stripe initialized successfully');
+// The success page and the webhook both record the payment; whichever is second
+// finds the order already moved on
+const ignoreStatusChanged = (error) => {
+  if (!(error instanceof ConflictError)) throw error;
+};
+
+// Get a price quote for a gig package
+router.get('/quote', validators.quote, async (req, res) => {
+  const { gigId, packageType = 'basic' } = req.query;
+
+  const gig = await Gig.findById(gigId).populate('freelancer', 'completedOrders rating');
+  if (!gig || !isGigListed(gig)) {
+    throw new NotFoundError('Gig not available');
   }
-} catch (error) {
-  console.error('❌ Failed to initialize Stripe:', error.message);
-  stripe = null;
-}
 
-// Create checkout session
-router.post('/create-checkout-session', authenticateToken, async (req, res) => {
-  try {
-    if (!stripe) {
-      return res.status(503).json({
-        message: 'Payment service is currently unavailable. Please contact support.',
-        error: 'Stripe not configured'
-      });
-    }
+  const packageDetails = gig.pricing[packageType];
+  if (!packageDetails?.price) {
+    throw new BadRequestError('Invalid package type', { code: 'INVALID_PACKAGE' });
+  }
 
-    const { gigId, packageType, customRequirements = [] } = req.body;
-    const buyerId = req.user._id;
+  const fees = await calculateFees({
+    subtotal: packageDetails.price,
+    category: gig.category,
+    seller: gig.freelancer
+  });
+
+  res.json({
+    subtotal: fees.subtotal,
+    serviceFee: fees.serviceFee,
+    totalAmount: fees.totalAmount,
+    feeScheduleVersion: fees.feeScheduleVersion,
+    promotions: fees.feeBreakdown.promotions
+  });
+});
 
-    // Get gig details
-    const gig = await Gig.findById(gigId).populate('freelancer');
-    if (!gig || !gig.isActive || gig.isPaused) {
-      return res.status(404).json({ message: 'Gig not available' });
-    }
+// Create checkout session
+router.post('/create-checkout-session', authenticateToken, requireVerifiedEmail('buy'), validators.createCheckoutSession, async (req, res) => {
+  const stripe = getStripe();
+  if (!stripe) {
+    throw new PaymentUnavailableError();
+  }
 
-    // Prevent self-purchase
-    if (gig.freelancer._id.toString() === buyerId.toString()) {
-      return res.status(400).json({ message: 'Cannot purchase your own gig' });
-    }
+  const { gigId, packageType, customRequirements = [] } = req.body;
+  const buyerId = req.user._id;
 
-    // Get package details
-    const packageDetails = gig.pricing[packageType];
-    if (!packageDetails) {
-      return res.status(400).json({ message: 'Invalid package type' });
-    }
+  // Get gig details
+  const gig = await Gig.findById(gigId).populate('freelancer');
+  if (!gig || !isGigListed(gig)) {
+    throw new NotFoundError('Gig not available');
+  }
 
-    // Calculate fees
-    const subtotal = packageDetails.price;
-    const serviceFee = Math.max(2, Math.round(subtotal * 0.05 * 100) / 100); // 5% service fee, minimum $2
-    const totalAmount = subtotal + serviceFee;
-    const netAmount = subtotal - Math.round(subtotal * 0.2 * 100) / 100; // 20% platform fee
-
-    // Create order
-    const order = new Order({
-      buyer: buyerId,
-      seller: gig.freelancer._id,
-      gig: gigId,
-      package: packageType,
-      packageDetails: {
-        title: packageDetails.title,
-        description: packageDetails.description,
-        price: packageDetails.price,
-        deliveryTime: packageDetails.deliveryTime,
-        revisions: packageDetails.revisions,
-        features: packageDetails.features || []
-      },
-      customRequirements,
-      totalAmount,
-      serviceFee,
-      netAmount,
-      paymentIntentId: 'temp_' + Date.now() // Temporary, will be updated after payment
-    });
-
-    // Create Stripe checkout session
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ['card'],
-      line_items: [
-        {
-          price_data: {
-            currency: 'usd',
-            product_data: {
-              name: gig.title,
-              description: `${packageDetails.title} - ${packageDetails.description}`,
-              images: gig.images.slice(0, 1).map(img => img.url)
-            },
-            unit_amount: Math.round(subtotal * 100)
-          },
-          quantity: 1
-        },
-        {
-          price_data: {
-            currency: 'usd',
-            product_data: {
-              name: 'Service Fee',
-              description: 'Platform service fee'
-            },
-            unit_amount: Math.round(serviceFee * 100)
-          },
-          quantity: 1
-        }
-      ],
-      mode: 'payment',
-      success_url: `${process.env.CLIENT_URL}/order-success?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${process.env.CLIENT_URL}/gig/${gigId}`,
-      metadata: {
-        orderId: order._id.toString(),
-        gigId: gigId,
-        buyerId: buyerId.toString(),
-        sellerId: gig.freelancer._id.toString()
-      }
-    });
-
-    // Update order with session ID
-    order.stripeSessionId = session.id;
-    order.paymentIntentId = session.payment_intent || session.id;
-    await order.save();
-
-    res.json({
-      sessionId: session.id,
-      orderId: order._id,
-      url: session.url
-    });
-  } catch (error) {
-    console.error('Stripe checkout error:', error);
-    res.status(500).json({
-      message: 'Error creating checkout session',
-      error: error.message
-    });
+  // Prevent self-purchase
+  if (gig.freelancer._id.toString() === buyerId.toString()) {
+    throw new BadRequestError('Cannot purchase your own gig', { code: 'SELF_PURCHASE' });
   }
+
+  // Get package details
+  const packageDetails = gig.pricing[packageType];
+  if (!packageDetails) {
+    throw new BadRequestError('Invalid package type', { code: 'INVALID_PACKAGE' });
+  }
+
+  // Calculate fees
+  const subtotal = packageDetails.price;
+  const fees = await calculateFees({
+    subtotal,
+    category: gig.category,
+    seller: gig.freelancer
+  });
+  const { serviceFee } = fees;
+
+  // Create order
+  const order = new Order({
+    buyer: buyerId,
+    seller: gig.freelancer._id,
+    gig: gigId,
+    package: packageType,
+    packageDetails: {
+      title: packageDetails.title,
+      description: packageDetails.description,
+      price: packageDetails.price,
+      deliveryTime: packageDetails.deliveryTime,
+      revisions: packageDetails.revisions,
+      features: packageDetails.features || []
+    },
+    customRequirements,
+    totalAmount: fees.totalAmount,
+    serviceFee,
+    netAmount: fees.netAmount,
+    platformFee: fees.platformFee,
+    feeScheduleVersion: fees.feeScheduleVersion,
+    feeBreakdown: fees.feeBreakdown,
+    paymentIntentId: 'temp_' + Date.now() // Temporary, will be updated after payment
+  });
+
+  // Create Stripe checkout session
+  const session = await createCheckoutSession(order, {
+    product: {
+      name: gig.title,
+      description: `${packageDetails.title} - ${packageDetails.description}`,
+      images: gig.images.slice(0, 1).map(img => img.url)
+    },
+    cancelUrl: `${process.env.CLIENT_URL}/gig/${gigId}`,
+    metadata: { gigId }
+  });
+
+  // Update order with session ID
+  order.stripeSessionId = session.id;
+  order.paymentIntentId = session.payment_intent || session.id;
+  await order.save();
+
+  res.json({
+    sessionId: session.id,
+    orderId: order._id,
+    url: session.url
+  });
 });
 
 // Handle successful payment
-router.get('/success/:sessionId', authenticateToken, async (req, res) => {
-  try {
-    const { sessionId } = req.params;
+router.get('/success/:sessionId', authenticateToken, validators.checkoutSuccess, async (req, res) => {
+  const stripe = getStripe();
+  if (!stripe) {
+    throw new PaymentUnavailableError();
+  }
 
-    // Retrieve the session from Stripe
-    const session = await stripe.checkout.sessions.retrieve(sessionId);
-    
-    if (session.payment_status !== 'paid') {
-      return res.status(400).json({ message: 'Payment not completed' });
-    }
+  const { sessionId } = req.params;
 
-    // Find and update order
-    const order = await Order.findOne({ stripeSessionId: sessionId });
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
-    }
+  // Retrieve the session from Stripe
+  const session = await stripe.checkout.sessions.retrieve(sessionId);
+  
+  if (session.payment_status !== 'paid') {
+    throw new InvalidTransitionError('Payment not completed', { code: 'PAYMENT_NOT_COMPLETED' });
+  }
 
-    // Update order status
-    order.paymentStatus = 'paid';
-    order.status = 'requirements_pending';
-    order.paymentIntentId = session.payment_intent;
-    
-    // Set delivery date
-    const deliveryDate = new Date();
-    deliveryDate.setDate(deliveryDate.getDate() + order.packageDetails.deliveryTime);
-    order.deliveryDate = deliveryDate;
-
-    await order.save();
-
-    // Create notifications
-    await Promise.all([
-      createNotification({
-        recipient: order.seller,
-        sender: order.buyer,
-        type: 'new_order',
-        title: 'New Order Received',
-        message: `You have a new order for ${order.packageDetails.title}`,
-        data: { orderId: order._id }
-      }),
-      createNotification({
-        recipient: order.buyer,
-        type: 'payment_received',
-        title: 'Payment Successful',
-        message: `Your payment for ${order.packageDetails.title} was successful`,
-        data: { orderId: order._id }
-      })
-    ]);
-
-    res.json({
-      message: 'Payment successful',
-      order: await order.populate([
-        { path: 'buyer', select: 'username fullName avatar' },
-        { path: 'seller', select: 'username fullName avatar' },
-        { path: 'gig', select: 'title images' }
-      ])
-    });
-  } catch (error) {
-    console.error('Payment success error:', error);
-    res.status(500).json({
-      message: 'Error processing successful payment',
-      error: error.message
-    });
+  let order = await Order.findOne({ stripeSessionId: sessionId });
+  if (!order) {
+    throw new NotFoundError('Order not found');
   }
+
+  // The webhook may have recorded the payment already
+  if (order.status === 'pending') {
+    order = await transitionOrder(order, 'pay', { paymentIntentId: session.payment_intent })
+      .catch(ignoreStatusChanged) || await Order.findById(order._id);
+  }
+
+  res.json({
+    message: 'Payment successful',
+    order: await order.populate([
+      { path: 'buyer', select: 'username fullName avatar' },
+      { path: 'seller', select: 'username fullName avatar' },
+      { path: 'gig', select: 'title images' }
+    ])
+  });
 });
 
 // Stripe webhook handler
 router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+  const stripe = getStripe();
+  if (!stripe) {
+    return res.status(503).json({ error: 'Stripe not configured' });
+  }
+
   const sig = req.headers['stripe-signature'];
   let event;
 
@@ -221,56 +198,27 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
       case 'checkout.session.completed':
         const session = event.data.object;
         
-        // Update order status
         const order = await Order.findOne({ stripeSessionId: session.id });
-        if (order && order.paymentStatus !== 'paid') {
-          order.paymentStatus = 'paid';
-          order.status = 'requirements_pending';
-          order.paymentIntentId = session.payment_intent;
-          await order.save();
-
-          // Create notifications
-          await Promise.all([
-            createNotification({
-              recipient: order.seller,
-              sender: order.buyer,
-              type: 'new_order',
-              title: 'New Order Received',
-              message: 'You have a new order',
-              data: { orderId: order._id }
-            }),
-            createNotification({
-              recipient: order.buyer,
-              type: 'payment_received',
-              title: 'Payment Successful',
-              message: 'Your payment was successful',
-              data: { orderId: order._id }
-            })
-          ]);
+        if (order?.status === 'pending') {
+          await transitionOrder(order, 'pay', { paymentIntentId: session.payment_intent })
+            .catch(ignoreStatusChanged);
         }
         break;
 
       case 'payment_intent.payment_failed':
         const paymentIntent = event.data.object;
-        
-        // Update order status
+
         const failedOrder = await Order.findOne({ paymentIntentId: paymentIntent.id });
-        if (failedOrder) {
-          failedOrder.paymentStatus = 'failed';
-          failedOrder.status = 'cancelled';
-          await failedOrder.save();
-
-          // Notify buyer
-          await createNotification({
-            recipient: failedOrder.buyer,
-            type: 'system',
-            title: 'Payment Failed',
-            message: 'Your payment could not be processed',
-            data: { orderId: failedOrder._id }
-          });
+        if (failedOrder?.status === 'pending') {
+          await transitionOrder(failedOrder, 'fail_payment').catch(ignoreStatusChanged);
         }
         break;
 
+      case 'charge.refunded':
+        // Covers refunds issued from the Stripe dashboard as well as our own
+        await syncRefundsFromCharge(event.data.object);
+        break;
+
       default:
         console.log(`Unhandled event type ${event.type}`);
     }
@@ -282,182 +230,113 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
   }
 });
 
-// Create custom offer payment
-router.post('/create-custom-offer-payment', authenticateToken, async (req, res) => {
-  try {
-    const { 
-      receiverId, 
-      title, 
-      description, 
-      price, 
-      deliveryTime, 
-      revisions = 0 
-    } = req.body;
-    const sellerId = req.user._id;
-
-    // Validate inputs
-    if (price < 5) {
-      return res.status(400).json({ message: 'Minimum price is $5' });
-    }
+// Checkout for an accepted custom offer that hasn't been paid yet
+router.post('/create-custom-offer-payment', authenticateToken, requireVerifiedEmail('buy'), validators.customOfferPayment, async (req, res) => {
+  const stripe = getStripe();
+  if (!stripe) {
+    throw new PaymentUnavailableError();
+  }
 
-    // Calculate fees
-    const serviceFee = Math.max(2, Math.round(price * 0.05 * 100) / 100);
-    const totalAmount = price + serviceFee;
-    const netAmount = price - Math.round(price * 0.2 * 100) / 100;
-
-    // Create order
-    const order = new Order({
-      buyer: receiverId,
-      seller: sellerId,
-      gig: null, // Custom offer doesn't have associated gig
-      package: 'custom',
-      packageDetails: {
-        title,
-        description,
-        price,
-        deliveryTime,
-        revisions,
-        features: []
-      },
-      totalAmount,
-      serviceFee,
-      netAmount,
-      paymentIntentId: 'temp_' + Date.now()
-    });
-
-    // Create Stripe checkout session
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ['card'],
-      line_items: [
-        {
-          price_data: {
-            currency: 'usd',
-            product_data: {
-              name: title,
-              description: description
-            },
-            unit_amount: Math.round(price * 100)
-          },
-          quantity: 1
-        },
-        {
-          price_data: {
-            currency: 'usd',
-            product_data: {
-              name: 'Service Fee',
-              description: 'Platform service fee'
-            },
-            unit_amount: Math.round(serviceFee * 100)
-          },
-          quantity: 1
-        }
-      ],
-      mode: 'payment',
-      success_url: `${process.env.CLIENT_URL}/order-success?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${process.env.CLIENT_URL}/messages`,
-      metadata: {
-        orderId: order._id.toString(),
-        buyerId: receiverId.toString(),
-        sellerId: sellerId.toString(),
-        isCustomOffer: 'true'
-      }
-    });
+  const { messageId } = req.body;
 
-    order.stripeSessionId = session.id;
-    order.paymentIntentId = session.payment_intent || session.id;
-    await order.save();
+  const message = await Message.findById(messageId);
+  if (!message || message.messageType !== 'custom_offer' ||
+    getOfferParties(message).buyer.toString() !== req.user._id.toString()) {
+    throw new NotFoundError('Offer not found');
+  }
 
-    res.json({
-      sessionId: session.id,
-      orderId: order._id,
-      url: session.url
-    });
-  } catch (error) {
-    console.error('Custom offer payment error:', error);
-    res.status(500).json({
-      message: 'Error creating custom offer payment',
-      error: error.message
-    });
+  if (message.customOffer.status !== 'accepted') {
+    throw new InvalidTransitionError('Offer must be accepted before paying');
   }
+
+  const order = await Order.findOne({ 'customOffer.message': message._id });
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  if (order.paymentStatus !== 'pending' || order.status !== 'pending') {
+    throw new InvalidTransitionError('Order has already been paid or cancelled');
+  }
+
+  const session = await checkoutOfferOrder(order);
+
+  res.json({
+    sessionId: session.id,
+    orderId: order._id,
+    url: session.url
+  });
 });
 
 // Get payment analytics (seller)
-router.get('/analytics', authenticateToken, async (req, res) => {
-  try {
-    const sellerId = req.user._id;
-    const { period = '30d' } = req.query;
-
-    let dateFilter = {};
-    const now = new Date();
-    
-    switch (period) {
-      case '7d':
-        dateFilter = { createdAt: { $gte: new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000) } };
-        break;
-      case '30d':
-        dateFilter = { createdAt: { $gte: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000) } };
-        break;
-      case '90d':
-        dateFilter = { createdAt: { $gte: new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000) } };
-        break;
-      case '1y':
-        dateFilter = { createdAt: { $gte: new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000) } };
-        break;
-    }
+router.get('/analytics', authenticateToken, validators.analytics, async (req, res) => {
+  const sellerId = req.user._id;
+  const { period = '30d' } = req.query;
+
+  let dateFilter = {};
+  const now = new Date();
+  
+  switch (period) {
+    case '7d':
+      dateFilter = { createdAt: { $gte: new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000) } };
+      break;
+    case '30d':
+      dateFilter = { createdAt: { $gte: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000) } };
+      break;
+    case '90d':
+      dateFilter = { createdAt: { $gte: new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000) } };
+      break;
+    case '1y':
+      dateFilter = { createdAt: { $gte: new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000) } };
+      break;
+  }
 
-    const analytics = await Order.aggregate([
-      {
-        $match: {
-          seller: sellerId,
-          paymentStatus: 'paid',
-          ...dateFilter
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          totalRevenue: { $sum: '$netAmount' },
-          totalOrders: { $sum: 1 },
-          averageOrderValue: { $avg: '$netAmount' }
-        }
+  const analytics = await Order.aggregate([
+    {
+      $match: {
+        seller: sellerId,
+        paymentStatus: 'paid',
+        ...dateFilter
       }
-    ]);
-
-    const monthlyRevenue = await Order.aggregate([
-      {
-        $match: {
-          seller: sellerId,
-          paymentStatus: 'paid',
-          createdAt: { $gte: new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000) }
-        }
-      },
-      {
-        $group: {
-          _id: {
-            year: { $year: '$createdAt' },
-            month: { $month: '$createdAt' }
-          },
-          revenue: { $sum: '$netAmount' },
-          orders: { $sum: 1 }
-        }
-      },
-      { $sort: { '_id.year': 1, '_id.month': 1 } }
-    ]);
-
-    res.json({
-      analytics: analytics[0] || {
-        totalRevenue: 0,
-        totalOrders: 0,
-        averageOrderValue: 0
-      },
-      monthlyRevenue
-    });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error fetching payment analytics',
-      error: error.message
-    });
-  }
+    },
+    {
+      $group: {
+        _id: null,
+        totalRevenue: { $sum: '$netAmount' },
+        totalOrders: { $sum: 1 },
+        averageOrderValue: { $avg: '$netAmount' }
+      }
+    }
+  ]);
+
+  const monthlyRevenue = await Order.aggregate([
+    {
+      $match: {
+        seller: sellerId,
+        paymentStatus: 'paid',
+        createdAt: { $gte: new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000) }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          year: { $year: '$createdAt' },
+          month: { $month: '$createdAt' }
+        },
+        revenue: { $sum: '$netAmount' },
+        orders: { $sum: 1 }
+      }
+    },
+    { $sort: { '_id.year': 1, '_id.month': 1 } }
+  ]);
+
+  res.json({
+    analytics: analytics[0] || {
+      totalRevenue: 0,
+      totalOrders: 0,
+      averageOrderValue: 0
+    },
+    monthlyRevenue
+  });
 });
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,150 @@
+import express from 'express';
+import User from '../models/User.js';
+import { authenticateToken } from '../middleware/auth.js';
+import * as validators from '../validators/twoFactor.js';
+import {
+  BadRequestError,
+  ConflictError,
+  InvalidTransitionError,
+  UnauthorizedError
+} from '../utils/errors.js';
+import { generateSecret, getOtpauthUri, verifyCode } from '../utils/totp.js';
+import { generateBackupCodes, verifyStepUpCode } from '../utils/twoFactor.js';
+import { assertLoginAllowed, recordLoginFailure } from '../utils/loginThrottle.js';
+import { getSettings } from '../utils/settings.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Get my 2FA status
+router.get('/status', async (req, res) => {
+  const [user, settings] = await Promise.all([
+    User.findById(req.user._id).select('+twoFactor.backupCodes'),
+    getSettings()
+  ]);
+
+  res.json({
+    enabled: user.twoFactor.enabled,
+    enabledAt: user.twoFactor.enabledAt,
+    backupCodesRemaining: user.twoFactor.backupCodes?.length || 0,
+    requiredForWithdrawals: settings['security.requireTwoFactorForWithdrawals']
+  });
+});
+
+// Start enrollment: a new secret for the authenticator app
+router.post('/setup', async (req, res) => {
+  if (req.user.twoFactor?.enabled) {
+    throw new ConflictError('Two-factor authentication is already enabled', { code: 'TWO_FACTOR_ALREADY_ENABLED' });
+  }
+
+  const secret = generateSecret();
+
+  await User.updateOne({ _id: req.user._id }, { 'twoFactor.pendingSecret': secret });
+
+  res.json({
+    secret,
+    otpauthUri: getOtpauthUri({
+      secret,
+      label: req.user.email,
+      issuer: process.env.TWO_FACTOR_ISSUER || 'FreelanceHub'
+    })
+  });
+});
+
+// Finish enrollment with a code from the app
+router.post('/enable', validators.codeOnly, async (req, res) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+  if (user.twoFactor.enabled) {
+    throw new ConflictError('Two-factor authentication is already enabled', { code: 'TWO_FACTOR_ALREADY_ENABLED' });
+  }
+
+  if (!user.twoFactor.pendingSecret) {
+    throw new InvalidTransitionError('Start two-factor setup first', { code: 'TWO_FACTOR_SETUP_REQUIRED' });
+  }
+
+  const counter = verifyCode(user.twoFactor.pendingSecret, code);
+  if (counter === null) {
+    throw new BadRequestError('Invalid two-factor code', { code: 'INVALID_TWO_FACTOR_CODE' });
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      'twoFactor.enabled': true,
+      'twoFactor.secret': user.twoFactor.pendingSecret,
+      'twoFactor.backupCodes': hashes,
+      'twoFactor.lastUsedCounter': counter,
+      'twoFactor.enabledAt': new Date(),
+      $unset: { 'twoFactor.pendingSecret': 1 }
+    }
+  );
+
+  res.json({
+    message: 'Two-factor authentication enabled',
+    // Only shown this once
+    backupCodes: codes
+  });
+});
+
+// Turn 2FA off. Needs the password and a current code.
+router.post('/disable', validators.disable, async (req, res) => {
+  const { password, code } = req.body;
+
+  const user = await User.findById(req.user._id);
+  if (!user.twoFactor.enabled) {
+    throw new InvalidTransitionError('Two-factor authentication is not enabled', { code: 'TWO_FACTOR_NOT_ENABLED' });
+  }
+
+  // Password and code guesses count towards the login lockout
+  await assertLoginAllowed(req, user.email);
+
+  if (!password || !(await user.comparePassword(password))) {
+    await recordLoginFailure(req, user.email, user);
+    throw new UnauthorizedError('Invalid password', { code: 'INVALID_CREDENTIALS' });
+  }
+
+  if (!(await verifyStepUpCode(req, user, code))) {
+    throw new UnauthorizedError('Invalid two-factor code', { code: 'INVALID_TWO_FACTOR_CODE' });
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      'twoFactor.enabled': false,
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.backupCodes': 1,
+        'twoFactor.lastUsedCounter': 1,
+        'twoFactor.enabledAt': 1
+      }
+    }
+  );
+
+  res.json({ message: 'Two-factor authentication disabled' });
+});
+
+// Replace all backup codes
+router.post('/backup-codes', validators.codeOnly, async (req, res) => {
+  const { code } = req.body;
+
+  if (!req.user.twoFactor?.enabled) {
+    throw new InvalidTransitionError('Two-factor authentication is not enabled', { code: 'TWO_FACTOR_NOT_ENABLED' });
+  }
+
+  if (!(await verifyStepUpCode(req, req.user, code))) {
+    throw new UnauthorizedError('Invalid two-factor code', { code: 'INVALID_TWO_FACTOR_CODE' });
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+
+  await User.updateOne({ _id: req.user._id }, { 'twoFactor.backupCodes': hashes });
+
+  res.json({ backupCodes: codes });
+});
+
+export default router;
@@ -2,6 +2,8 @@ import express from 'express';
 import multer from 'multer';
 import { v2 as cloudinary } from 'cloudinary';
 import { authenticateToken } from '../middleware/auth.js';
+import * as validators from '../validators/upload.js';
+import { BadRequestError, NotFoundError } from '../utils/errors.js';
 
 const router = express.Router();
 
@@ -24,22 +26,58 @@ const upload = multer({
     if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('video/')) {
       cb(null, true);
     } else {
-      cb(new Error('Only image and video files are allowed'), false);
+      cb(new BadRequestError('Only image and video files are allowed', { code: 'UNSUPPORTED_FILE_TYPE' }), false);
     }
   }
 });
 
 // Upload single file
-router.post('/single', authenticateToken, upload.single('file'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ message: 'No file uploaded' });
-    }
+router.post('/single', authenticateToken, upload.single('file'), validators.uploadFiles, async (req, res) => {
+  if (!req.file) {
+    throw new BadRequestError('No file uploaded');
+  }
+
+  const { folder = 'general' } = req.body;
+
+  // Upload to Cloudinary
+  const result = await new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(
+      {
+        folder: `fiverr-clone/${folder}`,
+        resource_type: 'auto',
+        transformation: [
+          { quality: 'auto' },
+          { fetch_format: 'auto' }
+        ]
+      },
+      (error, result) => {
+        if (error) reject(error);
+        else resolve(result);
+      }
+    );
 
-    const { folder = 'general' } = req.body;
+    uploadStream.end(req.file.buffer);
+  });
 
-    // Upload to Cloudinary
-    const result = await new Promise((resolve, reject) => {
+  res.json({
+    url: result.secure_url,
+    publicId: result.public_id,
+    format: result.format,
+    width: result.width,
+    height: result.height,
+    bytes: result.bytes
+  });
+});
+
+// Upload multiple files
+router.post('/multiple', authenticateToken, upload.array('files', 5), validators.uploadFiles, async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    throw new BadRequestError('No files uploaded');
+  }
+
+  const { folder = 'general' } = req.body;
+  const uploadPromises = req.files.map(file => {
+    return new Promise((resolve, reject) => {
       const uploadStream = cloudinary.uploader.upload_stream(
         {
           folder: `fiverr-clone/${folder}`,
@@ -51,100 +89,40 @@ router.post('/single', authenticateToken, upload.single('file'), async (req, res
         },
         (error, result) => {
           if (error) reject(error);
-          else resolve(result);
+          else resolve({
+            url: result.secure_url,
+            publicId: result.public_id,
+            format: result.format,
+            width: result.width,
+            height: result.height,
+            bytes: result.bytes
+          });
         }
       );
 
-      uploadStream.end(req.file.buffer);
-    });
-
-    res.json({
-      url: result.secure_url,
-      publicId: result.public_id,
-      format: result.format,
-      width: result.width,
-      height: result.height,
-      bytes: result.bytes
-    });
-  } catch (error) {
-    console.error('Upload error:', error);
-    res.status(500).json({
-      message: 'Error uploading file',
-      error: error.message
-    });
-  }
-});
-
-// Upload multiple files
-router.post('/multiple', authenticateToken, upload.array('files', 5), async (req, res) => {
-  try {
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ message: 'No files uploaded' });
-    }
-
-    const { folder = 'general' } = req.body;
-    const uploadPromises = req.files.map(file => {
-      return new Promise((resolve, reject) => {
-        const uploadStream = cloudinary.uploader.upload_stream(
-          {
-            folder: `fiverr-clone/${folder}`,
-            resource_type: 'auto',
-            transformation: [
-              { quality: 'auto' },
-              { fetch_format: 'auto' }
-            ]
-          },
-          (error, result) => {
-            if (error) reject(error);
-            else resolve({
-              url: result.secure_url,
-              publicId: result.public_id,
-              format: result.format,
-              width: result.width,
-              height: result.height,
-              bytes: result.bytes
-            });
-          }
-        );
-
-        uploadStream.end(file.buffer);
-      });
+      uploadStream.end(file.buffer);
     });
+  });
 
-    const results = await Promise.all(uploadPromises);
+  const results = await Promise.all(uploadPromises);
 
-    res.json({
-      files: results
-    });
-  } catch (error) {
-    console.error('Multiple upload error:', error);
-    res.status(500).json({
-      message: 'Error uploading files',
-      error: error.message
-    });
-  }
+  res.json({
+    files: results
+  });
 });
 
 // Delete file
-router.delete('/:publicId', authenticateToken, async (req, res) => {
-  try {
-    const { publicId } = req.params;
-    
-    // Delete from Cloudinary
-    const result = await cloudinary.uploader.destroy(publicId);
-    
-    if (result.result === 'ok') {
-      res.json({ message: 'File deleted successfully' });
-    } else {
-      res.status(404).json({ message: 'File not found' });
-    }
-  } catch (error) {
-    console.error('Delete error:', error);
-    res.status(500).json({
-      message: 'Error deleting file',
-      error: error.message
-    });
+router.delete('/:publicId', authenticateToken, validators.deleteFile, async (req, res) => {
+  const { publicId } = req.params;
+  
+  // Delete from Cloudinary
+  const result = await cloudinary.uploader.destroy(publicId);
+  
+  if (result.result !== 'ok') {
+    throw new NotFoundError('File not found');
   }
+
+  res.json({ message: 'File deleted successfully' });
 });
 
 export default router;
\ No newline at end of file
@@ -1,56 +1,52 @@
 import express from 'express';
 import User from '../models/User.js';
 import { authenticateToken } from '../middleware/auth.js';
+import * as validators from '../validators/users.js';
+import { NotFoundError } from '../utils/errors.js';
 
 const router = express.Router();
 
-// Get user profile
-router.get('/profile/:id', async (req, res) => {
-  try {
-    const user = await User.findById(req.params.id).select('-password');
-    
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
-    res.json(user);
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error fetching user profile',
-      error: error.message
-    });
+// What anyone can see of another user. Contact details, earnings, account
+// security and moderation state stay private.
+const PUBLIC_PROFILE_FIELDS = [
+  'username', 'role', 'fullName', 'avatar', 'description', 'skills', 'languages',
+  'education', 'certifications', 'rating', 'totalReviews', 'completedOrders',
+  'isOnline', 'lastSeen', 'country', 'memberSince', 'createdAt'
+].join(' ');
+
+// Get a user's public profile
+router.get('/profile/:id', validators.getProfile, async (req, res) => {
+  const user = await User.findById(req.params.id).select(PUBLIC_PROFILE_FIELDS);
+  
+  if (!user) {
+    throw new NotFoundError('User not found');
   }
+  
+  res.json(user);
 });
 
 // Update user profile
-router.put('/profile', authenticateToken, async (req, res) => {
-  try {
-    const allowedUpdates = ['fullName', 'description', 'skills', 'avatar'];
-    const updates = {};
-    
-    // Only allow certain fields to be updated
-    Object.keys(req.body).forEach(key => {
-      if (allowedUpdates.includes(key)) {
-        updates[key] = req.body[key];
-      }
-    });
-    
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      updates,
-      { new: true, runValidators: true }
-    ).select('-password');
-    
-    res.json({
-      message: 'Profile updated successfully',
-      user
-    });
-  } catch (error) {
-    res.status(500).json({
-      message: 'Error updating profile',
-      error: error.message
-    });
-  }
+router.put('/profile', authenticateToken, validators.updateProfile, async (req, res) => {
+  const allowedUpdates = ['fullName', 'description', 'skills', 'avatar'];
+  const updates = {};
+  
+  // Only allow certain fields to be updated
+  Object.keys(req.body).forEach(key => {
+    if (allowedUpdates.includes(key)) {
+      updates[key] = req.body[key];
+    }
+  });
+  
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    updates,
+    { new: true, runValidators: true }
+  ).select('-password');
+  
+  res.json({
+    message: 'Profile updated successfully',
+    user
+  });
 });
 
 export default router;
\ No newline at end of file
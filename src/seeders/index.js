@@ -58,6 +58,13 @@ const sampleUsers = [
     totalReviews: 156,
     completedOrders: 180,
     totalEarnings: 22000
+  },
+  {
+    username: 'admin',
+    email: 'admin@example.com',
+    password: 'password123',
+    role: 'admin',
+    fullName: 'Platform Admin'
   }
 ];
 
@@ -160,14 +167,16 @@ const seedDatabase = async () => {
     console.log('Cleared existing data');
 
     // Create users
-    const users = await User.create(sampleUsers);
+    // Seeded accounts skip email verification
+    const users = await User.create(sampleUsers.map(user => ({ ...user, isVerified: true })));
     console.log('Created sample users');
 
     // Create gigs
     const freelancers = users.filter(user => user.role === 'freelancer');
     const gigsWithFreelancers = sampleGigs.map((gig, index) => ({
       ...gig,
-      freelancer: freelancers[index % freelancers.length]._id
+      freelancer: freelancers[index % freelancers.length]._id,
+      status: 'approved'
     }));
 
     const gigs = await Gig.create(gigsWithFreelancers);
@@ -221,6 +230,7 @@ const seedDatabase = async () => {
     console.log('Freelancer: sarah@example.com / password123');
     console.log('Client: mike@example.com / password123');
     console.log('Freelancer: emma@example.com / password123');
+    console.log('Admin: admin@example.com / password123');
 
     process.exit(0);
   } catch (error) {
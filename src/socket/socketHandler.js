@@ -1,5 +1,8 @@
-import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
+import Order from '../models/Order.js';
+import { verifyAccessToken } from '../utils/sessions.js';
+import { getOrderRole } from '../utils/orders.js';
 
 let io;
 
@@ -13,15 +16,19 @@ export const setupSocket = (socketIO) => {
         return next(new Error('Authentication error'));
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
-      
+      const { user, session } = await verifyAccessToken(token);
+
       if (!user) {
         return next(new Error('User not found'));
       }
 
+      if (user.isSuspended) {
+        return next(new Error('Account suspended'));
+      }
+
       socket.userId = user._id.toString();
       socket.user = user;
+      socket.sessionId = session._id.toString();
       next();
     } catch (error) {
       next(new Error('Authentication error'));
@@ -33,6 +40,8 @@ export const setupSocket = (socketIO) => {
 
     // Join user to their personal room
     socket.join(`user_${socket.userId}`);
+    // Lets a revoked session's sockets be disconnected
+    socket.join(`session_${socket.sessionId}`);
 
     // Update user online status
     User.findByIdAndUpdate(socket.userId, {
@@ -68,9 +77,18 @@ export const setupSocket = (socketIO) => {
       });
     });
 
-    // Handle order updates
-    socket.on('join_order_room', (orderId) => {
-      socket.join(`order_${orderId}`);
+    // Handle order updates. Only the buyer, seller and admins may watch an order.
+    socket.on('join_order_room', async (orderId) => {
+      try {
+        const order = mongoose.isValidObjectId(orderId) &&
+          await Order.findById(orderId).select('buyer seller');
+
+        if (order && getOrderRole(order, socket.user)) {
+          socket.join(`order_${orderId}`);
+        }
+      } catch (error) {
+        console.error('Error joining order room:', error);
+      }
     });
 
     socket.on('leave_order_room', (orderId) => {
@@ -127,4 +145,10 @@ export const emitToOrder = (orderId, event, data) => {
   if (io) {
     io.to(`order_${orderId}`).emit(event, data);
   }
-};
\ No newline at end of file
+};
+
+export const disconnectSession = (sessionId) => {
+  if (io) {
+    io.in(`session_${sessionId}`).disconnectSockets(true);
+  }
+};
@@ -0,0 +1,22 @@
+import crypto from 'crypto';
+
+// Single-use tokens sent by email. Only the SHA-256 hash is stored, so a
+// leaked database can't be used to verify accounts or reset passwords.
+
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Returns the raw token to send and the hash to store
+export const createToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hash: hashToken(token) };
+};
+
+export const getVerificationTokenTTL = () => {
+  return (Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+};
+
+export const getPasswordResetTokenTTL = () => {
+  return (Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000;
+};
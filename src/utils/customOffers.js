@@ -0,0 +1,251 @@
+import Order from '../models/Order.js';
+import Gig from '../models/Gig.js';
+import User from '../models/User.js';
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import { calculateFees } from './fees.js';
+import { createCheckoutSession, getStripe } from './stripe.js';
+import { createNotification } from './notifications.js';
+import { transitionOrder } from './orderStateMachine.js';
+import { ConflictError, InvalidTransitionError } from './errors.js';
+import { emitToUser } from '../socket/socketHandler.js';
+
+export const MIN_OFFER_PRICE = 5;
+
+// Offers sent without an expiry stay open this long
+export const getOfferExpiryPeriod = () => {
+  return (Number(process.env.CUSTOM_OFFER_EXPIRY_DAYS) || 7) * 24 * 60 * 60 * 1000;
+};
+
+export const isOfferExpired = (offer, now = new Date()) => {
+  return Boolean(offer.expiresAt) && offer.expiresAt <= now;
+};
+
+// Check the seller's offer and fill in defaults. Returns { offer } or { error }.
+export const normalizeOffer = (offer, now = new Date()) => {
+  if (!offer) {
+    return { error: 'Custom offer details are required' };
+  }
+
+  const { title, description, deliveryTime, revisions = 0, expiresAt } = offer;
+  const price = Math.round(Number(offer.price) * 100) / 100;
+
+  if (!title?.trim()) {
+    return { error: 'Offer title is required' };
+  }
+
+  if (!(price >= MIN_OFFER_PRICE)) {
+    return { error: `Minimum price is $${MIN_OFFER_PRICE}` };
+  }
+
+  if (!Number.isInteger(Number(deliveryTime)) || Number(deliveryTime) < 1) {
+    return { error: 'Delivery time must be at least 1 day' };
+  }
+
+  if (!Number.isInteger(Number(revisions)) || Number(revisions) < 0) {
+    return { error: 'Revisions must be 0 or more' };
+  }
+
+  const expiry = expiresAt
+    ? new Date(expiresAt)
+    : new Date(now.getTime() + getOfferExpiryPeriod());
+
+  if (isNaN(expiry) || expiry <= now) {
+    return { error: 'Offer expiry must be in the future' };
+  }
+
+  return {
+    offer: {
+      title: title.trim(),
+      description,
+      price,
+      deliveryTime: Number(deliveryTime),
+      revisions: Number(revisions),
+      expiresAt: expiry,
+      status: 'pending'
+    }
+  };
+};
+
+// Buyer and seller of an offer, whichever side sent it
+export const getOfferParties = (message) => {
+  const seller = message.customOffer.seller || message.sender;
+  const buyer = seller.toString() === message.sender.toString() ? message.receiver : message.sender;
+  return { buyer, seller };
+};
+
+// Move a pending offer to `status` in one query, so two transitions racing
+// each other can't both win. Only expiry applies once expiresAt has passed.
+// Returns the updated message, or null if the offer was no longer open.
+export const transitionOffer = (messageId, status, { now = new Date(), set = {} } = {}) => {
+  const query = {
+    _id: messageId,
+    messageType: 'custom_offer',
+    'customOffer.status': 'pending'
+  };
+
+  if (status === 'expired') {
+    query['customOffer.expiresAt'] = { $lte: now };
+  } else {
+    query.$or = [
+      { 'customOffer.expiresAt': { $exists: false } },
+      { 'customOffer.expiresAt': null },
+      { 'customOffer.expiresAt': { $gt: now } }
+    ];
+  }
+
+  return Message.findOneAndUpdate(
+    query,
+    { 'customOffer.status': status, ...set },
+    { new: true }
+  );
+};
+
+// Post an order_update message about an offer into its conversation and send
+// the custom_offer notification to `notify` (the receiving side by default)
+export const postOfferUpdate = async (offer, { from, to, content, title, notify = [to], data = {} }) => {
+  const update = await Message.create({
+    conversation: offer.conversation,
+    sender: from,
+    receiver: to,
+    content,
+    messageType: 'order_update'
+  });
+
+  await Conversation.updateOne(
+    { _id: offer.conversation },
+    {
+      lastMessage: update._id,
+      lastActivity: update.createdAt,
+      $inc: { [`unreadCount.${to}`]: 1 }
+    }
+  );
+
+  [from, to].forEach(userId => {
+    emitToUser(userId, 'new_message', { message: update, conversationId: offer.conversation });
+  });
+
+  await Promise.all(notify.map(recipient => createNotification({
+    recipient,
+    sender: recipient.toString() === from.toString() ? null : from,
+    type: 'custom_offer',
+    title,
+    message: content,
+    data: { messageId: offer._id, conversationId: offer.conversation, ...data }
+  })));
+
+  return update;
+};
+
+// Expire a pending offer past its expiresAt and tell both sides.
+// Returns the updated message, or null if it wasn't due.
+export const expireOffer = async (message, { now = new Date() } = {}) => {
+  const expired = await transitionOffer(message._id, 'expired', {
+    now,
+    set: { 'customOffer.closedAt': now }
+  });
+
+  if (!expired) {
+    return null;
+  }
+
+  await postOfferUpdate(expired, {
+    from: expired.sender,
+    to: expired.receiver,
+    content: `Custom offer "${expired.customOffer.title}" has expired`,
+    title: 'Custom Offer Expired',
+    notify: [expired.sender, expired.receiver]
+  });
+
+  return expired;
+};
+
+// Unpaid order for an accepted offer, priced with the current fee schedule
+export const buildOfferOrder = async (message, conversation) => {
+  const { title, description, price, deliveryTime, revisions } = message.customOffer;
+  const { buyer, seller: sellerId } = getOfferParties(message);
+
+  const [seller, gig] = await Promise.all([
+    User.findById(sellerId).select('completedOrders rating'),
+    conversation.gig ? Gig.findById(conversation.gig).select('category') : null
+  ]);
+
+  const fees = await calculateFees({
+    subtotal: price,
+    category: gig?.category,
+    seller
+  });
+
+  return new Order({
+    buyer,
+    seller: sellerId,
+    gig: null, // Custom offers aren't tied to a gig package
+    package: 'custom',
+    packageDetails: {
+      title,
+      description,
+      price,
+      deliveryTime,
+      revisions,
+      features: []
+    },
+    customOffer: {
+      message: message._id,
+      conversation: conversation._id
+    },
+    totalAmount: fees.totalAmount,
+    serviceFee: fees.serviceFee,
+    netAmount: fees.netAmount,
+    platformFee: fees.platformFee,
+    feeScheduleVersion: fees.feeScheduleVersion,
+    feeBreakdown: fees.feeBreakdown,
+    paymentIntentId: 'temp_' + Date.now() // Temporary, will be updated after payment
+  });
+};
+
+// Open a checkout session for a custom offer order and save the order against it.
+// Any earlier session is expired first so the buyer can't pay twice. If that one
+// was paid but its webhook hasn't arrived yet, the payment is recorded instead.
+export const checkoutOfferOrder = async (order) => {
+  if (order.stripeSessionId) {
+    const previous = await getStripe().checkout.sessions.retrieve(order.stripeSessionId);
+
+    if (previous.status === 'complete') {
+      if (previous.payment_status !== 'paid') {
+        throw new InvalidTransitionError('The payment for this order is still being processed', { code: 'PAYMENT_PROCESSING' });
+      }
+
+      // The webhook may have recorded the payment in the meantime
+      await transitionOrder(order, 'pay', { paymentIntentId: previous.payment_intent })
+        .catch((error) => {
+          if (!(error instanceof ConflictError)) throw error;
+        });
+
+      throw new InvalidTransitionError('This order has already been paid', { code: 'ORDER_ALREADY_PAID' });
+    }
+
+    // Only replace the session once Stripe has closed it. If it was paid in the
+    // meantime, the expire fails and the order still points at it for the webhook.
+    if (previous.status === 'open') {
+      await getStripe().checkout.sessions.expire(previous.id);
+    }
+  }
+
+  const session = await createCheckoutSession(order, {
+    product: {
+      name: order.packageDetails.title,
+      description: order.packageDetails.description || 'Custom offer'
+    },
+    cancelUrl: `${process.env.CLIENT_URL}/messages`,
+    metadata: {
+      isCustomOffer: 'true',
+      messageId: order.customOffer.message.toString()
+    }
+  });
+
+  order.stripeSessionId = session.id;
+  order.paymentIntentId = session.payment_intent || session.id;
+  await order.save();
+
+  return session;
+};
@@ -0,0 +1,60 @@
+import { sendMail } from './mailer.js';
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const clientUrl = (path, token) => {
+  return `${process.env.CLIENT_URL}${path}?token=${encodeURIComponent(token)}`;
+};
+
+export const sendVerificationEmail = (user, token) => {
+  const link = clientUrl('/verify-email', token);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.fullName},\n\nConfirm your email address by opening this link:\n${link}\n\n` +
+      'If you did not create an account, you can ignore this email.',
+    html: `<p>Hi ${escapeHtml(user.fullName)},</p>` +
+      `<p>Confirm your email address by opening <a href="${link}">this link</a>.</p>` +
+      '<p>If you did not create an account, you can ignore this email.</p>'
+  });
+};
+
+export const sendPasswordResetEmail = (user, token) => {
+  const link = clientUrl('/reset-password', token);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.fullName},\n\nReset your password by opening this link:\n${link}\n\n` +
+      'If you did not ask for a password reset, you can ignore this email.',
+    html: `<p>Hi ${escapeHtml(user.fullName)},</p>` +
+      `<p>Reset your password by opening <a href="${link}">this link</a>.</p>` +
+      '<p>If you did not ask for a password reset, you can ignore this email.</p>'
+  });
+};
+
+export const sendPasswordChangedEmail = (user) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Your password was changed',
+    text: `Hi ${user.fullName},\n\nYour password was just changed. ` +
+      'If this wasn\'t you, reset your password straight away and contact support.',
+    html: `<p>Hi ${escapeHtml(user.fullName)},</p>` +
+      '<p>Your password was just changed. If this wasn\'t you, reset your password straight away and contact support.</p>'
+  });
+};
+
+export const sendAccountLockedEmail = (user, lockedUntil) => {
+  const minutes = Math.ceil((lockedUntil - Date.now()) / 60000);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your account was temporarily locked',
+    text: `Hi ${user.fullName},\n\nThere were too many failed sign-in attempts on your account, ` +
+      `so it has been locked for ${minutes} minutes. If this wasn't you, consider resetting your password.`,
+    html: `<p>Hi ${escapeHtml(user.fullName)},</p>` +
+      `<p>There were too many failed sign-in attempts on your account, so it has been locked for ${minutes} minutes. ` +
+      'If this wasn\'t you, consider resetting your password.</p>'
+  });
+};
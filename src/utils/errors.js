@@ -0,0 +1,71 @@
+// Application errors. Route handlers throw these and middleware/errorHandler.js
+// turns them into the response envelope:
+// { message, code, requestId, details? }
+// `code` is stable so clients can branch on it; `message` is for people.
+
+export class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message = 'Bad request', { code = 'BAD_REQUEST', details } = {}) {
+    super(message, { status: 400, code, details });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', { code = 'UNAUTHORIZED', details } = {}) {
+    super(message, { status: 401, code, details });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'Not authorized', { code = 'FORBIDDEN', details } = {}) {
+    super(message, { status: 403, code, details });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Not found', { code = 'NOT_FOUND', details } = {}) {
+    super(message, { status: 404, code, details });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = 'Conflict', { code = 'CONFLICT', details } = {}) {
+    super(message, { status: 409, code, details });
+  }
+}
+
+// The resource exists but its current state doesn't allow the action
+export class InvalidTransitionError extends AppError {
+  constructor(message = 'Action not allowed in the current state', { code = 'INVALID_TRANSITION', details } = {}) {
+    super(message, { status: 409, code, details });
+  }
+}
+
+// details: [{ field, location, message }]
+export class ValidationError extends AppError {
+  constructor(message = 'Validation failed', { code = 'VALIDATION_FAILED', details } = {}) {
+    super(message, { status: 422, code, details });
+  }
+}
+
+export class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests', { code = 'RATE_LIMITED', details, retryAfter } = {}) {
+    super(message, { status: 429, code, details });
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class PaymentUnavailableError extends AppError {
+  constructor(message = 'Payment service is currently unavailable. Please contact support.', { code = 'PAYMENT_UNAVAILABLE', details } = {}) {
+    super(message, { status: 503, code, details });
+  }
+}
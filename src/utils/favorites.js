@@ -0,0 +1,74 @@
+import Gig from '../models/Gig.js';
+import GigCollection from '../models/GigCollection.js';
+import { BadRequestError, NotFoundError } from './errors.js';
+
+// Saved gigs. Gig.favorites holds the ids of the users who saved the gig; it
+// never leaves the server, responses get a favoriteCount and an isFavorited
+// flag for the viewer instead. Updates skip timestamps so saving a gig
+// doesn't look like an edit to it.
+
+const isSavedBy = (favorites = [], userId) => {
+  return Boolean(userId) && favorites.some(id => id.toString() === userId.toString());
+};
+
+// Gig (document or plain object) as sent to `viewer`, who may be anonymous
+export const formatGig = (gig, viewer) => {
+  const { favorites = [], ...rest } = typeof gig.toObject === 'function' ? gig.toObject() : gig;
+
+  return {
+    ...rest,
+    favoriteCount: favorites.length,
+    isFavorited: isSavedBy(favorites, viewer?._id)
+  };
+};
+
+// Aggregation stage that does the same as formatGig for `viewerId`
+export const favoriteFields = (viewerId) => ({
+  $set: {
+    favoriteCount: { $size: { $ifNull: ['$favorites', []] } },
+    isFavorited: viewerId ? { $in: [viewerId, { $ifNull: ['$favorites', []] }] } : false
+  }
+});
+
+// A gig the user may save: live on the marketplace and not their own
+export const getSaveableGig = async (gigId, user) => {
+  const gig = await Gig.findOne({ _id: gigId, status: 'approved', isActive: true, archivedAt: null })
+    .select('freelancer');
+
+  if (!gig) {
+    throw new NotFoundError('Gig not found');
+  }
+
+  if (gig.freelancer.toString() === user._id.toString()) {
+    throw new BadRequestError('You cannot save your own gig', { code: 'OWN_GIG' });
+  }
+
+  return gig;
+};
+
+export const getFavoriteCount = async (gigId) => {
+  const [result] = await Gig.aggregate([
+    { $match: { _id: gigId } },
+    { $project: { count: { $size: { $ifNull: ['$favorites', []] } } } }
+  ]);
+  return result?.count || 0;
+};
+
+export const favoriteGig = (gigId, userId) => {
+  return Gig.updateOne(
+    { _id: gigId },
+    { $addToSet: { favorites: userId } },
+    { timestamps: false }
+  );
+};
+
+// Unsaving a gig also takes it out of the user's collections
+export const unfavoriteGig = async (gigId, userId) => {
+  await Promise.all([
+    Gig.updateOne({ _id: gigId }, { $pull: { favorites: userId } }, { timestamps: false }),
+    GigCollection.updateMany(
+      { owner: userId, 'gigs.gig': gigId },
+      { $pull: { gigs: { gig: gigId } } }
+    )
+  ]);
+};
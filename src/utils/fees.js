@@ -0,0 +1,92 @@
+import FeeSchedule from '../models/FeeSchedule.js';
+
+// Used until a fee schedule has been created: 5% buyer fee (minimum $2), 20% platform fee
+export const DEFAULT_FEE_SCHEDULE = {
+  version: 0,
+  name: 'Default',
+  effectiveFrom: new Date(0),
+  buyerFee: { rate: 0.05, minimum: 2 },
+  platformFee: { rate: 0.2, minimum: 0 },
+  categoryRates: [],
+  sellerTiers: [],
+  promotions: []
+};
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// The schedule in force at a point in time
+export const getActiveFeeSchedule = async (at = new Date()) => {
+  const schedule = await FeeSchedule.findOne({ effectiveFrom: { $lte: at } })
+    .sort({ effectiveFrom: -1, version: -1 });
+
+  return schedule || DEFAULT_FEE_SCHEDULE;
+};
+
+export const getFeeSchedule = async (version) => {
+  if (Number(version) === DEFAULT_FEE_SCHEDULE.version) {
+    return DEFAULT_FEE_SCHEDULE;
+  }
+  return FeeSchedule.findOne({ version });
+};
+
+// Price an order. `seller` needs completedOrders and rating for tier discounts.
+export const calculateFees = async ({ subtotal, category, seller, at = new Date() }) => {
+  const schedule = await getActiveFeeSchedule(at);
+
+  const categoryRate = category
+    ? schedule.categoryRates.find(rate => rate.category === category)
+    : null;
+
+  let buyerRate = categoryRate?.buyerRate ?? schedule.buyerFee.rate;
+  let platformRate = categoryRate?.platformRate ?? schedule.platformFee.rate;
+
+  // Best tier the seller qualifies for
+  const sellerTier = seller
+    ? schedule.sellerTiers
+      .filter(tier => (seller.completedOrders || 0) >= tier.minCompletedOrders &&
+        (seller.rating || 0) >= tier.minRating)
+      .sort((a, b) => b.platformRateDiscount - a.platformRateDiscount)[0]
+    : null;
+
+  if (sellerTier) {
+    platformRate -= sellerTier.platformRateDiscount;
+  }
+
+  const promotions = schedule.promotions.filter(promotion =>
+    promotion.startsAt <= at &&
+    promotion.endsAt > at &&
+    (!promotion.categories?.length || promotion.categories.includes(category))
+  );
+
+  promotions.forEach(promotion => {
+    buyerRate -= promotion.buyerRateDiscount;
+    platformRate -= promotion.platformRateDiscount;
+  });
+
+  buyerRate = Math.max(0, buyerRate);
+  platformRate = Math.max(0, platformRate);
+
+  // Minimums only apply while a fee is being charged at all
+  const serviceFee = buyerRate > 0
+    ? Math.max(schedule.buyerFee.minimum, roundCents(subtotal * buyerRate))
+    : 0;
+  const platformFee = platformRate > 0
+    ? Math.min(subtotal, Math.max(schedule.platformFee.minimum, roundCents(subtotal * platformRate)))
+    : 0;
+
+  return {
+    subtotal,
+    serviceFee,
+    platformFee,
+    totalAmount: roundCents(subtotal + serviceFee),
+    netAmount: roundCents(subtotal - platformFee),
+    feeScheduleVersion: schedule.version,
+    feeBreakdown: {
+      buyerRate,
+      platformRate,
+      category,
+      sellerTier: sellerTier?.name,
+      promotions: promotions.map(promotion => promotion.name)
+    }
+  };
+};
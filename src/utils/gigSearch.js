@@ -0,0 +1,325 @@
+import mongoose from 'mongoose';
+import Gig from '../models/Gig.js';
+import { favoriteFields } from './favorites.js';
+import { createSearchIndex } from './searchIndex.js';
+
+// Marketplace search for GET /api/gigs: filters, sorting, paging, and facet
+// counts for the filter sidebar. Each facet ignores its own filter, so picking
+// a category still shows how many gigs the other categories have.
+//
+// Matching the search words is up to the search provider (GIG_SEARCH_PROVIDER):
+// 'mongo' (default) uses the $text index, 'memory' an in-process index with
+// typo tolerance and prefix matching. Filters and facets always run in MongoDB.
+
+export const SORT_OPTIONS = ['relevance', 'best_selling', 'rating', 'price_asc', 'price_desc', 'newest'];
+
+// Bucket edges for the price facet, on the basic package price
+export const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+
+const PACKAGE_TIERS = ['basic', 'standard', 'premium'];
+
+export const SELLER_FIELDS = 'username fullName avatar rating totalReviews country isOnline';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const exactly = (value) => new RegExp(`^${escapeRegex(value.trim())}$`, 'i');
+
+// Gigs anyone can find
+export const LISTED_GIG_QUERY = { isActive: true, status: 'approved', isPaused: false, archivedAt: null };
+
+// Whether a loaded gig matches LISTED_GIG_QUERY, i.e. can be found and ordered
+export const isGigListed = (gig) => {
+  return gig.isActive && gig.status === 'approved' && !gig.isPaused && !gig.archivedAt;
+};
+
+const getSort = (sort, hasSearch) => {
+  switch (sort) {
+    case 'best_selling':
+      return { totalOrders: -1, rating: -1 };
+    case 'rating':
+      return { rating: -1, totalReviews: -1 };
+    case 'price_asc':
+      return { 'pricing.basic.price': 1 };
+    case 'price_desc':
+      return { 'pricing.basic.price': -1 };
+    case 'newest':
+      return { createdAt: -1 };
+    default:
+      // Relevance needs something to be relevant to
+      return hasSearch ? { score: -1, totalOrders: -1 } : { totalOrders: -1, rating: -1 };
+  }
+};
+
+// Filters that only touch gig fields, apart from category and price which the
+// facets need separately. `textMatch` is the provider's filter for the search words.
+const getGigFilters = ({ subcategory, maxDeliveryDays, minRating }, textMatch) => {
+  const query = { ...LISTED_GIG_QUERY, ...textMatch };
+
+  if (subcategory) {
+    query.subcategory = exactly(subcategory);
+  }
+
+  // Any package that delivers in time will do
+  if (maxDeliveryDays !== undefined) {
+    query.$or = PACKAGE_TIERS.map(tier => ({
+      [`pricing.${tier}.deliveryTime`]: { $lte: maxDeliveryDays }
+    }));
+  }
+
+  if (minRating !== undefined) {
+    query.rating = { $gte: minRating };
+  }
+
+  return query;
+};
+
+const getSellerFilters = ({ country, language, online }) => {
+  const query = {};
+
+  if (country) {
+    query['seller.country'] = exactly(country);
+  }
+
+  if (language) {
+    query['seller.languages.language'] = exactly(language);
+  }
+
+  if (online !== undefined) {
+    query['seller.isOnline'] = online;
+  }
+
+  return query;
+};
+
+const getCategoryFilter = ({ category }) => {
+  return category && category !== 'all' ? { category } : {};
+};
+
+const getPriceFilter = ({ minPrice, maxPrice }) => {
+  if (minPrice === undefined && maxPrice === undefined) {
+    return {};
+  }
+
+  return {
+    'pricing.basic.price': {
+      ...(minPrice !== undefined && { $gte: minPrice }),
+      ...(maxPrice !== undefined && { $lte: maxPrice })
+    }
+  };
+};
+
+const lookupSeller = (as, fields) => ({
+  $lookup: {
+    from: 'users',
+    localField: 'freelancer',
+    foreignField: '_id',
+    as,
+    pipeline: [{ $project: Object.fromEntries(fields.split(' ').map(field => [field, 1])) }]
+  }
+});
+
+// Every bucket, including empty ones, as { min, max, count }; the last has no max
+const formatPriceBuckets = (buckets) => PRICE_BUCKETS.map((min, i) => ({
+  min,
+  max: PRICE_BUCKETS[i + 1] ?? null,
+  count: buckets.find(bucket => bucket._id === min)?.count || 0
+}));
+
+// params: { search, category, subcategory, minPrice, maxPrice, maxDeliveryDays,
+// minRating, country, language, online, sort, page, limit, viewer }, already
+// converted to numbers and booleans. `viewer` is the id of the signed-in user,
+// if any, for the isFavorited flag. With a search, `text` is the provider's
+// { match, score }: a filter for matching gigs and an expression for relevance.
+const runGigQuery = async (params, text) => {
+  const { search, sort = search ? 'relevance' : 'newest', page = 1, limit = 12, viewer } = params;
+  const sellerFilters = getSellerFilters(params);
+  const categoryFilter = getCategoryFilter(params);
+  const priceFilter = getPriceFilter(params);
+
+  const pipeline = [{ $match: getGigFilters(params, text?.match) }];
+
+  if (text) {
+    pipeline.push({ $addFields: { score: text.score } });
+  }
+
+  if (Object.keys(sellerFilters).length > 0) {
+    pipeline.push(
+      lookupSeller('seller', 'country languages isOnline'),
+      { $unwind: '$seller' },
+      { $match: sellerFilters },
+      { $unset: 'seller' }
+    );
+  }
+
+  pipeline.push({
+    $facet: {
+      gigs: [
+        { $match: { ...categoryFilter, ...priceFilter } },
+        { $sort: { ...getSort(sort, Boolean(text)), _id: -1 } },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        lookupSeller('freelancer', SELLER_FIELDS),
+        { $unwind: '$freelancer' },
+        favoriteFields(viewer),
+        { $unset: text ? ['favorites', 'score'] : 'favorites' }
+      ],
+      total: [
+        { $match: { ...categoryFilter, ...priceFilter } },
+        { $count: 'count' }
+      ],
+      categories: [
+        { $match: priceFilter },
+        { $group: { _id: '$category', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+      ],
+      priceRanges: [
+        { $match: categoryFilter },
+        {
+          $bucket: {
+            groupBy: '$pricing.basic.price',
+            boundaries: [...PRICE_BUCKETS, Infinity],
+            default: 'other',
+            output: { count: { $sum: 1 } }
+          }
+        }
+      ]
+    }
+  });
+
+  const [result] = await Gig.aggregate(pipeline);
+  const total = result.total[0]?.count || 0;
+
+  return {
+    gigs: result.gigs,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    },
+    facets: {
+      categories: result.categories.map(({ _id, count }) => ({ category: _id, count })),
+      priceRanges: formatPriceBuckets(result.priceRanges)
+    }
+  };
+};
+
+const toSuggestion = (gig) => ({ _id: gig._id, title: gig.title });
+
+// What the memory index needs to know about a gig
+const INDEXED_FIELDS = 'title description searchTags isActive status isPaused archivedAt';
+
+export const createMongoSearchProvider = () => ({
+  search: (params) => runGigQuery(params, params.search && {
+    match: { $text: { $search: params.search } },
+    score: { $meta: 'textScore' }
+  }),
+
+  // Listed gigs with a title word or tag starting with the query
+  suggest: async (query, { limit = 5 } = {}) => {
+    const words = new RegExp(`(^|\\s)${escapeRegex(query.trim())}`, 'i');
+    const gigs = await Gig.find({ ...LISTED_GIG_QUERY, $or: [{ title: words }, { searchTags: words }] })
+      .select('title searchTags')
+      .sort({ totalOrders: -1 })
+      .limit(limit)
+      .lean();
+
+    const terms = [...new Set(gigs.flatMap(gig => gig.searchTags || [])
+      .filter(tag => words.test(tag))
+      .map(tag => tag.toLowerCase()))];
+
+    return { terms: terms.slice(0, limit), gigs: gigs.map(toSuggestion) };
+  },
+
+  // The $text index keeps itself up to date
+  sync: async () => {}
+});
+
+export const createMemorySearchProvider = ({ index = createSearchIndex(), maxHits = 1000 } = {}) => {
+  let loading;
+
+  const add = (gig) => index.add(gig._id.toString(), { ...gig, listed: isGigListed(gig) });
+
+  // Built from the database on first use
+  const load = () => {
+    if (!loading) {
+      loading = Gig.find().select(INDEXED_FIELDS).lean()
+        .then(gigs => {
+          index.clear();
+          gigs.forEach(add);
+        })
+        .catch((error) => {
+          loading = null;
+          throw error;
+        });
+    }
+    return loading;
+  };
+
+  return {
+    search: async (params) => {
+      if (!params.search) {
+        return runGigQuery(params);
+      }
+
+      await load();
+      const ids = index.search(params.search, { limit: maxHits })
+        .map(({ id }) => new mongoose.Types.ObjectId(id));
+
+      return runGigQuery(params, {
+        match: { _id: { $in: ids } },
+        // Earlier in the hit list is more relevant
+        score: { $subtract: [0, { $indexOfArray: [ids, '$_id'] }] }
+      });
+    },
+
+    suggest: async (query, { limit = 5 } = {}) => {
+      await load();
+      const { terms, documents } = index.suggest(query, { limit });
+      return { terms, gigs: documents.map(({ id, title }) => toSuggestion({ _id: id, title })) };
+    },
+
+    // Changes made before the first load are picked up by the load itself
+    sync: async (gigIds) => {
+      if (!loading) return;
+      await loading;
+
+      const ids = gigIds.map(id => id.toString());
+      const gigs = await Gig.find({ _id: { $in: ids } }).select(INDEXED_FIELDS).lean();
+      const found = new Set(gigs.map(gig => gig._id.toString()));
+
+      gigs.forEach(add);
+      ids.filter(id => !found.has(id)).forEach(id => index.remove(id));
+    },
+
+    // Drop the index so the next search rebuilds it
+    reset: () => {
+      loading = null;
+      index.clear();
+    }
+  };
+};
+
+let provider;
+
+export const getSearchProvider = () => {
+  if (!provider) {
+    provider = process.env.GIG_SEARCH_PROVIDER === 'memory'
+      ? createMemorySearchProvider()
+      : createMongoSearchProvider();
+  }
+  return provider;
+};
+
+// Swap in a different provider. Pass undefined to re-read the environment.
+export const setSearchProvider = (searchProvider) => {
+  provider = searchProvider;
+};
+
+export const searchGigs = (params) => getSearchProvider().search(params);
+
+// Autocomplete: { terms, gigs: [{ _id, title }] }
+export const suggestGigs = (query, options) => getSearchProvider().suggest(query, options);
+
+// Call after gigs are created or changed, including moderation, pausing and archiving
+export const syncGigSearch = (gigIds) => getSearchProvider().sync([].concat(gigIds));
@@ -0,0 +1,156 @@
+import Gig from '../models/Gig.js';
+import GigStat from '../models/GigStat.js';
+
+// Impression and click counting for gigs. Counts are buffered in memory and
+// written in one bulk update per collection every few seconds (or sooner once
+// the buffer is large), so tracking adds no database writes to the requests
+// that trigger it. Counts still buffered when a process dies are lost.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const getDay = (at = new Date()) => new Date(Math.floor(at.getTime() / DAY) * DAY);
+
+export const createGigTracker = ({
+  now = () => new Date(),
+  flushInterval = 10 * 1000,
+  maxBufferSize = 1000
+} = {}) => {
+  let buffer = new Map(); // `${gigId}:${day}` -> { gig, date, impressions, clicks }
+  let timer = null;
+  let flushing = Promise.resolve();
+
+  const write = async (counts) => {
+    if (counts.length === 0) return;
+
+    const totals = new Map();
+    counts.forEach(({ gig, impressions, clicks }) => {
+      const total = totals.get(gig) || { impressions: 0, clicks: 0 };
+      total.impressions += impressions;
+      total.clicks += clicks;
+      totals.set(gig, total);
+    });
+
+    await Promise.all([
+      GigStat.bulkWrite(counts.map(({ gig, date, impressions, clicks }) => ({
+        updateOne: {
+          filter: { gig, date },
+          update: { $inc: { impressions, clicks } },
+          upsert: true
+        }
+      })), { ordered: false }),
+      // Counting views isn't an edit, so updatedAt is left alone
+      Gig.bulkWrite([...totals].map(([gig, inc]) => ({
+        updateOne: { filter: { _id: gig }, update: { $inc: inc }, timestamps: false }
+      })), { ordered: false })
+    ]);
+  };
+
+  // Write out everything buffered so far. Flushes run one at a time.
+  const flush = () => {
+    const counts = [...buffer.values()];
+    buffer = new Map();
+
+    flushing = flushing
+      .then(() => write(counts))
+      .catch((error) => console.error('Failed to write gig tracking counts:', error));
+
+    return flushing;
+  };
+
+  const add = (gigIds, field) => {
+    const date = getDay(now());
+
+    gigIds.forEach((id) => {
+      const gig = id.toString();
+      const key = `${gig}:${date.getTime()}`;
+      if (!buffer.has(key)) {
+        buffer.set(key, { gig, date, impressions: 0, clicks: 0 });
+      }
+      buffer.get(key)[field]++;
+    });
+
+    if (buffer.size >= maxBufferSize) {
+      flush();
+    } else if (!timer) {
+      timer = setInterval(flush, flushInterval);
+      timer.unref();
+    }
+  };
+
+  return {
+    recordImpressions: (gigIds) => add(gigIds, 'impressions'),
+    recordClick: (gigId) => add([gigId], 'clicks'),
+    flush,
+    stop: () => {
+      clearInterval(timer);
+      timer = null;
+      return flush();
+    }
+  };
+};
+
+let tracker;
+
+export const getGigTracker = () => {
+  if (!tracker) {
+    tracker = createGigTracker({
+      flushInterval: Number(process.env.GIG_TRACKING_FLUSH_MS) || 10 * 1000
+    });
+  }
+  return tracker;
+};
+
+// Swap in a different tracker (e.g. one with a test clock). Pass undefined to re-read the environment.
+export const setGigTracker = (gigTracker) => {
+  tracker = gigTracker;
+};
+
+// Orders are rare enough to count straight away
+export const recordGigOrder = (gigId, { now = new Date() } = {}) => {
+  return GigStat.updateOne(
+    { gig: gigId, date: getDay(now) },
+    { $inc: { orders: 1 } },
+    { upsert: true }
+  );
+};
+
+// Daily series from `from` to `to` (inclusive, UTC days) with zero days filled
+// in, plus totals. Rates are percentages.
+export const getGigAnalytics = async (gigId, { from, to = new Date() }) => {
+  const start = getDay(from);
+  const end = getDay(to);
+
+  const stats = await GigStat.find({ gig: gigId, date: { $gte: start, $lte: end } })
+    .sort({ date: 1 })
+    .lean();
+
+  const byDay = new Map(stats.map(stat => [stat.date.getTime(), stat]));
+  const rate = (part, whole) => (whole > 0 ? Math.round(part / whole * 10000) / 100 : 0);
+
+  const series = [];
+  for (let day = start.getTime(); day <= end.getTime(); day += DAY) {
+    const { impressions = 0, clicks = 0, orders = 0 } = byDay.get(day) || {};
+    series.push({
+      date: new Date(day).toISOString().slice(0, 10),
+      impressions,
+      clicks,
+      orders,
+      conversionRate: rate(orders, clicks)
+    });
+  }
+
+  const totals = series.reduce((sum, day) => ({
+    impressions: sum.impressions + day.impressions,
+    clicks: sum.clicks + day.clicks,
+    orders: sum.orders + day.orders
+  }), { impressions: 0, clicks: 0, orders: 0 });
+
+  return {
+    totals: {
+      ...totals,
+      clickThroughRate: rate(totals.clicks, totals.impressions),
+      conversionRate: rate(totals.orders, totals.clicks)
+    },
+    series
+  };
+};
@@ -0,0 +1,328 @@
+import mongoose from 'mongoose';
+import LedgerTransaction from '../models/LedgerTransaction.js';
+import Order from '../models/Order.js';
+
+// Double-entry ledger behind buyer payments, seller earnings and payouts.
+// Each movement is posted once under a deterministic key so retries and
+// duplicate webhooks can't post it twice.
+
+const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// How long completed-order earnings stay pending before they can be withdrawn
+export const getClearancePeriod = () => {
+  return (Number(process.env.EARNINGS_CLEARANCE_DAYS) || 14) * 24 * 60 * 60 * 1000;
+};
+
+// Post a balanced transaction. Returns null if one with the same key already exists.
+export const postTransaction = async ({ entries, ...transaction }) => {
+  const postedEntries = entries
+    .map(entry => ({
+      ...entry,
+      debit: roundCents(entry.debit || 0),
+      credit: roundCents(entry.credit || 0)
+    }))
+    .filter(entry => entry.debit > 0 || entry.credit > 0);
+
+  try {
+    return await LedgerTransaction.create({ ...transaction, entries: postedEntries });
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.key) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Buyer payment lands in escrow
+export const postPayment = (order) => {
+  return postTransaction({
+    type: 'payment',
+    key: `payment:${order._id}`,
+    order: order._id,
+    description: `Payment for ${order.packageDetails.title}`,
+    entries: [
+      { account: 'stripe_cash', debit: order.totalAmount },
+      { account: 'escrow', credit: order.totalAmount }
+    ]
+  });
+};
+
+// Release escrow on completion: the seller's share goes to pending, the rest is platform revenue
+export const postCompletion = async (order, { now = new Date() } = {}) => {
+  if (!PAID_STATUSES.includes(order.paymentStatus)) {
+    return null;
+  }
+
+  // Orders paid before the ledger existed get their payment posted here
+  await postPayment(order);
+
+  const held = roundCents(order.totalAmount - (order.refundedAmount || 0));
+  const sellerShare = order.sellerEarnings ?? order.netAmount;
+
+  return postTransaction({
+    type: 'completion',
+    key: `completion:${order._id}`,
+    order: order._id,
+    description: `Completed order for ${order.packageDetails.title}`,
+    entries: [
+      { account: 'escrow', debit: held },
+      { account: 'seller_pending', user: order.seller, credit: sellerShare },
+      { account: 'platform_revenue', credit: held - sellerShare }
+    ],
+    availableAt: new Date(now.getTime() + getClearancePeriod()),
+    cleared: false
+  });
+};
+
+// Refunds come out of escrow before completion. After completion the seller's
+// reversed share and the platform's share pay for it instead.
+export const postRefund = async (order, { stripeRefundId, amount, reversal = 0 }) => {
+  await postPayment(order);
+
+  const completion = await LedgerTransaction.findOne({ key: `completion:${order._id}` });
+
+  let entries;
+  if (!completion) {
+    entries = [
+      { account: 'escrow', debit: amount },
+      { account: 'stripe_cash', credit: amount }
+    ];
+  } else {
+    entries = [
+      {
+        account: completion.cleared ? 'seller_available' : 'seller_pending',
+        user: order.seller,
+        debit: reversal
+      },
+      { account: 'platform_revenue', debit: amount - reversal },
+      { account: 'stripe_cash', credit: amount }
+    ];
+  }
+
+  return postTransaction({
+    type: 'refund',
+    key: `refund:${stripeRefundId}`,
+    order: order._id,
+    description: `Refund for ${order.packageDetails.title}`,
+    entries
+  });
+};
+
+// Seller's pending balance from a single order
+const getOrderPendingBalance = async (orderId) => {
+  const [result] = await LedgerTransaction.aggregate([
+    { $match: { order: toObjectId(orderId) } },
+    { $unwind: '$entries' },
+    { $match: { 'entries.account': 'seller_pending' } },
+    { $group: { _id: null, balance: { $sum: { $subtract: ['$entries.credit', '$entries.debit'] } } } }
+  ]);
+
+  return roundCents(result?.balance || 0);
+};
+
+// Move earnings whose clearance period has passed from pending to available
+export const clearAvailableFunds = async ({ now = new Date(), limit = 100 } = {}) => {
+  const due = await LedgerTransaction.find({
+    type: 'completion',
+    cleared: false,
+    availableAt: { $lte: now }
+  })
+    .sort({ availableAt: 1 })
+    .limit(limit);
+
+  let clearedCount = 0;
+
+  for (const completion of due) {
+    const claimed = await LedgerTransaction.findOneAndUpdate(
+      { _id: completion._id, cleared: false },
+      { cleared: true }
+    );
+    if (!claimed) continue;
+
+    try {
+      const seller = completion.entries.find(entry => entry.account === 'seller_pending')?.user;
+      const pending = await getOrderPendingBalance(completion.order);
+
+      if (seller && pending > 0) {
+        await postTransaction({
+          type: 'clearance',
+          key: `clearance:${completion.order}`,
+          order: completion.order,
+          description: 'Earnings cleared',
+          entries: [
+            { account: 'seller_pending', user: seller, debit: pending },
+            { account: 'seller_available', user: seller, credit: pending }
+          ]
+        });
+      }
+
+      clearedCount++;
+    } catch (error) {
+      await LedgerTransaction.updateOne({ _id: completion._id }, { cleared: false });
+      throw error;
+    }
+  }
+
+  return clearedCount;
+};
+
+export const postWithdrawalRequested = (withdrawal) => {
+  return postTransaction({
+    type: 'withdrawal_requested',
+    key: `withdrawal_requested:${withdrawal._id}`,
+    withdrawal: withdrawal._id,
+    description: 'Withdrawal requested',
+    entries: [
+      { account: 'seller_available', user: withdrawal.seller, debit: withdrawal.amount },
+      { account: 'seller_withdrawals', user: withdrawal.seller, credit: withdrawal.amount }
+    ]
+  });
+};
+
+export const postWithdrawalPaid = (withdrawal) => {
+  return postTransaction({
+    type: 'withdrawal_paid',
+    key: `withdrawal_paid:${withdrawal._id}`,
+    withdrawal: withdrawal._id,
+    description: 'Withdrawal paid out',
+    entries: [
+      { account: 'seller_withdrawals', user: withdrawal.seller, debit: withdrawal.amount },
+      { account: 'stripe_cash', credit: withdrawal.amount }
+    ]
+  });
+};
+
+// Cancelled or rejected withdrawals go back to the available balance
+export const postWithdrawalReturned = (withdrawal) => {
+  return postTransaction({
+    type: 'withdrawal_returned',
+    key: `withdrawal_returned:${withdrawal._id}`,
+    withdrawal: withdrawal._id,
+    description: 'Withdrawal returned to balance',
+    entries: [
+      { account: 'seller_withdrawals', user: withdrawal.seller, debit: withdrawal.amount },
+      { account: 'seller_available', user: withdrawal.seller, credit: withdrawal.amount }
+    ]
+  });
+};
+
+export const getSellerBalances = async (userId) => {
+  const sellerId = toObjectId(userId);
+
+  const rows = await LedgerTransaction.aggregate([
+    { $match: { 'entries.user': sellerId } },
+    { $unwind: '$entries' },
+    { $match: { 'entries.user': sellerId } },
+    {
+      $group: {
+        _id: '$entries.account',
+        balance: { $sum: { $subtract: ['$entries.credit', '$entries.debit'] } }
+      }
+    }
+  ]);
+
+  const balances = Object.fromEntries(rows.map(row => [row._id, roundCents(row.balance)]));
+
+  return {
+    available: balances.seller_available || 0,
+    pending: balances.seller_pending || 0,
+    withdrawing: balances.seller_withdrawals || 0
+  };
+};
+
+// Debit/credit totals per account. Debits and credits overall must match.
+export const getTrialBalance = async () => {
+  const rows = await LedgerTransaction.aggregate([
+    { $unwind: '$entries' },
+    {
+      $group: {
+        _id: '$entries.account',
+        debit: { $sum: '$entries.debit' },
+        credit: { $sum: '$entries.credit' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const accounts = rows.map(row => ({
+    account: row._id,
+    debit: roundCents(row.debit),
+    credit: roundCents(row.credit),
+    balance: roundCents(row.credit - row.debit)
+  }));
+
+  const totalDebit = roundCents(accounts.reduce((sum, row) => sum + row.debit, 0));
+  const totalCredit = roundCents(accounts.reduce((sum, row) => sum + row.credit, 0));
+
+  return { accounts, totalDebit, totalCredit, balanced: totalDebit === totalCredit };
+};
+
+// Compare each paid order's amounts with what the ledger actually moved.
+// Returns only the orders that don't match.
+export const reconcileOrders = async ({ from, to } = {}) => {
+  const query = { paymentStatus: { $in: PAID_STATUSES } };
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = from;
+    if (to) query.createdAt.$lte = to;
+  }
+
+  const orders = await Order.find(query)
+    .select('status paymentStatus totalAmount netAmount refundedAmount sellerEarnings earningsReversed createdAt');
+
+  const rows = await LedgerTransaction.aggregate([
+    { $match: { order: { $in: orders.map(order => order._id) } } },
+    { $unwind: '$entries' },
+    {
+      $group: {
+        _id: { order: '$order', account: '$entries.account' },
+        balance: { $sum: { $subtract: ['$entries.credit', '$entries.debit'] } },
+        debit: { $sum: '$entries.debit' },
+        credit: { $sum: '$entries.credit' }
+      }
+    }
+  ]);
+
+  const byOrder = new Map();
+  rows.forEach(row => {
+    const key = row._id.order.toString();
+    if (!byOrder.has(key)) byOrder.set(key, {});
+    byOrder.get(key)[row._id.account] = row;
+  });
+
+  const mismatches = [];
+
+  for (const order of orders) {
+    const accounts = byOrder.get(order._id.toString()) || {};
+    const balance = (account) => roundCents(accounts[account]?.balance || 0);
+
+    const expected = {
+      received: order.totalAmount,
+      refunded: roundCents(order.refundedAmount || 0),
+      sellerNet: order.status === 'completed'
+        ? roundCents((order.sellerEarnings ?? order.netAmount) - (order.earningsReversed || 0))
+        : 0,
+      escrow: ['completed', 'cancelled'].includes(order.status)
+        ? 0
+        : roundCents(order.totalAmount - (order.refundedAmount || 0))
+    };
+
+    const actual = {
+      received: roundCents(accounts.stripe_cash?.debit || 0),
+      refunded: roundCents(accounts.stripe_cash?.credit || 0),
+      sellerNet: roundCents(balance('seller_pending') + balance('seller_available')),
+      escrow: balance('escrow')
+    };
+
+    const fields = Object.keys(expected).filter(field => expected[field] !== actual[field]);
+    if (fields.length > 0) {
+      mismatches.push({ orderId: order._id, status: order.status, fields, expected, actual });
+    }
+  }
+
+  return { checked: orders.length, mismatches };
+};
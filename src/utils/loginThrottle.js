@@ -0,0 +1,262 @@
+import LoginAttempt from '../models/LoginAttempt.js';
+import { createNotification } from './notifications.js';
+import { sendAccountLockedEmail } from './emails.js';
+import { TooManyRequestsError } from './errors.js';
+
+// Brute-force protection for sign-in. Failures are counted per account and per
+// IP. After a few failures each account has to wait progressively longer
+// between attempts, and too many failures lock the account or IP for a while.
+//
+// Stores keep one record per key: { count, lastFailedAt, lockedUntil, expiresAt }.
+// A record stops counting `windowMs` after its last failure.
+
+const laterOf = (a, b) => (a && a > b ? a : b);
+
+// Single-process store. Fine for one instance; use the Mongo store for several.
+export const createMemoryStore = ({ maxEntries = 10000 } = {}) => {
+  const records = new Map();
+
+  const live = (key, now) => {
+    const record = records.get(key);
+    if (record && record.expiresAt <= now) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  const prune = (now) => {
+    if (records.size <= maxEntries) return;
+    for (const [key, record] of records) {
+      if (record.expiresAt <= now) records.delete(key);
+    }
+  };
+
+  return {
+    get: async (key, { now = new Date() } = {}) => live(key, now),
+
+    recordFailure: async (key, { now = new Date(), windowMs }) => {
+      const previous = live(key, now);
+      const record = {
+        count: (previous?.count || 0) + 1,
+        lastFailedAt: now,
+        lockedUntil: previous?.lockedUntil,
+        expiresAt: laterOf(previous?.lockedUntil, new Date(now.getTime() + windowMs))
+      };
+
+      records.set(key, record);
+      prune(now);
+      return record;
+    },
+
+    lock: async (key, until) => {
+      const record = records.get(key);
+      if (record) {
+        record.lockedUntil = until;
+        record.expiresAt = laterOf(record.expiresAt, until);
+      }
+    },
+
+    reset: async (key) => {
+      records.delete(key);
+    }
+  };
+};
+
+// Shared store for running several instances
+export const createMongoStore = () => ({
+  get: (key, { now = new Date() } = {}) => {
+    return LoginAttempt.findOne({ key, expiresAt: { $gt: now } }).lean();
+  },
+
+  // One pipeline update so concurrent failures can't lose a count
+  recordFailure: (key, { now = new Date(), windowMs }) => {
+    const isLive = { $gt: ['$expiresAt', now] };
+    const windowEnd = new Date(now.getTime() + windowMs);
+
+    return LoginAttempt.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          count: { $cond: [isLive, { $add: ['$count', 1] }, 1] },
+          lockedUntil: { $cond: [isLive, '$lockedUntil', null] },
+          lastFailedAt: now,
+          expiresAt: {
+            $cond: [
+              { $and: [isLive, { $gt: ['$lockedUntil', windowEnd] }] },
+              '$lockedUntil',
+              windowEnd
+            ]
+          }
+        }
+      }],
+      { upsert: true, new: true }
+    ).lean();
+  },
+
+  lock: (key, until) => {
+    return LoginAttempt.updateOne(
+      { key },
+      [{
+        $set: {
+          lockedUntil: until,
+          expiresAt: { $cond: [{ $gt: ['$expiresAt', until] }, '$expiresAt', until] }
+        }
+      }]
+    );
+  },
+
+  reset: (key) => LoginAttempt.deleteOne({ key })
+});
+
+export const createLoginThrottle = ({
+  store = createMemoryStore(),
+  clock = () => new Date(),
+  windowMs = 15 * 60 * 1000,
+  maxAccountFailures = 5,
+  maxIpFailures = 20,
+  lockoutMs = 15 * 60 * 1000,
+  freeAttempts = 2,
+  baseDelayMs = 1000,
+  maxDelayMs = 30 * 1000
+} = {}) => {
+  const accountKey = (email) => `account:${String(email || '').toLowerCase().trim()}`;
+  const ipKey = (ip) => `ip:${ip}`;
+
+  // Wait required after `count` failures
+  const getDelay = (count) => {
+    if (count <= freeAttempts) return 0;
+    return Math.min(maxDelayMs, baseDelayMs * 2 ** (count - freeAttempts - 1));
+  };
+
+  return {
+    // Whether an attempt may go ahead. When it can't, `retryAfter` is in seconds.
+    check: async ({ email, ip }) => {
+      const now = clock();
+      const [account, address] = await Promise.all([
+        store.get(accountKey(email), { now }),
+        store.get(ipKey(ip), { now })
+      ]);
+
+      const lockedUntil = [account?.lockedUntil, address?.lockedUntil]
+        .filter(until => until && until > now)
+        .sort((a, b) => b - a)[0];
+
+      if (lockedUntil) {
+        return {
+          allowed: false,
+          reason: 'locked',
+          retryAfter: Math.ceil((lockedUntil - now) / 1000)
+        };
+      }
+
+      if (account) {
+        const readyAt = account.lastFailedAt.getTime() + getDelay(account.count);
+        if (readyAt > now.getTime()) {
+          return {
+            allowed: false,
+            reason: 'delayed',
+            retryAfter: Math.ceil((readyAt - now.getTime()) / 1000)
+          };
+        }
+      }
+
+      return { allowed: true };
+    },
+
+    // Count a failed attempt. `accountLocked` is set when this failure locked
+    // the account, so the owner can be told once.
+    recordFailure: async ({ email, ip }) => {
+      const now = clock();
+      const lockedUntil = new Date(now.getTime() + lockoutMs);
+
+      const [account, address] = await Promise.all([
+        store.recordFailure(accountKey(email), { now, windowMs }),
+        store.recordFailure(ipKey(ip), { now, windowMs })
+      ]);
+
+      const accountLocked = account.count >= maxAccountFailures &&
+        !(account.lockedUntil && account.lockedUntil > now);
+      const ipLocked = address.count >= maxIpFailures &&
+        !(address.lockedUntil && address.lockedUntil > now);
+
+      await Promise.all([
+        accountLocked && store.lock(accountKey(email), lockedUntil),
+        ipLocked && store.lock(ipKey(ip), lockedUntil)
+      ]);
+
+      return {
+        accountLocked,
+        ipLocked,
+        lockedUntil: accountLocked || ipLocked ? lockedUntil : null
+      };
+    },
+
+    // A successful sign-in clears the account's failures. IP failures are kept
+    // so one working account can't reset the count for guesses at others.
+    recordSuccess: ({ email }) => store.reset(accountKey(email))
+  };
+};
+
+let throttle;
+
+// LOGIN_THROTTLE_STORE picks the store: 'memory' (default) or 'mongo'
+export const getLoginThrottle = () => {
+  if (!throttle) {
+    throttle = createLoginThrottle({
+      store: process.env.LOGIN_THROTTLE_STORE === 'mongo' ? createMongoStore() : createMemoryStore(),
+      maxAccountFailures: Number(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 5,
+      maxIpFailures: Number(process.env.LOGIN_MAX_IP_FAILURES) || 20,
+      lockoutMs: (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000
+    });
+  }
+  return throttle;
+};
+
+// Swap in a different throttle (e.g. one with a test clock). Pass undefined to re-read the environment.
+export const setLoginThrottle = (loginThrottle) => {
+  throttle = loginThrottle;
+};
+
+// Refuse with a 429 while the account or IP is locked out or has to wait
+// between attempts
+export const assertLoginAllowed = async (req, email) => {
+  const result = await getLoginThrottle().check({ email, ip: req.ip });
+  if (result.allowed) {
+    return;
+  }
+
+  throw new TooManyRequestsError(
+    result.reason === 'locked'
+      ? 'Too many failed login attempts. Please try again later.'
+      : 'Please wait before trying again',
+    {
+      code: result.reason === 'locked' ? 'LOGIN_LOCKED' : 'LOGIN_DELAYED',
+      retryAfter: result.retryAfter,
+      details: { retryAfter: result.retryAfter }
+    }
+  );
+};
+
+// Count a failed attempt and let the owner know if it locked their account
+export const recordLoginFailure = async (req, email, user) => {
+  const { accountLocked, lockedUntil } = await getLoginThrottle().recordFailure({ email, ip: req.ip });
+
+  if (!accountLocked || !user) {
+    return;
+  }
+
+  await createNotification({
+    recipient: user._id,
+    type: 'security_alert',
+    title: 'Account Temporarily Locked',
+    message: 'Your account was locked after too many failed sign-in attempts',
+    data: { lockedUntil, ip: req.ip }
+  });
+
+  try {
+    await sendAccountLockedEmail(user, lockedUntil);
+  } catch (error) {
+    console.error('Account locked email error:', error);
+  }
+};
@@ -0,0 +1,76 @@
+import { appendFile } from 'fs/promises';
+import nodemailer from 'nodemailer';
+
+let transport;
+
+// Writes each message as a JSON line to a stream, e.g. a PassThrough in tests
+export const createStreamTransport = (stream) => {
+  const json = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    sendMail: async (mail) => {
+      const info = await json.sendMail(mail);
+      stream.write(info.message + '\n');
+      return info;
+    }
+  };
+};
+
+// Appends each message as a JSON line to a local file
+export const createFileTransport = (path) => {
+  const json = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    sendMail: async (mail) => {
+      const info = await json.sendMail(mail);
+      await appendFile(path, info.message + '\n');
+      return info;
+    }
+  };
+};
+
+// Pick the transport from MAIL_TRANSPORT: smtp, file (MAIL_FILE) or log.
+// Defaults to smtp when SMTP_HOST is set and logging to the console otherwise.
+const createTransportFromEnv = () => {
+  const type = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'log');
+
+  switch (type) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        ...(process.env.SMTP_USER && {
+          auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        })
+      });
+
+    case 'file':
+      return createFileTransport(process.env.MAIL_FILE || 'mail.log');
+
+    default:
+      return createStreamTransport(process.stdout);
+  }
+};
+
+export const getMailTransport = () => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+  return transport;
+};
+
+// Swap in a different transport (e.g. a stream transport in tests). Pass undefined to re-read the environment.
+export const setMailTransport = (mailTransport) => {
+  transport = mailTransport;
+};
+
+export const sendMail = ({ to, subject, text, html }) => {
+  return getMailTransport().sendMail({
+    from: process.env.MAIL_FROM || 'FreelanceHub <no-reply@freelancehub.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
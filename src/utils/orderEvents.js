@@ -0,0 +1,32 @@
+import OrderEvent from '../models/OrderEvent.js';
+import { emitToOrder } from '../socket/socketHandler.js';
+
+export const ORDER_EVENT_ACTOR_FIELDS = 'username fullName avatar';
+
+// Append an event to the order's activity log and push it to anyone watching
+// the order. `actor` is the user behind it; leave it out for system events.
+export const recordOrderEvent = async (orderId, { type, actor, actorRole = 'system', message, data = {}, at = new Date() }) => {
+  const event = await OrderEvent.create({
+    order: orderId,
+    type,
+    actor: actor?._id || actor,
+    actorRole,
+    message,
+    data,
+    createdAt: at
+  });
+
+  if (event.actor) {
+    await event.populate('actor', ORDER_EVENT_ACTOR_FIELDS);
+  }
+
+  emitToOrder(orderId, 'order_event', event);
+
+  return event;
+};
+
+export const getOrderTimeline = (orderId) => {
+  return OrderEvent.find({ order: orderId })
+    .populate('actor', ORDER_EVENT_ACTOR_FIELDS)
+    .sort({ createdAt: 1, _id: 1 });
+};
@@ -0,0 +1,560 @@
+import Order from '../models/Order.js';
+import Gig from '../models/Gig.js';
+import User from '../models/User.js';
+import { createNotification } from './notifications.js';
+import { postCompletion, postPayment } from './ledger.js';
+import { getDisputeRecipients, getOrderRole } from './orders.js';
+import { recordOrderEvent } from './orderEvents.js';
+import { recordGigOrder } from './gigTracking.js';
+import { REFUNDABLE_PAYMENT_STATUSES, refundOrder } from './refunds.js';
+import { ConflictError, ForbiddenError, InvalidTransitionError } from './errors.js';
+
+// Every order status change goes through here. Each action lists the statuses
+// it can start from, where it goes, who may take it, and optionally:
+//   summary             the activity log line, or a function of (order, ctx)
+//   guard(order, ctx)   throws if the action isn't allowed right now
+//   update(order, ctx)  extra fields to write along with the new status
+//   effects(order, ctx) runs after the update (earnings, counters, ledger)
+//   undo(order, ctx)    if set, a failed effect puts the old status back,
+//                       removing these fields (e.g. when a refund fails)
+//   notify(order, ctx)  the notifications to send
+// ctx holds the options passed to transitionOrder plus `role` and `now`.
+// `statusUpdate` marks the actions a seller can take with PATCH /orders/:id/status.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const ROLE_NAMES = { buyer: 'Buyer', seller: 'Seller', admin: 'Admin', system: 'System' };
+
+// Once the buyer has received work the order can only end by being accepted
+// or through a dispute, not by cancelling it for a refund
+const CANCELLABLE_STATUSES = ['pending', 'requirements_pending', 'in_progress'];
+
+const getDeliveryDate = (order, now) => {
+  return new Date(now.getTime() + order.packageDetails.deliveryTime * DAY);
+};
+
+// Credit the seller for a completed order
+const creditSeller = (order, { now }) => Promise.all([
+  User.findByIdAndUpdate(order.seller, {
+    $inc: {
+      totalEarnings: order.sellerEarnings,
+      completedOrders: 1
+    }
+  }),
+  // Custom offer orders have no gig
+  order.gig && Gig.findByIdAndUpdate(order.gig, {
+    $inc: { totalOrders: 1 }
+  }),
+  // Move the payment out of escrow into the seller's pending balance
+  postCompletion(order, { now })
+]);
+
+// Give the buyer of a cancelled order back everything not refunded yet, and
+// pass the refund on to the caller's copy of the order
+const refundCancelled = async (order, { user, reason }) => {
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) return;
+
+  const refunded = await refundOrder(order, { reason, requestedBy: user._id });
+
+  order.set({
+    paymentStatus: refunded.paymentStatus,
+    refundedAmount: refunded.refundedAmount,
+    refunds: refunded.refunds,
+    earningsReversed: refunded.earningsReversed
+  });
+};
+
+const disputeNotifications = async (order, { user, includeAdmins, ...notification }) => {
+  const recipients = await getDisputeRecipients(order, user?._id, { includeAdmins });
+  return recipients.map(recipient => ({ recipient, sender: user?._id, ...notification }));
+};
+
+export const TRANSITIONS = {
+  pay: {
+    from: ['pending'],
+    to: 'requirements_pending',
+    actors: ['system'],
+    label: 'mark this order paid',
+    summary: 'Payment received',
+    update: (order, { paymentIntentId }) => ({
+      $set: {
+        paymentStatus: 'paid',
+        ...(paymentIntentId && { paymentIntentId })
+      }
+    }),
+    effects: (order, { now }) => Promise.all([
+      postPayment(order),
+      // Custom offer orders have no gig
+      order.gig && recordGigOrder(order.gig, { now })
+    ]),
+    notify: (order) => [
+      {
+        recipient: order.seller,
+        sender: order.buyer,
+        type: 'new_order',
+        title: 'New Order Received',
+        message: `You have a new order for ${order.packageDetails.title}`
+      },
+      {
+        recipient: order.buyer,
+        type: 'payment_received',
+        title: 'Payment Successful',
+        message: `Your payment for ${order.packageDetails.title} was successful`
+      }
+    ]
+  },
+
+  fail_payment: {
+    from: ['pending'],
+    to: 'cancelled',
+    actors: ['system'],
+    label: 'mark this payment failed',
+    summary: 'Payment failed',
+    update: () => ({ $set: { paymentStatus: 'failed' } }),
+    notify: (order) => [{
+      recipient: order.buyer,
+      type: 'system',
+      title: 'Payment Failed',
+      message: 'Your payment could not be processed'
+    }]
+  },
+
+  // The delivery clock starts once the buyer has answered the gig's requirements
+  submit_requirements: {
+    from: ['requirements_pending'],
+    to: 'in_progress',
+    actors: ['buyer'],
+    label: 'submit requirements',
+    summary: 'Buyer submitted the requirements',
+    update: (order, { now, answers }) => ({
+      $set: {
+        requirementAnswers: answers,
+        requirementsSubmittedAt: now,
+        deliveryDate: getDeliveryDate(order, now)
+      }
+    }),
+    notify: (order, { user }) => [{
+      recipient: order.seller,
+      sender: user._id,
+      type: 'requirements_submitted',
+      title: 'Requirements Submitted',
+      message: `${user.username} submitted the requirements for ${order.packageDetails.title}. The delivery clock has started`
+    }]
+  },
+
+  // The seller can also start without waiting for the requirements
+  start: {
+    from: ['requirements_pending'],
+    to: 'in_progress',
+    actors: ['seller'],
+    label: 'start this order',
+    summary: 'Seller started work on the order',
+    statusUpdate: true,
+    update: (order, { now }) => ({
+      $set: { deliveryDate: getDeliveryDate(order, now) }
+    }),
+    notify: (order, { user }) => [{
+      recipient: order.buyer,
+      sender: user._id,
+      type: 'system',
+      title: 'Order Started',
+      message: `${user.username} started working on your order`
+    }]
+  },
+
+  resume: {
+    from: ['revision_requested'],
+    to: 'in_progress',
+    actors: ['seller'],
+    label: 'start the revision',
+    summary: 'Seller started work on the revision',
+    statusUpdate: true,
+    notify: (order, { user }) => [{
+      recipient: order.buyer,
+      sender: user._id,
+      type: 'system',
+      title: 'Revision Started',
+      message: `${user.username} started working on your revision`
+    }]
+  },
+
+  deliver: {
+    from: ['in_progress', 'revision_requested'],
+    to: 'delivered',
+    actors: ['seller'],
+    label: 'deliver this order',
+    summary: 'Seller delivered the order',
+    update: (order, { now, message, files = [] }) => ({
+      $set: { autoCompleteAt: Order.getAutoCompleteAt(now) },
+      $push: { deliveries: { message, files, deliveredAt: now } }
+    }),
+    notify: (order, { user }) => [{
+      recipient: order.buyer,
+      sender: user._id,
+      type: 'order_delivered',
+      title: 'Order Delivered',
+      message: `Your order has been delivered by ${user.username}`
+    }]
+  },
+
+  request_revision: {
+    from: ['delivered'],
+    to: 'revision_requested',
+    actors: ['buyer'],
+    label: 'request a revision',
+    summary: 'Buyer requested a revision',
+    guard: (order) => {
+      if (order.revisions.length >= order.packageDetails.revisions) {
+        throw new InvalidTransitionError('No more revisions available for this package', { code: 'NO_REVISIONS_LEFT' });
+      }
+    },
+    update: (order, { now, message }) => ({
+      $push: { revisions: { message, requestedAt: now } }
+    }),
+    notify: (order, { user }) => [{
+      recipient: order.seller,
+      sender: user._id,
+      type: 'revision_requested',
+      title: 'Revision Requested',
+      message: `${user.username} requested a revision`
+    }]
+  },
+
+  // Taken by the buyer accepting a delivery, or by the auto-complete job
+  complete: {
+    from: ['delivered'],
+    to: 'completed',
+    actors: ['buyer', 'system'],
+    label: 'accept this delivery',
+    summary: (order, { role }) => (role === 'system'
+      ? 'Order completed automatically after the review period'
+      : 'Buyer accepted the delivery'),
+    update: (order, { now }) => ({
+      $set: { completedAt: now, sellerEarnings: order.netAmount }
+    }),
+    effects: creditSeller,
+    notify: (order, { role, user }) => {
+      if (role === 'system') {
+        return [
+          {
+            recipient: order.seller,
+            type: 'order_completed',
+            title: 'Order Completed',
+            message: 'Your order was automatically completed after the review period'
+          },
+          {
+            recipient: order.buyer,
+            type: 'order_completed',
+            title: 'Order Completed',
+            message: 'Your order was automatically marked as complete'
+          }
+        ];
+      }
+
+      return [{
+        recipient: order.seller,
+        sender: user._id,
+        type: 'order_completed',
+        title: 'Order Completed',
+        message: `${user.username} accepted your delivery`
+      }];
+    }
+  },
+
+  cancel: {
+    from: CANCELLABLE_STATUSES,
+    to: 'cancelled',
+    actors: ['buyer', 'seller'],
+    label: 'cancel this order',
+    summary: (order, { role }) => `${ROLE_NAMES[role]} cancelled the order`,
+    // Once work has started the buyer can only cancel a late order, with cancel_late
+    guard: (order, { role }) => {
+      if (role === 'buyer' && order.status === 'in_progress') {
+        throw new InvalidTransitionError('Work has started on this order. You can cancel it if it is not delivered on time, or open a dispute.', {
+          code: 'CANCEL_NOT_AVAILABLE'
+        });
+      }
+    },
+    update: (order, { now, user, reason }) => ({
+      $set: {
+        cancellation: {
+          reason,
+          requestedBy: user._id,
+          requestedAt: now,
+          approved: true,
+          approvedAt: now
+        }
+      }
+    }),
+    effects: (order, { user, reason }) => refundCancelled(order, { user, reason: reason || 'Order cancelled' }),
+    undo: () => ({ $unset: { cancellation: '' } }),
+    notify: (order, { role, user }) => [{
+      recipient: role === 'buyer' ? order.seller : order.buyer,
+      sender: user._id,
+      type: 'order_cancelled',
+      title: 'Order Cancelled',
+      message: `Order has been cancelled by ${user.username}`
+    }]
+  },
+
+  // Cancellation with a full refund once a late order's grace period is over
+  cancel_late: {
+    from: ['in_progress'],
+    to: 'cancelled',
+    actors: ['buyer'],
+    label: 'cancel this order as late',
+    summary: 'Buyer cancelled the order for late delivery',
+    guard: (order, { now }) => {
+      if (!order.lateDelivery?.isLate) {
+        throw new InvalidTransitionError('Order is not late');
+      }
+
+      if (order.lateDelivery.cancelAvailableAt > now) {
+        throw new InvalidTransitionError(`Late cancellation is available from ${order.lateDelivery.cancelAvailableAt.toISOString()}`);
+      }
+    },
+    update: (order, { now, user, reason }) => ({
+      $set: {
+        cancellation: {
+          reason: reason || 'Order was not delivered on time',
+          requestedBy: user._id,
+          requestedAt: now,
+          approved: true,
+          approvedAt: now
+        }
+      }
+    }),
+    effects: (order, { user }) => refundCancelled(order, { user, reason: 'Order was not delivered on time' }),
+    undo: () => ({ $unset: { cancellation: '' } }),
+    notify: (order, { user }) => [{
+      recipient: order.seller,
+      sender: user._id,
+      type: 'order_cancelled',
+      title: 'Late Order Cancelled',
+      message: `${user.username} cancelled a late order and was refunded`
+    }]
+  },
+
+  open_dispute: {
+    from: ['in_progress', 'delivered', 'revision_requested'],
+    to: 'disputed',
+    actors: ['buyer', 'seller'],
+    label: 'open a dispute',
+    summary: (order, { role, reason }) => `${ROLE_NAMES[role]} opened a dispute: ${reason}`,
+    update: (order, { now, user, role, reason, description, attachments = [] }) => ({
+      $set: {
+        dispute: {
+          reason,
+          description,
+          raisedBy: user._id,
+          raisedAt: now,
+          status: 'open',
+          previousStatus: order.status,
+          timeline: [{
+            author: user._id,
+            authorRole: role,
+            message: description,
+            attachments,
+            createdAt: now
+          }]
+        }
+      }
+    }),
+    notify: (order, { user, reason }) => disputeNotifications(order, {
+      user,
+      includeAdmins: true,
+      type: 'dispute_opened',
+      title: 'Dispute Opened',
+      message: `${user.username} opened a dispute: ${reason}`
+    })
+  },
+
+  // Back to where the order was before the dispute
+  withdraw_dispute: {
+    from: ['disputed'],
+    to: (order) => order.dispute.previousStatus,
+    actors: ['buyer', 'seller'],
+    label: 'withdraw this dispute',
+    summary: (order, { role }) => `${ROLE_NAMES[role]} withdrew the dispute`,
+    guard: (order, { user }) => {
+      if (order.dispute?.status !== 'open') {
+        throw new InvalidTransitionError('Order has no open dispute');
+      }
+
+      if (order.dispute.resolvingAt) {
+        throw new InvalidTransitionError('An admin is resolving this dispute');
+      }
+
+      if (order.dispute.raisedBy.toString() !== user._id.toString()) {
+        throw new ForbiddenError('Only the user who opened the dispute can withdraw it');
+      }
+    },
+    update: (order, { now, user, role }) => ({
+      $set: {
+        'dispute.status': 'closed',
+        'dispute.resolvedAt': now,
+        // Give the buyer a fresh review window on a delivered order
+        ...(order.dispute.previousStatus === 'delivered' && { autoCompleteAt: Order.getAutoCompleteAt(now) })
+      },
+      $push: {
+        'dispute.timeline': {
+          author: user._id,
+          authorRole: role,
+          message: 'Dispute withdrawn',
+          createdAt: now
+        }
+      }
+    }),
+    notify: (order, { user }) => disputeNotifications(order, {
+      user,
+      type: 'dispute_resolved',
+      title: 'Dispute Withdrawn',
+      message: `${user.username} withdrew the dispute`
+    })
+  },
+
+  // A full refund cancels the order; otherwise the seller is paid `sellerPayout`.
+  // The route claims the dispute (dispute.resolvingAt) and issues any refund first.
+  resolve_dispute: {
+    from: ['disputed'],
+    to: (order, { outcome }) => (outcome === 'refund' ? 'cancelled' : 'completed'),
+    actors: ['admin'],
+    label: 'resolve this dispute',
+    summary: (order, { outcome }) => `Admin resolved the dispute: ${outcome}`,
+    update: (order, { now, user, outcome, buyerRefund, sellerPayout, resolution }) => ({
+      $set: {
+        ...(outcome !== 'refund' && { completedAt: now, sellerEarnings: sellerPayout }),
+        'dispute.status': 'resolved',
+        'dispute.outcome': outcome,
+        'dispute.buyerRefund': buyerRefund,
+        'dispute.sellerPayout': sellerPayout,
+        'dispute.resolution': resolution,
+        'dispute.resolvedBy': user._id,
+        'dispute.resolvedAt': now
+      },
+      $unset: { 'dispute.resolvingAt': '' },
+      $push: {
+        'dispute.timeline': {
+          author: user._id,
+          authorRole: 'admin',
+          message: resolution || `Dispute resolved: ${outcome}`,
+          createdAt: now
+        }
+      }
+    }),
+    effects: (order, ctx) => order.status === 'completed' && creditSeller(order, ctx),
+    notify: (order, { user, buyerRefund, sellerPayout }) => disputeNotifications(order, {
+      user,
+      type: 'dispute_resolved',
+      title: 'Dispute Resolved',
+      message: `The dispute was resolved. Buyer refund: $${buyerRefund}, seller payout: $${sellerPayout}`
+    })
+  }
+};
+
+const describeStatus = (status) => status.replace(/_/g, ' ');
+
+// Check that `action` can be taken on the order right now. The role comes from
+// `role`, or from `user`'s side of the order; with neither it is 'system'.
+// Throws ForbiddenError or InvalidTransitionError; returns the transition and role.
+export const assertTransition = (order, action, { user, role, now = new Date(), ...params } = {}) => {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    throw new Error(`Unknown order action: ${action}`);
+  }
+
+  const actorRole = role || (user ? getOrderRole(order, user) : 'system');
+
+  if (!transition.actors.includes(actorRole)) {
+    const people = transition.actors.filter(actor => actor !== 'system');
+    throw new ForbiddenError(people.length
+      ? `Only the ${people.join(' or ')} can ${transition.label}`
+      : `Not allowed to ${transition.label}`);
+  }
+
+  if (!transition.from.includes(order.status)) {
+    throw new InvalidTransitionError(`Cannot ${transition.label} when the order is ${describeStatus(order.status)}`);
+  }
+
+  transition.guard?.(order, { ...params, user, role: actorRole, now });
+
+  return { transition, role: actorRole };
+};
+
+// Take an action on an order and record it in the status history and the
+// activity log. The status check and update are one query, so two requests
+// racing (say a buyer accepting as the auto-complete job runs) can't both
+// apply. Returns the updated order.
+export const transitionOrder = async (order, action, options = {}) => {
+  const { user, now = new Date(), note } = options;
+  const { transition, role } = assertTransition(order, action, { ...options, now });
+  const ctx = { ...options, role, now };
+
+  const from = order.status;
+  const to = typeof transition.to === 'function' ? transition.to(order, ctx) : transition.to;
+  const { $set = {}, $push = {}, ...update } = transition.update?.(order, ctx) || {};
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: from },
+    {
+      ...update,
+      $set: { ...$set, status: to },
+      $push: {
+        ...$push,
+        statusHistory: { from, to, action, actor: user?._id, actorRole: role, note, at: now }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new ConflictError('Order status has already changed', { code: 'ORDER_STATUS_CHANGED' });
+  }
+
+  try {
+    await transition.effects?.(updated, ctx);
+  } catch (error) {
+    if (transition.undo) {
+      await Order.updateOne(
+        { _id: order._id, status: to },
+        {
+          ...transition.undo(updated, ctx),
+          $set: { status: from },
+          $pull: { statusHistory: { action, at: now } }
+        }
+      );
+    }
+    throw error;
+  }
+
+  await recordOrderEvent(updated._id, {
+    type: action,
+    actor: user,
+    actorRole: role,
+    message: typeof transition.summary === 'function' ? transition.summary(updated, ctx) : transition.summary,
+    data: { from, to, ...(note && { note }) },
+    at: now
+  });
+
+  const notifications = (await transition.notify?.(updated, ctx)) || [];
+  await Promise.all(notifications.map(notification => createNotification({
+    ...notification,
+    data: { orderId: updated._id }
+  })));
+
+  return updated;
+};
+
+// The action behind a PATCH /orders/:id/status request
+export const getStatusUpdateAction = (order, status) => {
+  const action = Object.keys(TRANSITIONS).find(name => {
+    const transition = TRANSITIONS[name];
+    return transition.statusUpdate && transition.to === status && transition.from.includes(order.status);
+  });
+
+  if (!action) {
+    throw new InvalidTransitionError(`Cannot transition from ${order.status} to ${status}`);
+  }
+
+  return action;
+};
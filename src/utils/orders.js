@@ -0,0 +1,85 @@
+import User from '../models/User.js';
+import { ValidationError } from './errors.js';
+
+// Which side of the order the user is on: 'buyer', 'seller', 'admin' or null
+export const getOrderRole = (order, user) => {
+  const userId = user._id.toString();
+
+  if ((order.buyer._id || order.buyer).toString() === userId) return 'buyer';
+  if ((order.seller._id || order.seller).toString() === userId) return 'seller';
+  if (user.role === 'admin') return 'admin';
+
+  return null;
+};
+
+// Everyone to tell about a dispute update except the user who made it
+export const getDisputeRecipients = async (order, actorId, { includeAdmins = false } = {}) => {
+  const recipients = [order.buyer, order.seller]
+    .filter(id => id.toString() !== actorId?.toString());
+
+  if (includeAdmins) {
+    const admins = await User.find({ role: 'admin' }).select('_id');
+    recipients.push(...admins.map(admin => admin._id));
+  }
+
+  return recipients;
+};
+
+// Check the buyer's answers against the gig's requirements and return them
+// ready to store on the order. Throws a ValidationError listing every problem.
+// answers: [{ requirement, answer, files }]
+export const buildRequirementAnswers = (requirements = [], answers = []) => {
+  const details = [];
+  const addError = (field, message) => details.push({ field, location: 'body', message });
+  const byRequirement = new Map();
+
+  answers.forEach((answer, index) => {
+    const id = String(answer.requirement);
+    if (!requirements.some(requirement => requirement._id.toString() === id)) {
+      addError(`answers[${index}].requirement`, 'Not a requirement of this gig');
+    } else if (byRequirement.has(id)) {
+      addError(`answers[${index}].requirement`, 'Requirement answered more than once');
+    } else {
+      byRequirement.set(id, { ...answer, index });
+    }
+  });
+
+  const stored = [];
+
+  requirements.forEach((requirement) => {
+    const given = byRequirement.get(requirement._id.toString());
+    const text = given?.answer?.trim() || undefined;
+    const files = given?.files || [];
+    const field = given ? `answers[${given.index}]` : 'answers';
+
+    const isAnswered = requirement.type === 'file' ? files.length > 0 : Boolean(text);
+    if (!isAnswered) {
+      if (requirement.required) {
+        addError(field, `"${requirement.question}" is required`);
+      }
+      if (!given) return;
+    }
+
+    if (requirement.type === 'multiple-choice' && text && !requirement.options.includes(text)) {
+      addError(`${field}.answer`, `Must be one of: ${requirement.options.join(', ')}`);
+    }
+
+    if (requirement.type !== 'file' && files.length > 0) {
+      addError(`${field}.files`, 'Files can only be attached to file requirements');
+    }
+
+    stored.push({
+      requirement: requirement._id,
+      question: requirement.question,
+      type: requirement.type,
+      answer: text,
+      files
+    });
+  });
+
+  if (details.length > 0) {
+    throw new ValidationError('Requirements are incomplete', { code: 'INVALID_REQUIREMENTS', details });
+  }
+
+  return stored;
+};
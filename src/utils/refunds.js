@@ -0,0 +1,159 @@
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import { getStripe, refundPayment } from './stripe.js';
+import { createNotification } from './notifications.js';
+import { postRefund } from './ledger.js';
+import { recordOrderEvent } from './orderEvents.js';
+import { BadRequestError, InvalidTransitionError, PaymentUnavailableError } from './errors.js';
+
+export const REFUNDABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+export const getRefundableAmount = (order) => {
+  return roundCents(order.totalAmount - (order.refundedAmount || 0));
+};
+
+// Refunds come from a cancelling buyer or seller, an admin, or Stripe itself
+const getRequesterRole = (order, requestedBy) => {
+  if (!requestedBy) return 'system';
+  if (order.buyer.toString() === requestedBy.toString()) return 'buyer';
+  if (order.seller.toString() === requestedBy.toString()) return 'seller';
+  return 'admin';
+};
+
+// Record a Stripe refund against the order, update paymentStatus and take back the
+// seller's share if their earnings were already counted. Each Stripe refund is only
+// recorded once, so our own refunds and the charge.refunded webhook can't double up.
+// Returns the updated order, or null if the refund was already recorded.
+export const recordRefund = async (order, { stripeRefundId, amount, reason, requestedBy }) => {
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, 'refunds.stripeRefundId': { $ne: stripeRefundId } },
+    {
+      $push: { refunds: { stripeRefundId, amount, reason, requestedBy, createdAt: new Date() } },
+      $inc: { refundedAmount: amount }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return null;
+  }
+
+  let reversal = 0;
+  if (updated.sellerEarnings) {
+    const share = roundCents(amount / updated.totalAmount * updated.netAmount);
+    reversal = Math.max(0, Math.min(share, roundCents(updated.sellerEarnings - updated.earningsReversed)));
+  }
+
+  const paymentStatus = getRefundableAmount(updated) <= 0 ? 'refunded' : 'partially_refunded';
+
+  await Order.updateOne(
+    { _id: updated._id },
+    { paymentStatus, $inc: { earningsReversed: reversal } }
+  );
+  updated.paymentStatus = paymentStatus;
+  updated.earningsReversed = roundCents(updated.earningsReversed + reversal);
+
+  await postRefund(updated, { stripeRefundId, amount, reversal });
+
+  await recordOrderEvent(updated._id, {
+    type: 'refund',
+    actor: requestedBy,
+    actorRole: getRequesterRole(updated, requestedBy),
+    message: `Refunded $${amount.toFixed(2)}${reason ? `: ${reason}` : ''}`,
+    data: { amount, reversal, stripeRefundId }
+  });
+
+  const notifications = [
+    createNotification({
+      recipient: updated.buyer,
+      type: 'order_refunded',
+      title: 'Refund Issued',
+      message: `You have been refunded $${amount.toFixed(2)} for ${updated.packageDetails.title}`,
+      data: { orderId: updated._id, amount }
+    })
+  ];
+
+  if (reversal > 0) {
+    await User.findByIdAndUpdate(updated.seller, {
+      $inc: { totalEarnings: -reversal }
+    });
+
+    notifications.push(createNotification({
+      recipient: updated.seller,
+      type: 'order_refunded',
+      title: 'Order Refunded',
+      message: `$${reversal.toFixed(2)} was deducted from your earnings after a refund on ${updated.packageDetails.title}`,
+      data: { orderId: updated._id, amount: reversal }
+    }));
+  }
+
+  await Promise.all(notifications);
+
+  return updated;
+};
+
+// Refund an order through Stripe. Defaults to everything not yet refunded.
+// Throws an AppError for unrefundable orders and bad amounts.
+export const refundOrder = async (order, { amount, reason, requestedBy } = {}) => {
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    throw new InvalidTransitionError('Order has no payment to refund');
+  }
+
+  if (!getStripe()) {
+    throw new PaymentUnavailableError();
+  }
+
+  const refundable = getRefundableAmount(order);
+  const refundAmount = roundCents(amount ?? refundable);
+
+  if (!(refundAmount > 0 && refundAmount <= refundable)) {
+    throw new BadRequestError(`Refund amount must be between 0 and ${refundable}`, { code: 'INVALID_REFUND_AMOUNT' });
+  }
+
+  const refund = await refundPayment(order, { amount: refundAmount });
+
+  const updated = await recordRefund(order, {
+    stripeRefundId: refund.id,
+    amount: refundAmount,
+    reason,
+    requestedBy
+  });
+
+  return updated || Order.findById(order._id);
+};
+
+// Bring an order in line with a charge.refunded event, including refunds made
+// directly in the Stripe dashboard. Returns the number of newly recorded refunds.
+export const syncRefundsFromCharge = async (charge) => {
+  let order = await Order.findOne({ paymentIntentId: charge.payment_intent });
+  if (!order) {
+    return 0;
+  }
+
+  let refunds = charge.refunds?.data;
+  if (!refunds?.length) {
+    const list = await getStripe().refunds.list({ payment_intent: charge.payment_intent, limit: 100 });
+    refunds = list.data;
+  }
+
+  let recordedCount = 0;
+
+  for (const refund of refunds) {
+    if (['failed', 'canceled'].includes(refund.status)) continue;
+
+    const updated = await recordRefund(order, {
+      stripeRefundId: refund.id,
+      amount: refund.amount / 100,
+      reason: refund.reason || 'Refunded in Stripe'
+    });
+
+    if (updated) {
+      order = updated;
+      recordedCount++;
+    }
+  }
+
+  return recordedCount;
+};
@@ -0,0 +1,200 @@
+// In-process inverted index for gig search. Matches words with a typo or two,
+// treats the last word of a query as a prefix, and weights tag and title
+// matches above description matches.
+//
+// Documents: { title, description, searchTags, listed }. Unlisted documents are
+// searchable (the caller filters them) but never suggested.
+
+const DEFAULT_WEIGHTS = { searchTags: 4, title: 3, description: 1 };
+
+// Repeats of a word in one field stop adding to its weight after this many
+const MAX_REPEATS = 3;
+
+// Score multipliers for inexact matches
+const PREFIX_FACTOR = 0.8;
+const TYPO_FACTOR = 0.6;
+
+export const tokenize = (value) => {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1);
+};
+
+// Typos allowed for a word of this length
+const getMaxEdits = (length) => {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+};
+
+// Edit distance counting a swap of neighbouring letters as one typo
+// (optimal string alignment), or Infinity once it is over `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return Infinity;
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length] > max ? Infinity : previous[b.length];
+};
+
+export const createSearchIndex = ({ weights = DEFAULT_WEIGHTS } = {}) => {
+  const documents = new Map(); // id -> { title, listed, terms: Map(term -> weight) }
+  const postings = new Map();  // term -> Map(id -> weight)
+
+  const remove = (id) => {
+    const document = documents.get(id);
+    if (!document) return;
+
+    for (const term of document.terms.keys()) {
+      const posting = postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) postings.delete(term);
+    }
+    documents.delete(id);
+  };
+
+  const add = (id, document) => {
+    remove(id);
+
+    const terms = new Map();
+    Object.entries(weights).forEach(([field, weight]) => {
+      const values = Array.isArray(document[field]) ? document[field] : [document[field]];
+      const counts = new Map();
+      values.flatMap(tokenize).forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+      counts.forEach((count, token) => {
+        terms.set(token, (terms.get(token) || 0) + Math.min(count, MAX_REPEATS) * weight);
+      });
+    });
+
+    terms.forEach((weight, term) => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(id, weight);
+    });
+
+    documents.set(id, { title: document.title, listed: Boolean(document.listed), terms });
+  };
+
+  // Index terms a query word could mean, with how much each match counts
+  const expand = (token, { prefix }) => {
+    const matches = new Map();
+    const maxEdits = getMaxEdits(token.length);
+
+    for (const term of postings.keys()) {
+      let factor = 0;
+      if (term === token) {
+        factor = 1;
+      } else if (prefix && term.startsWith(token)) {
+        factor = PREFIX_FACTOR;
+      } else if (maxEdits > 0) {
+        const distance = editDistance(token, term, maxEdits);
+        if (distance !== Infinity) factor = TYPO_FACTOR ** distance;
+      }
+      if (factor > 0) matches.set(term, factor);
+    }
+
+    return matches;
+  };
+
+  const idf = (term) => Math.log(1 + documents.size / postings.get(term).size);
+
+  // Documents matching every word of the query, best first: [{ id, score }]
+  const search = (query, { limit = 1000, prefix = true } = {}) => {
+    const tokens = tokenize(query);
+    if (tokens.length === 0) return [];
+
+    let scores = null;
+
+    tokens.forEach((token, i) => {
+      const tokenScores = new Map();
+      const matches = expand(token, { prefix: prefix && i === tokens.length - 1 });
+
+      matches.forEach((factor, term) => {
+        const termIdf = idf(term);
+        postings.get(term).forEach((weight, id) => {
+          if (scores && !scores.has(id)) return;
+          // A word counts once per document, through its best match
+          const score = weight * termIdf * factor;
+          if (score > (tokenScores.get(id) || 0)) tokenScores.set(id, score);
+        });
+      });
+
+      if (scores) {
+        tokenScores.forEach((score, id) => tokenScores.set(id, score + scores.get(id)));
+      }
+      scores = tokenScores;
+    });
+
+    return [...scores]
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  };
+
+  // Completions for what the user is typing, and listed documents that match it
+  const suggest = (query, { limit = 5 } = {}) => {
+    const tokens = tokenize(query);
+    if (tokens.length === 0) return { terms: [], documents: [] };
+
+    const lead = tokens.slice(0, -1).join(' ');
+    const last = tokens[tokens.length - 1];
+
+    const listedCount = (term) => {
+      let count = 0;
+      postings.get(term).forEach((weight, id) => {
+        if (documents.get(id).listed) count++;
+      });
+      return count;
+    };
+
+    const terms = [...postings.keys()]
+      .filter(term => term.startsWith(last))
+      .map(term => ({ term, count: listedCount(term) }))
+      .filter(({ count }) => count > 0)
+      .sort((a, b) => b.count - a.count || a.term.length - b.term.length)
+      .slice(0, limit)
+      .map(({ term }) => (lead ? `${lead} ${term}` : term));
+
+    const matches = search(query)
+      .filter(({ id }) => documents.get(id).listed)
+      .slice(0, limit)
+      .map(({ id }) => ({ id, title: documents.get(id).title }));
+
+    return { terms, documents: matches };
+  };
+
+  return {
+    add,
+    remove,
+    search,
+    suggest,
+    clear: () => {
+      documents.clear();
+      postings.clear();
+    },
+    get size() {
+      return documents.size;
+    }
+  };
+};
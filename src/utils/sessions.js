@@ -0,0 +1,145 @@
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { createToken, hashToken } from './authTokens.js';
+import { disconnectSession } from '../socket/socketHandler.js';
+import { ForbiddenError, UnauthorizedError } from './errors.js';
+
+// Short-lived JWT access tokens tied to a server-side session, plus an opaque
+// refresh token that is swapped for a new one every time it is used.
+
+export const getAccessTokenTTL = () => process.env.ACCESS_TOKEN_TTL || '15m';
+
+export const getRefreshTokenTTL = () => {
+  return (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+};
+
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: getAccessTokenTTL() }
+  );
+};
+
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+// Start a session for a user who just signed in
+export const createSession = async (user, req) => {
+  const { token, hash } = createToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hash,
+    ...getClientInfo(req),
+    expiresAt: new Date(Date.now() + getRefreshTokenTTL())
+  });
+
+  return {
+    session,
+    accessToken: signAccessToken(user._id, session._id),
+    refreshToken: token
+  };
+};
+
+export const revokeSession = async (sessionId, reason = 'revoked') => {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+
+  if (session) {
+    disconnectSession(session._id);
+  }
+
+  return session;
+};
+
+// Revoke every active session a user has, optionally keeping one. Returns the count.
+export const revokeUserSessions = async (userId, { except, reason = 'revoked' } = {}) => {
+  const query = { user: userId, revokedAt: null };
+  if (except) {
+    query._id = { $ne: except };
+  }
+
+  const sessions = await Session.find(query).select('_id');
+  const ids = sessions.map(session => session._id);
+
+  await Session.updateMany(
+    { _id: { $in: ids }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  ids.forEach(disconnectSession);
+
+  return ids.length;
+};
+
+// Swap a refresh token for a new access/refresh pair. A refresh token that was
+// already swapped means someone else holds a copy, so the session is revoked.
+export const refreshSession = async (refreshToken, req) => {
+  const hash = hashToken(refreshToken);
+  const now = new Date();
+  const { token, hash: nextHash } = createToken();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      refreshTokenHash: nextHash,
+      previousTokenHash: hash,
+      lastUsedAt: now,
+      ...getClientInfo(req)
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOne({ previousTokenHash: hash, revokedAt: null });
+    if (reused) {
+      await revokeSession(reused._id, 'token_reuse');
+    }
+    throw new UnauthorizedError('Invalid or expired refresh token', { code: 'INVALID_REFRESH_TOKEN' });
+  }
+
+  const user = await User.findById(session.user).select('-password');
+  if (!user) {
+    throw new UnauthorizedError('User not found');
+  }
+
+  if (user.isSuspended) {
+    throw new ForbiddenError('Account suspended', { code: 'ACCOUNT_SUSPENDED' });
+  }
+
+  return {
+    session,
+    user,
+    accessToken: signAccessToken(user._id, session._id),
+    refreshToken: token
+  };
+};
+
+// Verify an access token and load its user and session. Throws jwt errors for
+// bad tokens and an UnauthorizedError when the session is no longer active.
+export const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens from before sessions existed can't be revoked, so they aren't accepted
+  if (!decoded.sid) {
+    throw new ForbiddenError('Invalid or expired token', { code: 'INVALID_TOKEN' });
+  }
+
+  const [user, session] = await Promise.all([
+    User.findById(decoded.userId).select('-password'),
+    Session.findById(decoded.sid)
+  ]);
+
+  if (!session || !session.isActive() || session.user.toString() !== String(decoded.userId)) {
+    throw new UnauthorizedError('Session has been revoked', { code: 'SESSION_REVOKED' });
+  }
+
+  return { user, session };
+};
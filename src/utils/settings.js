@@ -0,0 +1,31 @@
+import Setting from '../models/Setting.js';
+
+// Defaults for settings that haven't been changed yet
+export const SETTING_DEFAULTS = {
+  // Withdrawal requests need a 2FA code
+  'security.requireTwoFactorForWithdrawals': false,
+  // Admin payout actions (paying or rejecting withdrawals, refunds) need a 2FA code
+  'security.requireTwoFactorForPayoutActions': false
+};
+
+export const getSetting = async (key) => {
+  const setting = await Setting.findOne({ key });
+  return setting ? setting.value : SETTING_DEFAULTS[key];
+};
+
+export const getSettings = async () => {
+  const settings = await Setting.find({ key: { $in: Object.keys(SETTING_DEFAULTS) } });
+
+  return {
+    ...SETTING_DEFAULTS,
+    ...Object.fromEntries(settings.map(setting => [setting.key, setting.value]))
+  };
+};
+
+export const updateSetting = (key, value, updatedBy) => {
+  return Setting.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { upsert: true, new: true }
+  );
+};
@@ -0,0 +1,93 @@
+import Stripe from 'stripe';
+import { PaymentUnavailableError } from './errors.js';
+
+let stripe;
+
+// Lazily initialise Stripe so the key is read after dotenv has loaded.
+// STRIPE_API_HOST/PORT/PROTOCOL point the client at a local stand-in such as stripe-mock.
+export const getStripe = () => {
+  if (stripe !== undefined) {
+    return stripe;
+  }
+
+  try {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      console.warn('⚠️  STRIPE_SECRET_KEY not found in environment variables. Stripe functionality will be disabled.');
+      stripe = null;
+    } else {
+      stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+        ...(process.env.STRIPE_API_HOST && { host: process.env.STRIPE_API_HOST }),
+        ...(process.env.STRIPE_API_PORT && { port: Number(process.env.STRIPE_API_PORT) }),
+        ...(process.env.STRIPE_API_PROTOCOL && { protocol: process.env.STRIPE_API_PROTOCOL })
+      });
+      console.log('✅ Stripe initialized successfully');
+    }
+  } catch (error) {
+    console.error('❌ Failed to initialize Stripe:', error.message);
+    stripe = null;
+  }
+
+  return stripe;
+};
+
+// Swap in a different client (e.g. a mock in tests). Pass undefined to re-read the environment.
+export const setStripeClient = (client) => {
+  stripe = client;
+};
+
+// Refund all or part of an order's payment. Amounts are in dollars.
+export const refundPayment = (order, { amount = order.totalAmount, reason } = {}) => {
+  const stripe = getStripe();
+  if (!stripe) {
+    throw new PaymentUnavailableError();
+  }
+
+  return stripe.refunds.create({
+    payment_intent: order.paymentIntentId,
+    amount: Math.round(amount * 100),
+    ...(reason && { reason }),
+    metadata: { orderId: order._id.toString() }
+  });
+};
+
+// Checkout session for an unpaid order: the package price plus the buyer's service fee
+export const createCheckoutSession = (order, { product, cancelUrl, metadata = {} }) => {
+  const stripe = getStripe();
+  if (!stripe) {
+    throw new PaymentUnavailableError();
+  }
+
+  return stripe.checkout.sessions.create({
+    payment_method_types: ['card'],
+    line_items: [
+      {
+        price_data: {
+          currency: 'usd',
+          product_data: product,
+          unit_amount: Math.round(order.packageDetails.price * 100)
+        },
+        quantity: 1
+      },
+      {
+        price_data: {
+          currency: 'usd',
+          product_data: {
+            name: 'Service Fee',
+            description: 'Platform service fee'
+          },
+          unit_amount: Math.round(order.serviceFee * 100)
+        },
+        quantity: 1
+      }
+    ],
+    mode: 'payment',
+    success_url: `${process.env.CLIENT_URL}/order-success?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: cancelUrl,
+    metadata: {
+      orderId: order._id.toString(),
+      buyerId: order.buyer.toString(),
+      sellerId: order.seller.toString(),
+      ...metadata
+    }
+  });
+};
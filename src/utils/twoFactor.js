@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { hashToken } from './authTokens.js';
+import { verifyCode } from './totp.js';
+import { assertLoginAllowed, getLoginThrottle, recordLoginFailure } from './loginThrottle.js';
+
+export const BACKUP_CODE_COUNT = 10;
+
+export const getChallengeTokenTTL = () => process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+
+const normalizeBackupCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+// Returns the codes to show the user once and the hashes to store
+export const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(normalizeBackupCode(code)))
+  };
+};
+
+// Check a TOTP or backup code for a user with 2FA enabled. A TOTP step and a
+// backup code each only work once. Returns 'totp', 'backup' or null.
+export const verifyTwoFactorCode = async (userId, code, { now = new Date() } = {}) => {
+  const user = await User.findById(userId)
+    .select('+twoFactor.secret +twoFactor.lastUsedCounter');
+
+  if (!user?.twoFactor?.enabled || !user.twoFactor.secret) {
+    return null;
+  }
+
+  const counter = verifyCode(user.twoFactor.secret, code, { at: now });
+  if (counter !== null) {
+    const claimed = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedCounter': { $lt: counter } },
+          { 'twoFactor.lastUsedCounter': null }
+        ]
+      },
+      { 'twoFactor.lastUsedCounter': counter }
+    );
+    return claimed.modifiedCount ? 'totp' : null;
+  }
+
+  const hash = hashToken(normalizeBackupCode(code));
+  const used = await User.updateOne(
+    { _id: user._id, 'twoFactor.backupCodes': hash },
+    { $pull: { 'twoFactor.backupCodes': hash } }
+  );
+
+  return used.modifiedCount ? 'backup' : null;
+};
+
+// verifyTwoFactorCode for a signed-in user confirming a sensitive action. Wrong
+// codes count against the account like sign-in guesses, so someone holding a
+// stolen access token gets locked out instead of trying every code.
+// Throws TooManyRequestsError while locked out.
+export const verifyStepUpCode = async (req, user, code) => {
+  await assertLoginAllowed(req, user.email);
+
+  const method = await verifyTwoFactorCode(user._id, code);
+  if (!method) {
+    await recordLoginFailure(req, user.email, user);
+    return null;
+  }
+
+  await getLoginThrottle().recordSuccess({ email: user.email });
+  return method;
+};
+
+// Proves the password step of a two-step login. It has no session id, so it
+// can't be used as an access token.
+export const createChallengeToken = (userId) => {
+  return jwt.sign(
+    { userId, purpose: '2fa_login' },
+    process.env.JWT_SECRET,
+    { expiresIn: getChallengeTokenTTL() }
+  );
+};
+
+export const verifyChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== '2fa_login') {
+    throw new Error('Invalid challenge token');
+  }
+  return decoded;
+};
@@ -0,0 +1,151 @@
+import { body } from 'express-validator';
+import Gig from '../models/Gig.js';
+import User from '../models/User.js';
+import Withdrawal from '../models/Withdrawal.js';
+import { handleValidationErrors, validate } from '../middleware/validate.js';
+import { SETTING_DEFAULTS } from '../utils/settings.js';
+import { boolean, date, idParam, number, objectId, oneOf, pagination, text } from './common.js';
+
+const ROLES = User.schema.path('role').enumValues;
+const CATEGORIES = Gig.schema.path('category').enumValues;
+const REVIEW_STATUSES = Gig.schema.path('status').enumValues;
+const WITHDRAWAL_STATUSES = Withdrawal.schema.path('status').enumValues;
+
+const rate = (label, optional = true) => number('body', { optional, min: 0, max: 1, label });
+
+const reason = (label) => text('body', { max: 1000, label });
+
+const search = text('query', { optional: true, max: 100, label: 'Search' });
+
+export const listUsers = validate({
+  search,
+  role: oneOf('query', ['all', ...ROLES], { optional: true }),
+  suspended: boolean('query'),
+  ...pagination
+});
+
+export const userId = validate({
+  id: idParam('user id')
+});
+
+export const suspendUser = validate({
+  id: idParam('user id'),
+  reason: reason('Suspension reason')
+});
+
+export const listGigs = validate({
+  search,
+  status: oneOf('query', ['all', 'active', 'inactive', 'archived'], { optional: true }),
+  reviewStatus: oneOf('query', ['all', ...REVIEW_STATUSES], { optional: true }),
+  freelancer: objectId('query', { optional: true, label: 'freelancer id' }),
+  ...pagination
+});
+
+export const listPage = validate(pagination);
+
+export const gigId = validate({
+  id: idParam('gig id')
+});
+
+export const rejectGig = validate({
+  id: idParam('gig id'),
+  reason: reason('Rejection reason')
+});
+
+export const deactivateGig = validate({
+  id: idParam('gig id'),
+  reason: reason('Deactivation reason')
+});
+
+export const moderateReview = validate({
+  id: idParam('review id'),
+  action: oneOf('body', ['dismiss', 'hide'])
+});
+
+export const listDisputes = validate({
+  status: oneOf('query', ['all', 'open', 'resolved', 'closed'], { optional: true }),
+  ...pagination
+});
+
+export const refundOrder = validate({
+  id: idParam('order id'),
+  amount: number('body', { optional: true, min: 0.01, label: 'Amount' }),
+  reason: reason('Refund reason')
+});
+
+export const listWithdrawals = validate({
+  status: oneOf('query', ['all', ...WITHDRAWAL_STATUSES], { optional: true }),
+  ...pagination
+});
+
+export const markWithdrawalPaid = validate({
+  id: idParam('withdrawal id'),
+  reference: text('body', { optional: true, max: 200, label: 'Reference' })
+});
+
+export const rejectWithdrawal = validate({
+  id: idParam('withdrawal id'),
+  reason: reason('Rejection reason')
+});
+
+export const reconciliation = validate({
+  from: date('query', { label: 'From' }),
+  to: date('query', { label: 'To' })
+});
+
+export const feeScheduleVersion = validate({
+  version: {
+    in: ['params'],
+    custom: {
+      options: (value) => value === 'active' || /^\d+$/.test(value),
+      errorMessage: 'Version must be a number or "active"'
+    }
+  }
+});
+
+export const createFeeSchedule = validate({
+  name: text('body', { optional: true, max: 100, label: 'Name' }),
+  effectiveFrom: date('body', { label: 'Effective from' }),
+  'buyerFee.rate': rate('Buyer fee rate', false),
+  'buyerFee.minimum': number('body', { optional: true, min: 0, label: 'Buyer fee minimum' }),
+  'platformFee.rate': rate('Platform fee rate', false),
+  'platformFee.minimum': number('body', { optional: true, min: 0, label: 'Platform fee minimum' }),
+  categoryRates: { in: ['body'], optional: true, isArray: { errorMessage: 'Category rates must be a list' } },
+  'categoryRates.*.category': oneOf('body', CATEGORIES),
+  'categoryRates.*.buyerRate': rate('Category buyer rate'),
+  'categoryRates.*.platformRate': rate('Category platform rate'),
+  sellerTiers: { in: ['body'], optional: true, isArray: { errorMessage: 'Seller tiers must be a list' } },
+  'sellerTiers.*.name': text('body', { max: 50, label: 'Tier name' }),
+  'sellerTiers.*.minCompletedOrders': number('body', { optional: true, min: 0, int: true, label: 'Minimum completed orders' }),
+  'sellerTiers.*.minRating': number('body', { optional: true, min: 0, max: 5, label: 'Minimum rating' }),
+  'sellerTiers.*.platformRateDiscount': rate('Platform rate discount', false),
+  promotions: { in: ['body'], optional: true, isArray: { errorMessage: 'Promotions must be a list' } },
+  'promotions.*.name': text('body', { max: 100, label: 'Promotion name' }),
+  'promotions.*.startsAt': date('body', { optional: false, label: 'Promotion start' }),
+  'promotions.*.endsAt': date('body', { optional: false, label: 'Promotion end' }),
+  'promotions.*.categories.*': oneOf('body', CATEGORIES),
+  'promotions.*.buyerRateDiscount': rate('Buyer rate discount'),
+  'promotions.*.platformRateDiscount': rate('Platform rate discount'),
+  notes: text('body', { optional: true, max: 2000, label: 'Notes' })
+});
+
+export const previewFees = validate({
+  subtotal: number('body', { min: 0.01, label: 'Subtotal' }),
+  category: oneOf('body', CATEGORIES, { optional: true }),
+  sellerId: objectId('body', { optional: true, label: 'seller id' }),
+  at: date('body', { label: 'At' })
+});
+
+// Setting keys contain dots, so the body is checked as a whole
+export const updateSettings = [
+  body().custom((settings) => {
+    const unknown = Object.entries(settings || {}).find(([key, value]) =>
+      !(key in SETTING_DEFAULTS) || typeof value !== typeof SETTING_DEFAULTS[key]
+    );
+    if (unknown) {
+      throw new Error(`Invalid setting: ${unknown[0]}`);
+    }
+    return true;
+  }),
+  handleValidationErrors
+];
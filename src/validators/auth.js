@@ -0,0 +1,83 @@
+import { validate } from '../middleware/validate.js';
+import { idParam, oneOf, text } from './common.js';
+
+const email = {
+  in: ['body'],
+  isEmail: { errorMessage: 'A valid email is required' },
+  trim: true,
+  toLowerCase: true
+};
+
+const password = {
+  in: ['body'],
+  isString: { errorMessage: 'Password is required' },
+  isLength: {
+    options: { min: 6, max: 128 },
+    errorMessage: 'Password must be between 6 and 128 characters'
+  }
+};
+
+const token = (label) => ({
+  in: ['body'],
+  isString: { errorMessage: `${label} is required` },
+  notEmpty: { errorMessage: `${label} is required` }
+});
+
+export const register = validate({
+  username: {
+    in: ['body'],
+    isString: { errorMessage: 'Username is required' },
+    trim: true,
+    isLength: {
+      options: { min: 3, max: 20 },
+      errorMessage: 'Username must be between 3 and 20 characters'
+    },
+    matches: {
+      options: [/^[a-zA-Z0-9_.-]+$/],
+      errorMessage: 'Username may only contain letters, numbers, dots, dashes and underscores'
+    }
+  },
+  email,
+  password,
+  // Admin accounts can't be self-registered
+  role: oneOf('body', ['client', 'freelancer']),
+  fullName: text('body', { max: 100, label: 'Full name' })
+});
+
+export const login = validate({
+  email,
+  password: {
+    in: ['body'],
+    isString: { errorMessage: 'Password is required' },
+    notEmpty: { errorMessage: 'Password is required' }
+  }
+});
+
+export const loginTwoFactor = validate({
+  challengeToken: {
+    in: ['body'],
+    isJWT: { errorMessage: 'Invalid login challenge' }
+  },
+  code: token('Code')
+});
+
+export const refresh = validate({
+  refreshToken: token('Refresh token')
+});
+
+export const sessionId = validate({
+  id: idParam('session id')
+});
+
+export const verifyEmail = validate({
+  token: token('Verification token')
+});
+
+export const forgotPassword = validate({
+  email
+});
+
+export const resetPassword = validate({
+  token: token('Reset token'),
+  password
+});
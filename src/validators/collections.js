@@ -0,0 +1,27 @@
+import { validate } from '../middleware/validate.js';
+import { idParam, objectId, text } from './common.js';
+
+export const createCollection = validate({
+  name: text('body', { max: 100, label: 'Name' }),
+  description: text('body', { optional: true, max: 500, label: 'Description' })
+});
+
+export const updateCollection = validate({
+  id: idParam('collection id'),
+  name: text('body', { optional: true, max: 100, label: 'Name' }),
+  description: text('body', { optional: true, max: 500, label: 'Description' })
+});
+
+export const collectionId = validate({
+  id: idParam('collection id')
+});
+
+export const addGig = validate({
+  id: idParam('collection id'),
+  gigId: objectId('body', { label: 'gig id' })
+});
+
+export const removeGig = validate({
+  id: idParam('collection id'),
+  gigId: idParam('gig id')
+});
@@ -0,0 +1,88 @@
+// Building blocks for the express-validator schemas in this folder.
+// Query values are only checked, not converted: Express 5 re-parses req.query
+// on every access, so sanitized query values wouldn't stick.
+
+export const objectId = (location, { optional = false, label = 'id' } = {}) => ({
+  in: [location],
+  ...(optional && { optional: { options: { values: 'falsy' } } }),
+  isMongoId: { errorMessage: `Invalid ${label}` }
+});
+
+export const idParam = (label = 'id') => objectId('params', { label });
+
+export const oneOf = (location, values, { optional = false } = {}) => ({
+  in: [location],
+  ...(optional && { optional: true }),
+  isIn: {
+    options: [values],
+    errorMessage: `Must be one of: ${values.join(', ')}`
+  }
+});
+
+export const text = (location, { optional = false, max = 2000, label = 'Value' } = {}) => ({
+  in: [location],
+  ...(optional ? { optional: { options: { values: 'null' } } } : {
+    exists: { errorMessage: `${label} is required`, options: { values: 'falsy' } }
+  }),
+  isString: { errorMessage: `${label} must be text` },
+  trim: true,
+  isLength: {
+    options: { max },
+    errorMessage: `${label} must be at most ${max} characters`
+  }
+});
+
+export const number = (location, { optional = false, min, max, label = 'Value', int = false } = {}) => ({
+  in: [location],
+  ...(optional ? { optional: { options: { values: 'null' } } } : {
+    exists: { errorMessage: `${label} is required` }
+  }),
+  [int ? 'isInt' : 'isFloat']: {
+    // validator.js treats a present-but-undefined bound as failing
+    options: {
+      ...(min !== undefined && { min }),
+      ...(max !== undefined && { max })
+    },
+    errorMessage: `${label} must be ${int ? 'a whole number' : 'a number'}` +
+      (min !== undefined ? ` of at least ${min}` : '') +
+      (max !== undefined ? `${min !== undefined ? ' and' : ''} at most ${max}` : '')
+  },
+  ...(location === 'body' && { [int ? 'toInt' : 'toFloat']: true })
+});
+
+export const boolean = (location, { optional = true } = {}) => ({
+  in: [location],
+  ...(optional && { optional: true }),
+  isBoolean: { errorMessage: 'Must be true or false' },
+  ...(location === 'body' && { toBoolean: true })
+});
+
+export const date = (location, { optional = true, label = 'Date' } = {}) => ({
+  in: [location],
+  ...(optional && { optional: { options: { values: 'falsy' } } }),
+  isISO8601: { errorMessage: `${label} must be a valid date` }
+});
+
+export const pagination = {
+  page: number('query', { optional: true, min: 1, int: true, label: 'Page' }),
+  limit: number('query', { optional: true, min: 1, max: 100, int: true, label: 'Limit' })
+};
+
+// Files already uploaded through /api/upload
+export const attachments = (field, { max = 10 } = {}) => ({
+  [field]: {
+    in: ['body'],
+    optional: true,
+    isArray: {
+      options: { max },
+      errorMessage: `At most ${max} files can be attached`
+    }
+  },
+  [`${field}.*.url`]: {
+    in: ['body'],
+    isURL: { errorMessage: 'Attachment url must be a valid URL' }
+  },
+  [`${field}.*.name`]: text('body', { optional: true, max: 255, label: 'Attachment name' }),
+  [`${field}.*.size`]: number('body', { optional: true, min: 0, label: 'Attachment size' }),
+  [`${field}.*.type`]: text('body', { optional: true, max: 100, label: 'Attachment type' })
+});
@@ -0,0 +1,17 @@
+import Withdrawal from '../models/Withdrawal.js';
+import { validate } from '../middleware/validate.js';
+import { idParam, number, oneOf, pagination, text } from './common.js';
+
+const METHOD_TYPES = Withdrawal.schema.path('method.type').enumValues;
+
+export const listTransactions = validate(pagination);
+
+export const requestWithdrawal = validate({
+  amount: number('body', { min: 0.01, label: 'Amount' }),
+  'method.type': oneOf('body', METHOD_TYPES),
+  'method.details': text('body', { optional: true, max: 500, label: 'Payout details' })
+});
+
+export const withdrawalId = validate({
+  id: idParam('withdrawal id')
+});
@@ -0,0 +1,173 @@
+import Gig from '../models/Gig.js';
+import { validate } from '../middleware/validate.js';
+import { SORT_OPTIONS } from '../utils/gigSearch.js';
+import { boolean, idParam, number, oneOf, pagination, text } from './common.js';
+
+const CATEGORIES = Gig.schema.path('category').enumValues;
+const REQUIREMENT_TYPES = Gig.schema.path('requirements').schema.path('type').enumValues;
+const PACKAGE_TIERS = ['basic', 'standard', 'premium'];
+
+// Packages build on each other: basic is required, premium needs standard,
+// every package is complete and each tier costs more than the one below
+const checkPricing = (pricing) => {
+  if (!pricing || typeof pricing !== 'object' || Array.isArray(pricing)) {
+    throw new Error('Pricing is required');
+  }
+
+  const unknown = Object.keys(pricing).find(tier => !PACKAGE_TIERS.includes(tier));
+  if (unknown) {
+    throw new Error(`Unknown package: ${unknown}`);
+  }
+
+  if (!pricing.basic) {
+    throw new Error('A basic package is required');
+  }
+
+  if (pricing.premium && !pricing.standard) {
+    throw new Error('A premium package needs a standard package');
+  }
+
+  const tiers = PACKAGE_TIERS.filter(tier => pricing[tier]);
+
+  tiers.forEach(tier => {
+    const { title, description, price, deliveryTime, revisions } = pricing[tier];
+    if (!title || !description || price === undefined || deliveryTime === undefined || revisions === undefined) {
+      throw new Error(`The ${tier} package needs a title, description, price, delivery time and revisions`);
+    }
+  });
+
+  tiers.slice(1).forEach((tier, i) => {
+    if (Number(pricing[tier].price) <= Number(pricing[tiers[i]].price)) {
+      throw new Error(`The ${tier} package must cost more than the ${tiers[i]} package`);
+    }
+  });
+
+  return true;
+};
+
+const gigFields = (optional) => ({
+  title: text('body', { optional, max: 100, label: 'Title' }),
+  description: text('body', { optional, max: 2000, label: 'Description' }),
+  category: oneOf('body', CATEGORIES, { optional }),
+  subcategory: text('body', { optional, max: 100, label: 'Subcategory' }),
+  searchTags: {
+    in: ['body'],
+    optional: true,
+    isArray: { options: { max: 10 }, errorMessage: 'At most 10 search tags are allowed' }
+  },
+  'searchTags.*': text('body', { max: 30, label: 'Search tag' }),
+  pricing: {
+    in: ['body'],
+    ...(optional && { optional: true }),
+    custom: { options: checkPricing }
+  },
+  'pricing.*.title': text('body', { optional: true, max: 100, label: 'Package title' }),
+  'pricing.*.description': text('body', { optional: true, max: 500, label: 'Package description' }),
+  'pricing.*.price': number('body', { optional: true, min: 5, max: 100000, label: 'Price' }),
+  'pricing.*.deliveryTime': number('body', { optional: true, min: 1, max: 365, int: true, label: 'Delivery time' }),
+  'pricing.*.revisions': number('body', { optional: true, min: 0, max: 100, int: true, label: 'Revisions' }),
+  'pricing.*.features': {
+    in: ['body'],
+    optional: true,
+    isArray: { options: { max: 20 }, errorMessage: 'At most 20 features per package' }
+  },
+  'pricing.*.features.*': text('body', { max: 100, label: 'Feature' }),
+  images: {
+    in: ['body'],
+    optional: true,
+    isArray: { options: { max: 5 }, errorMessage: 'At most 5 images are allowed' }
+  },
+  'images.*.url': {
+    in: ['body'],
+    isURL: { errorMessage: 'Image url must be a valid URL' }
+  },
+  'images.*.publicId': text('body', { optional: true, max: 255, label: 'Image id' }),
+  'video.url': {
+    in: ['body'],
+    optional: true,
+    isURL: { errorMessage: 'Video url must be a valid URL' }
+  },
+  faqs: {
+    in: ['body'],
+    optional: true,
+    isArray: { options: { max: 20 }, errorMessage: 'At most 20 FAQs are allowed' }
+  },
+  'faqs.*.question': text('body', { max: 300, label: 'FAQ question' }),
+  'faqs.*.answer': text('body', { max: 1000, label: 'FAQ answer' }),
+  requirements: {
+    in: ['body'],
+    optional: true,
+    isArray: { options: { max: 20 }, errorMessage: 'At most 20 requirements are allowed' }
+  },
+  'requirements.*.question': text('body', { max: 500, label: 'Requirement question' }),
+  'requirements.*.type': oneOf('body', REQUIREMENT_TYPES, { optional: true }),
+  'requirements.*.required': {
+    in: ['body'],
+    optional: true,
+    isBoolean: { errorMessage: 'Must be true or false' }
+  },
+  'requirements.*': {
+    in: ['body'],
+    custom: {
+      options: (requirement) => {
+        if (requirement?.type === 'multiple-choice' && !(requirement.options?.length >= 2)) {
+          throw new Error('Multiple-choice requirements need at least two options');
+        }
+        return true;
+      }
+    }
+  },
+  'requirements.*.options.*': text('body', { max: 200, label: 'Option' })
+});
+
+export const listGigs = validate({
+  category: oneOf('query', ['all', ...CATEGORIES], { optional: true }),
+  subcategory: text('query', { optional: true, max: 100, label: 'Subcategory' }),
+  search: text('query', { optional: true, max: 100, label: 'Search' }),
+  minPrice: number('query', { optional: true, min: 0, label: 'Minimum price' }),
+  maxPrice: {
+    ...number('query', { optional: true, min: 0, label: 'Maximum price' }),
+    custom: {
+      options: (value, { req }) => {
+        if (req.query.minPrice !== undefined && Number(value) < Number(req.query.minPrice)) {
+          throw new Error('Maximum price must be at least the minimum price');
+        }
+        return true;
+      }
+    }
+  },
+  maxDeliveryDays: number('query', { optional: true, min: 1, max: 365, int: true, label: 'Delivery days' }),
+  minRating: number('query', { optional: true, min: 0, max: 5, label: 'Minimum rating' }),
+  country: text('query', { optional: true, max: 100, label: 'Country' }),
+  language: text('query', { optional: true, max: 50, label: 'Language' }),
+  online: boolean('query'),
+  sort: oneOf('query', SORT_OPTIONS, { optional: true }),
+  ...pagination
+});
+
+export const suggest = validate({
+  q: text('query', { max: 100, label: 'Query' }),
+  limit: number('query', { optional: true, min: 1, max: 20, int: true, label: 'Limit' })
+});
+
+export const listFavorites = validate(pagination);
+
+export const myGigs = validate({
+  archived: boolean('query')
+});
+
+export const gigId = validate({
+  id: idParam('gig id')
+});
+
+export const analytics = validate({
+  id: idParam('gig id'),
+  period: oneOf('query', ['7d', '30d', '90d'], { optional: true })
+});
+
+export const createGig = validate(gigFields(false));
+
+export const updateGig = validate({
+  id: idParam('gig id'),
+  ...gigFields(true)
+});
@@ -0,0 +1,55 @@
+import { validate } from '../middleware/validate.js';
+import { MIN_OFFER_PRICE } from '../utils/customOffers.js';
+import { attachments, date, idParam, number, objectId, oneOf, pagination, text } from './common.js';
+
+// order_update messages are posted by the server only
+const CLIENT_MESSAGE_TYPES = ['text', 'file', 'image', 'custom_offer'];
+
+// Shape checks only: utils/customOffers.js decides what a complete offer needs
+const offerTerms = (prefix) => ({
+  [`${prefix}description`]: text('body', { optional: true, max: 2000, label: 'Offer description' }),
+  [`${prefix}price`]: number('body', { optional: true, min: MIN_OFFER_PRICE, max: 100000, label: 'Price' }),
+  [`${prefix}deliveryTime`]: number('body', { optional: true, min: 1, max: 365, int: true, label: 'Delivery time' }),
+  [`${prefix}revisions`]: number('body', { optional: true, min: 0, max: 100, int: true, label: 'Revisions' }),
+  [`${prefix}expiresAt`]: date('body', { label: 'Offer expiry' })
+});
+
+const messageIdParam = { id: idParam('message id') };
+
+export const createConversation = validate({
+  participantId: objectId('body', { label: 'participant id' }),
+  gigId: objectId('body', { optional: true, label: 'gig id' }),
+  orderId: objectId('body', { optional: true, label: 'order id' })
+});
+
+export const listMessages = validate({
+  id: idParam('conversation id'),
+  ...pagination
+});
+
+export const sendMessage = validate({
+  id: idParam('conversation id'),
+  content: text('body', { optional: true, max: 5000, label: 'Message' }),
+  messageType: oneOf('body', CLIENT_MESSAGE_TYPES, { optional: true }),
+  ...attachments('attachments'),
+  customOffer: {
+    in: ['body'],
+    optional: true,
+    isObject: { errorMessage: 'Custom offer must be an object' }
+  },
+  'customOffer.title': text('body', { optional: true, max: 100, label: 'Offer title' }),
+  ...offerTerms('customOffer.')
+});
+
+export const messageId = validate(messageIdParam);
+
+export const declineOffer = validate({
+  ...messageIdParam,
+  reason: text('body', { optional: true, max: 500, label: 'Reason' })
+});
+
+export const counterOffer = validate({
+  ...messageIdParam,
+  content: text('body', { optional: true, max: 5000, label: 'Message' }),
+  ...offerTerms('')
+});
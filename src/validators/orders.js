@@ -0,0 +1,85 @@
+import Order from '../models/Order.js';
+import { validate } from '../middleware/validate.js';
+import { attachments, idParam, number, objectId, oneOf, text } from './common.js';
+
+const STATUSES = Order.schema.path('status').enumValues;
+
+const orderId = { id: idParam('order id') };
+
+export const listOrders = validate({
+  status: oneOf('query', ['all', 'late', ...STATUSES], { optional: true }),
+  role: oneOf('query', ['buyer', 'seller'], { optional: true })
+});
+
+export const getOrder = validate(orderId);
+
+export const updateStatus = validate({
+  ...orderId,
+  status: oneOf('body', STATUSES)
+});
+
+// Answers to the gig's requirements; file answers are uploaded through /api/upload first
+export const submitRequirements = validate({
+  ...orderId,
+  answers: {
+    in: ['body'],
+    optional: true,
+    isArray: { options: { max: 50 }, errorMessage: 'Answers must be a list' }
+  },
+  'answers.*.requirement': objectId('body', { label: 'requirement id' }),
+  'answers.*.answer': text('body', { optional: true, max: 5000, label: 'Answer' }),
+  ...attachments('answers.*.files')
+});
+
+export const deliver = validate({
+  ...orderId,
+  message: text('body', { max: 2000, label: 'Delivery message' }),
+  ...attachments('files', { max: 20 })
+});
+
+export const requestRevision = validate({
+  ...orderId,
+  message: text('body', { max: 2000, label: 'Revision message' })
+});
+
+export const requestExtension = validate({
+  ...orderId,
+  days: number('body', { min: 1, max: 30, int: true, label: 'Days' }),
+  reason: text('body', { max: 500, label: 'Reason' })
+});
+
+export const extensionId = validate({
+  ...orderId,
+  extensionId: idParam('extension id')
+});
+
+export const declineExtension = validate({
+  ...orderId,
+  extensionId: idParam('extension id'),
+  reason: text('body', { optional: true, max: 500, label: 'Reason' })
+});
+
+export const cancel = validate({
+  ...orderId,
+  reason: text('body', { optional: true, max: 500, label: 'Reason' })
+});
+
+export const openDispute = validate({
+  ...orderId,
+  reason: text('body', { max: 200, label: 'Reason' }),
+  description: text('body', { max: 2000, label: 'Description' }),
+  ...attachments('attachments')
+});
+
+export const addDisputeMessage = validate({
+  ...orderId,
+  message: text('body', { optional: true, max: 2000, label: 'Message' }),
+  ...attachments('attachments')
+});
+
+export const resolveDispute = validate({
+  ...orderId,
+  outcome: oneOf('body', ['release', 'refund', 'split']),
+  buyerRefund: number('body', { optional: true, min: 0, label: 'Buyer refund' }),
+  resolution: text('body', { optional: true, max: 2000, label: 'Resolution' })
+});
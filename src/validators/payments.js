@@ -0,0 +1,37 @@
+import { validate } from '../middleware/validate.js';
+import { objectId, oneOf, text } from './common.js';
+
+const PACKAGE_TYPES = ['basic', 'standard', 'premium'];
+
+export const quote = validate({
+  gigId: objectId('query', { label: 'gig id' }),
+  packageType: oneOf('query', PACKAGE_TYPES, { optional: true })
+});
+
+export const createCheckoutSession = validate({
+  gigId: objectId('body', { label: 'gig id' }),
+  packageType: oneOf('body', PACKAGE_TYPES),
+  customRequirements: {
+    in: ['body'],
+    optional: true,
+    isArray: { options: { max: 20 }, errorMessage: 'At most 20 requirements are allowed' }
+  },
+  'customRequirements.*.question': text('body', { max: 500, label: 'Requirement question' }),
+  'customRequirements.*.answer': text('body', { optional: true, max: 5000, label: 'Requirement answer' }),
+  'customRequirements.*.type': text('body', { optional: true, max: 50, label: 'Requirement type' })
+});
+
+export const checkoutSuccess = validate({
+  sessionId: {
+    in: ['params'],
+    matches: { options: [/^cs_\w+$/], errorMessage: 'Invalid checkout session id' }
+  }
+});
+
+export const customOfferPayment = validate({
+  messageId: objectId('body', { label: 'message id' })
+});
+
+export const analytics = validate({
+  period: oneOf('query', ['7d', '30d', '90d', '1y'], { optional: true })
+});
@@ -0,0 +1,39 @@
+import { validate } from '../middleware/validate.js';
+import { idParam, number, objectId, oneOf, pagination, text } from './common.js';
+
+const score = (label) => number('body', { optional: true, min: 1, max: 5, int: true, label });
+
+export const createReview = validate({
+  orderId: objectId('body', { label: 'order id' }),
+  rating: number('body', { min: 1, max: 5, int: true, label: 'Rating' }),
+  comment: text('body', { max: 1000, label: 'Comment' }),
+  'categories.communication': score('Communication'),
+  'categories.serviceAsDescribed': score('Service as described'),
+  'categories.buyAgain': score('Buy again')
+});
+
+export const gigReviews = validate({
+  gigId: idParam('gig id'),
+  rating: oneOf('query', ['all', '1', '2', '3', '4', '5'], { optional: true }),
+  ...pagination
+});
+
+export const userReviews = validate({
+  userId: idParam('user id'),
+  type: oneOf('query', ['received', 'given'], { optional: true }),
+  ...pagination
+});
+
+export const respond = validate({
+  id: idParam('review id'),
+  content: text('body', { max: 1000, label: 'Response' })
+});
+
+export const report = validate({
+  id: idParam('review id'),
+  reason: text('body', { max: 500, label: 'Reason' })
+});
+
+export const gigAnalytics = validate({
+  gigId: idParam('gig id')
+});
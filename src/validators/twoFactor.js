@@ -0,0 +1,18 @@
+import { validate } from '../middleware/validate.js';
+
+const code = {
+  in: ['body'],
+  isString: { errorMessage: 'Code is required' },
+  notEmpty: { errorMessage: 'Code is required' }
+};
+
+export const codeOnly = validate({ code });
+
+export const disable = validate({
+  password: {
+    in: ['body'],
+    isString: { errorMessage: 'Password is required' },
+    notEmpty: { errorMessage: 'Password is required' }
+  },
+  code
+});
@@ -0,0 +1,20 @@
+import { validate } from '../middleware/validate.js';
+
+// Runs after multer, which fills req.body from the multipart form
+export const uploadFiles = validate({
+  folder: {
+    in: ['body'],
+    optional: true,
+    matches: {
+      options: [/^[a-z0-9_-]{1,50}$/],
+      errorMessage: 'Folder may only contain lowercase letters, numbers, dashes and underscores'
+    }
+  }
+});
+
+export const deleteFile = validate({
+  publicId: {
+    in: ['params'],
+    matches: { options: [/^[\w-]{1,200}$/], errorMessage: 'Invalid file id' }
+  }
+});
@@ -0,0 +1,22 @@
+import { validate } from '../middleware/validate.js';
+import { idParam, text } from './common.js';
+
+export const getProfile = validate({
+  id: idParam('user id')
+});
+
+export const updateProfile = validate({
+  fullName: text('body', { optional: true, max: 100, label: 'Full name' }),
+  description: text('body', { optional: true, max: 1000, label: 'Description' }),
+  skills: {
+    in: ['body'],
+    optional: true,
+    isArray: { options: { max: 30 }, errorMessage: 'At most 30 skills are allowed' }
+  },
+  'skills.*': text('body', { max: 50, label: 'Skill' }),
+  avatar: {
+    in: ['body'],
+    optional: { options: { values: 'falsy' } },
+    isURL: { errorMessage: 'Avatar must be a valid URL' }
+  }
+});
@@ -0,0 +1,119 @@
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../src/models/Order.js';
+import LedgerTransaction from '../src/models/LedgerTransaction.js';
+import OrderEvent from '../src/models/OrderEvent.js';
+import Notification from '../src/models/Notification.js';
+import { setStripeClient } from '../src/utils/stripe.js';
+import { checkoutOfferOrder } from '../src/utils/customOffers.js';
+import { fakeModel } from './support/fakeModel.js';
+
+// Checkout sessions keyed by id, with the calls the checkout makes
+const createStripeMock = () => {
+  const sessions = new Map();
+
+  return {
+    sessions,
+    checkout: {
+      sessions: {
+        create: mock.fn(async () => {
+          const session = { id: `cs_${sessions.size + 1}`, status: 'open', payment_status: 'unpaid', url: 'https://checkout.test' };
+          sessions.set(session.id, session);
+          return session;
+        }),
+        retrieve: mock.fn(async (id) => sessions.get(id)),
+        expire: mock.fn(async (id) => {
+          const session = sessions.get(id);
+          if (session.status !== 'open') throw new Error('Only open sessions can be expired');
+          session.status = 'expired';
+          return session;
+        })
+      }
+    }
+  };
+};
+
+describe('custom offer checkout', () => {
+  let orders;
+  let stripe;
+
+  const createOrder = (fields = {}) => orders.insert({
+    buyer: new mongoose.Types.ObjectId(),
+    seller: new mongoose.Types.ObjectId(),
+    gig: null,
+    package: 'custom',
+    packageDetails: { title: 'Landing page', price: 200, deliveryTime: 5, revisions: 2 },
+    customOffer: { message: new mongoose.Types.ObjectId(), conversation: new mongoose.Types.ObjectId() },
+    totalAmount: 210,
+    serviceFee: 10,
+    netAmount: 160,
+    paymentIntentId: 'temp_1',
+    ...fields
+  });
+
+  beforeEach(() => {
+    orders = fakeModel(Order);
+    fakeModel(LedgerTransaction);
+    fakeModel(OrderEvent);
+    fakeModel(Notification);
+
+    stripe = createStripeMock();
+    setStripeClient(stripe);
+  });
+
+  afterEach(() => {
+    setStripeClient(undefined);
+    mock.restoreAll();
+  });
+
+  test('opens a session for an order without one', async () => {
+    const order = createOrder();
+
+    const session = await checkoutOfferOrder(order);
+
+    assert.equal(session.id, 'cs_1');
+    assert.equal((await orders.get(order._id)).stripeSessionId, 'cs_1');
+  });
+
+  test('expires the earlier session before replacing it', async () => {
+    const order = createOrder();
+    await checkoutOfferOrder(order);
+
+    const session = await checkoutOfferOrder(await orders.get(order._id));
+
+    assert.equal(stripe.sessions.get('cs_1').status, 'expired');
+    assert.equal(session.id, 'cs_2');
+    assert.equal((await orders.get(order._id)).stripeSessionId, 'cs_2');
+  });
+
+  test('records the payment of an earlier session that was paid before its webhook arrived', async () => {
+    const order = createOrder();
+    await checkoutOfferOrder(order);
+    Object.assign(stripe.sessions.get('cs_1'), { status: 'complete', payment_status: 'paid', payment_intent: 'pi_paid' });
+
+    await assert.rejects(checkoutOfferOrder(await orders.get(order._id)), { code: 'ORDER_ALREADY_PAID' });
+
+    assert.equal(stripe.checkout.sessions.create.mock.callCount(), 1);
+    assert.equal(stripe.checkout.sessions.expire.mock.callCount(), 0);
+
+    const stored = await orders.get(order._id);
+    assert.equal(stored.status, 'requirements_pending');
+    assert.equal(stored.paymentStatus, 'paid');
+    assert.equal(stored.paymentIntentId, 'pi_paid');
+    assert.equal(stored.stripeSessionId, 'cs_1');
+  });
+
+  test('keeps the earlier session when it can\'t be expired', async () => {
+    const order = createOrder();
+    await checkoutOfferOrder(order);
+    stripe.checkout.sessions.expire.mock.mockImplementation(async () => {
+      throw new Error('Session was completed');
+    });
+
+    await assert.rejects(checkoutOfferOrder(await orders.get(order._id)), /Session was completed/);
+
+    assert.equal(stripe.checkout.sessions.create.mock.callCount(), 1);
+    assert.equal((await orders.get(order._id)).stripeSessionId, 'cs_1');
+  });
+});
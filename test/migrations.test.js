@@ -0,0 +1,26 @@
+import { afterEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Gig from '../src/models/Gig.js';
+import { runMigrations } from '../src/migrations/index.js';
+import { fakeModel } from './support/fakeModel.js';
+
+describe('migrations', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('gigs from before moderation are approved, others are left alone', async () => {
+    const gigs = fakeModel(Gig);
+    mock.method(console, 'log', () => {});
+    const legacy = { _id: new mongoose.Types.ObjectId(), title: 'Old gig', isActive: true, isPaused: false };
+    gigs.docs.push(legacy);
+    const pending = gigs.insert({ title: 'New gig' });
+
+    await runMigrations();
+    await runMigrations();
+
+    assert.equal((await gigs.get(legacy._id)).status, 'approved');
+    assert.equal((await gigs.get(pending._id)).status, 'pending_review');
+  });
+});
@@ -0,0 +1,271 @@
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import mongoose from 'mongoose';
+import Order from '../src/models/Order.js';
+import User from '../src/models/User.js';
+import LedgerTransaction from '../src/models/LedgerTransaction.js';
+import OrderEvent from '../src/models/OrderEvent.js';
+import Notification from '../src/models/Notification.js';
+import paymentRoutes from '../src/routes/payments.js';
+import { setStripeClient } from '../src/utils/stripe.js';
+import { refundOrder, recordRefund, syncRefundsFromCharge } from '../src/utils/refunds.js';
+import { transitionOrder } from '../src/utils/orderStateMachine.js';
+import { ConflictError } from '../src/utils/errors.js';
+import { fakeModel } from './support/fakeModel.js';
+
+// Just enough of the Stripe client for refunds and webhooks
+const createStripeMock = () => {
+  const refunds = [];
+
+  return {
+    refunds: {
+      created: refunds,
+      create: mock.fn(async ({ payment_intent, amount, reason, metadata }) => {
+        const refund = { id: `re_${refunds.length + 1}`, payment_intent, amount, reason, metadata, status: 'succeeded' };
+        refunds.push(refund);
+        return refund;
+      }),
+      list: mock.fn(async ({ payment_intent }) => ({
+        data: refunds.filter(refund => refund.payment_intent === payment_intent)
+      }))
+    },
+    webhooks: {
+      constructEvent: (body, signature) => {
+        if (signature !== 'valid') throw new Error('Bad signature');
+        return JSON.parse(body.toString());
+      }
+    }
+  };
+};
+
+describe('refunds', () => {
+  let orders;
+  let stripe;
+  let buyer;
+  let seller;
+
+  const createOrder = (fields = {}) => orders.insert({
+    buyer: buyer._id,
+    seller: seller._id,
+    package: 'basic',
+    packageDetails: { title: 'Logo design', price: 100, deliveryTime: 3, revisions: 1 },
+    totalAmount: 105,
+    serviceFee: 5,
+    netAmount: 80,
+    paymentIntentId: 'pi_123',
+    paymentStatus: 'paid',
+    status: 'requirements_pending',
+    ...fields
+  });
+
+  beforeEach(() => {
+    orders = fakeModel(Order);
+    fakeModel(User);
+    fakeModel(LedgerTransaction);
+    fakeModel(OrderEvent);
+    fakeModel(Notification);
+
+    buyer = { _id: new mongoose.Types.ObjectId(), username: 'buyer' };
+    seller = { _id: new mongoose.Types.ObjectId(), username: 'seller' };
+
+    stripe = createStripeMock();
+    setStripeClient(stripe);
+  });
+
+  afterEach(() => {
+    setStripeClient(undefined);
+    mock.restoreAll();
+  });
+
+  test('cancelling a paid order refunds everything not yet refunded', async () => {
+    const order = createOrder();
+
+    const cancelled = await transitionOrder(order, 'cancel', { user: buyer, reason: 'Changed my mind' });
+
+    assert.equal(stripe.refunds.create.mock.callCount(), 1);
+    assert.deepEqual(stripe.refunds.create.mock.calls[0].arguments[0], {
+      payment_intent: 'pi_123',
+      amount: 10500,
+      metadata: { orderId: order._id.toString() }
+    });
+
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.paymentStatus, 'refunded');
+
+    const stored = await orders.get(order._id);
+    assert.equal(stored.status, 'cancelled');
+    assert.equal(stored.paymentStatus, 'refunded');
+    assert.equal(stored.refundedAmount, 105);
+    assert.deepEqual(stored.refunds.map(refund => refund.stripeRefundId), ['re_1']);
+  });
+
+  test('a failed refund leaves the order open', async () => {
+    const order = createOrder();
+    stripe.refunds.create.mock.mockImplementation(async () => {
+      throw new Error('Stripe is down');
+    });
+
+    await assert.rejects(transitionOrder(order, 'cancel', { user: buyer }), /Stripe is down/);
+
+    const stored = await orders.get(order._id);
+    assert.equal(stored.status, 'requirements_pending');
+    assert.equal(stored.paymentStatus, 'paid');
+    assert.equal(stored.cancellation?.requestedBy, undefined);
+    assert.ok(!stored.statusHistory.some(entry => entry.action === 'cancel'));
+  });
+
+  test('nothing is refunded when the order changed before the cancellation was claimed', async () => {
+    const order = createOrder();
+    await Order.updateOne({ _id: order._id }, { $set: { status: 'delivered' } });
+
+    await assert.rejects(transitionOrder(order, 'cancel', { user: buyer }), ConflictError);
+    assert.equal(stripe.refunds.create.mock.callCount(), 0);
+  });
+
+  test('buyers cannot cancel an order in progress that is on time', async () => {
+    const order = createOrder({ status: 'in_progress', deliveryDate: new Date(Date.now() + 60 * 60 * 1000) });
+
+    await assert.rejects(transitionOrder(order, 'cancel', { user: buyer }), { code: 'CANCEL_NOT_AVAILABLE' });
+    await assert.rejects(transitionOrder(order, 'cancel_late', { user: buyer }), { code: 'INVALID_TRANSITION' });
+    assert.equal(stripe.refunds.create.mock.callCount(), 0);
+
+    const stored = await orders.get(order._id);
+    assert.equal(stored.status, 'in_progress');
+  });
+
+  test('buyers can cancel a late order in progress once the grace period is over', async () => {
+    const now = new Date();
+    const order = createOrder({
+      status: 'in_progress',
+      lateDelivery: { isLate: true, flaggedAt: now, cancelAvailableAt: now }
+    });
+
+    const cancelled = await transitionOrder(order, 'cancel_late', { user: buyer, now });
+
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.paymentStatus, 'refunded');
+    assert.equal(stripe.refunds.create.mock.callCount(), 1);
+  });
+
+  test('sellers can still cancel an order in progress', async () => {
+    const order = createOrder({ status: 'in_progress' });
+
+    const cancelled = await transitionOrder(order, 'cancel', { user: seller });
+
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.paymentStatus, 'refunded');
+  });
+
+  test('delivered orders cannot be cancelled', async () => {
+    const order = createOrder({ status: 'delivered' });
+
+    await assert.rejects(transitionOrder(order, 'cancel', { user: buyer }), { code: 'INVALID_TRANSITION' });
+    assert.equal(stripe.refunds.create.mock.callCount(), 0);
+  });
+
+  test('partial refunds add up and reverse the seller\'s share of earnings', async () => {
+    const order = createOrder({ status: 'completed', sellerEarnings: 80 });
+
+    const afterFirst = await refundOrder(order, { amount: 42, requestedBy: buyer._id });
+    assert.equal(stripe.refunds.create.mock.calls[0].arguments[0].amount, 4200);
+    assert.equal(afterFirst.paymentStatus, 'partially_refunded');
+    assert.equal(afterFirst.refundedAmount, 42);
+    assert.equal(afterFirst.earningsReversed, 32);
+
+    const afterSecond = await refundOrder(afterFirst, { requestedBy: buyer._id });
+    assert.equal(stripe.refunds.create.mock.calls[1].arguments[0].amount, 6300);
+    assert.equal(afterSecond.paymentStatus, 'refunded');
+    assert.equal(afterSecond.refundedAmount, 105);
+    assert.equal(afterSecond.earningsReversed, 80);
+
+    await assert.rejects(refundOrder(afterSecond), { code: 'INVALID_TRANSITION' });
+  });
+
+  test('refunds more than what is left are refused before reaching Stripe', async () => {
+    const order = createOrder({ refundedAmount: 100, paymentStatus: 'partially_refunded' });
+
+    await assert.rejects(refundOrder(order, { amount: 10 }), { code: 'INVALID_REFUND_AMOUNT' });
+    assert.equal(stripe.refunds.create.mock.callCount(), 0);
+  });
+
+  test('each Stripe refund is recorded once', async () => {
+    const order = createOrder();
+
+    const first = await recordRefund(order, { stripeRefundId: 're_1', amount: 50 });
+    const repeat = await recordRefund(order, { stripeRefundId: 're_1', amount: 50 });
+
+    assert.equal(first.refundedAmount, 50);
+    assert.equal(repeat, null);
+
+    const stored = await orders.get(order._id);
+    assert.equal(stored.refundedAmount, 50);
+    assert.equal(stored.refunds.length, 1);
+    assert.equal(stored.paymentStatus, 'partially_refunded');
+  });
+
+  test('charge.refunded only records refunds the order doesn\'t have yet', async () => {
+    const order = createOrder();
+    await refundOrder(order, { amount: 5 });
+    stripe.refunds.created.push({ id: 're_dashboard', payment_intent: 'pi_123', amount: 2000, status: 'succeeded' });
+
+    const charge = { payment_intent: 'pi_123', refunds: { data: stripe.refunds.created } };
+
+    assert.equal(await syncRefundsFromCharge(charge), 1);
+    assert.equal(await syncRefundsFromCharge(charge), 0);
+
+    const stored = await orders.get(order._id);
+    assert.equal(stored.refundedAmount, 25);
+    assert.deepEqual(stored.refunds.map(refund => refund.stripeRefundId), ['re_1', 're_dashboard']);
+  });
+
+  describe('webhook', () => {
+    let server;
+    let url;
+
+    beforeEach(async () => {
+      const app = express();
+      app.use('/api/payments', paymentRoutes);
+      server = app.listen(0);
+      await new Promise(resolve => server.once('listening', resolve));
+      url = `http://127.0.0.1:${server.address().port}/api/payments/webhook`;
+      mock.method(console, 'error', () => {});
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    const send = (event, signature = 'valid') => fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'stripe-signature': signature },
+      body: JSON.stringify(event)
+    });
+
+    test('charge.refunded syncs refunds made in the Stripe dashboard', async () => {
+      const order = createOrder();
+      stripe.refunds.created.push({ id: 're_dashboard', payment_intent: 'pi_123', amount: 10500, status: 'succeeded' });
+
+      // Without the refunds on the charge, the handler lists them from Stripe
+      const event = { type: 'charge.refunded', data: { object: { payment_intent: 'pi_123' } } };
+
+      const response = await send(event);
+      assert.equal(response.status, 200);
+      assert.deepEqual(await response.json(), { received: true });
+      assert.equal(stripe.refunds.list.mock.callCount(), 1);
+
+      // Stripe retries webhooks; a repeat changes nothing
+      assert.equal((await send(event)).status, 200);
+
+      const stored = await orders.get(order._id);
+      assert.equal(stored.paymentStatus, 'refunded');
+      assert.equal(stored.refundedAmount, 105);
+      assert.equal(stored.refunds.length, 1);
+    });
+
+    test('rejects events without a valid signature', async () => {
+      const response = await send({ type: 'charge.refunded', data: { object: {} } }, 'forged');
+      assert.equal(response.status, 400);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import Job from '../src/models/Job.js';
+import { createScheduler } from '../src/jobs/scheduler.js';
+import { fakeModel } from './support/fakeModel.js';
+
+const MINUTE = 60 * 1000;
+
+describe('job scheduler', () => {
+  let jobs;
+  let time;
+  let scheduler;
+
+  const advance = (ms) => {
+    time = new Date(time.getTime() + ms);
+  };
+
+  beforeEach(() => {
+    jobs = fakeModel(Job);
+    time = new Date('2025-01-01T00:00:00Z');
+    scheduler = createScheduler({ now: () => time, lockTimeout: 10 * MINUTE });
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('runs jobs once they are due', async () => {
+    const runs = [];
+    scheduler.define('send', (data, { now }) => runs.push({ data, now }));
+    await scheduler.schedule('send', { to: 'a' }, new Date(time.getTime() + 5 * MINUTE));
+
+    assert.equal(await scheduler.runDue(), 0);
+
+    advance(5 * MINUTE);
+    assert.equal(await scheduler.runDue(), 1);
+    assert.deepEqual(runs, [{ data: { to: 'a' }, now: time }]);
+
+    const [job] = jobs.docs;
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(job.completedAt, time);
+    assert.equal(await scheduler.runDue(), 0);
+  });
+
+  test('ignores jobs nobody has defined a handler for', async () => {
+    await scheduler.schedule('unknown');
+
+    assert.equal(await scheduler.runDue(), 0);
+    assert.equal(jobs.docs[0].status, 'pending');
+  });
+
+  test('retries failed jobs with backoff until attempts run out', async () => {
+    let calls = 0;
+    scheduler.define('flaky', () => {
+      calls++;
+      throw new Error('boom');
+    });
+    await scheduler.schedule('flaky', {}, time, { maxAttempts: 3 });
+
+    await scheduler.runDue();
+    assert.equal(jobs.docs[0].status, 'pending');
+    assert.equal(jobs.docs[0].lastError, 'boom');
+    assert.deepEqual(jobs.docs[0].runAt, new Date(time.getTime() + MINUTE));
+
+    // Not due again until the backoff has passed
+    advance(MINUTE - 1);
+    assert.equal(await scheduler.runDue(), 0);
+
+    advance(1);
+    await scheduler.runDue();
+    assert.deepEqual(jobs.docs[0].runAt, new Date(time.getTime() + 2 * MINUTE));
+
+    advance(2 * MINUTE);
+    await scheduler.runDue();
+    assert.equal(calls, 3);
+    assert.equal(jobs.docs[0].status, 'failed');
+    assert.equal(jobs.docs[0].attempts, 3);
+  });
+
+  test('reschedules recurring jobs after each run, even failed ones', async () => {
+    let fail = true;
+    scheduler.define('sweep', () => {
+      if (fail) throw new Error('boom');
+    });
+    await scheduler.every('sweep', 15 * MINUTE);
+    await scheduler.every('sweep', 15 * MINUTE);
+    assert.equal(jobs.docs.length, 1);
+
+    await scheduler.runDue();
+    assert.equal(jobs.docs[0].status, 'pending');
+    assert.deepEqual(jobs.docs[0].runAt, new Date(time.getTime() + 15 * MINUTE));
+
+    fail = false;
+    advance(15 * MINUTE);
+    await scheduler.runDue();
+    assert.equal(jobs.docs[0].status, 'pending');
+    assert.equal(jobs.docs[0].attempts, 0);
+    assert.equal(jobs.docs[0].lastError, undefined);
+  });
+
+  test('leaves jobs locked by another worker alone until the lock goes stale', async () => {
+    const runs = [];
+    scheduler.define('send', (data) => runs.push(data.id));
+    jobs.insert({ name: 'send', data: { id: 1 }, runAt: time, status: 'running', lockedAt: time, attempts: 1 });
+
+    assert.equal(await scheduler.runDue(), 0);
+
+    advance(10 * MINUTE);
+    assert.equal(await scheduler.runDue(), 1);
+    assert.deepEqual(runs, [1]);
+    assert.equal(jobs.docs[0].status, 'completed');
+    assert.equal(jobs.docs[0].attempts, 2);
+  });
+
+  test('claims each job once when runs overlap', async () => {
+    const other = createScheduler({ now: () => time });
+    let release;
+    let runs = 0;
+    const handler = () => {
+      runs++;
+      return new Promise((resolve) => { release = resolve; });
+    };
+    scheduler.define('slow', handler);
+    other.define('slow', handler);
+    await scheduler.schedule('slow');
+
+    const first = scheduler.runDue();
+    await new Promise(setImmediate);
+
+    // The same scheduler joins the run in progress, another one finds nothing to claim
+    const joined = scheduler.runDue();
+    assert.equal(await other.runDue(), 0);
+
+    release();
+    assert.equal(await first, 1);
+    assert.equal(await joined, 1);
+    assert.equal(runs, 1);
+  });
+});
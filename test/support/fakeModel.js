@@ -0,0 +1,209 @@
+import { mock } from 'node:test';
+import mongoose from 'mongoose';
+
+// In-memory stand-in for a Mongoose model's collection, for tests that run
+// without a database. It covers the query and update operators the app uses
+// on the documents under test, not MongoDB as a whole.
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId);
+};
+
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, val]) => [key, clone(val)]));
+  }
+  return value;
+};
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  return value;
+};
+
+const equals = (a, b) => comparable(a ?? null) === comparable(b ?? null);
+
+// Every value at a dotted path, looking inside arrays along the way
+const valuesAt = (doc, path) => {
+  let values = [doc];
+  for (const key of path.split('.')) {
+    values = values.flatMap((value) => {
+      if (Array.isArray(value) && !/^\d+$/.test(key)) {
+        return value.map(item => item?.[key]);
+      }
+      return [value?.[key]];
+    });
+  }
+  return values.flatMap(value => (Array.isArray(value) ? [value, ...value] : [value]));
+};
+
+const compare = (values, test) => values.some(value => value != null && test(comparable(value)));
+
+const matchesCondition = (values, condition) => {
+  if (!isPlainObject(condition) || !Object.keys(condition).some(key => key.startsWith('$'))) {
+    return values.some(value => equals(value, condition));
+  }
+
+  return Object.entries(condition).every(([op, arg]) => {
+    switch (op) {
+      case '$ne': return !values.some(value => equals(value, arg));
+      case '$in': return arg.some(item => values.some(value => equals(value, item)));
+      case '$nin': return !arg.some(item => values.some(value => equals(value, item)));
+      case '$exists': return values.some(value => value !== undefined) === Boolean(arg);
+      case '$lt': return compare(values, value => value < comparable(arg));
+      case '$lte': return compare(values, value => value <= comparable(arg));
+      case '$gt': return compare(values, value => value > comparable(arg));
+      case '$gte': return compare(values, value => value >= comparable(arg));
+      default: throw new Error(`fakeModel: unsupported operator ${op}`);
+    }
+  });
+};
+
+export const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(part => matches(doc, part));
+  if (key === '$and') return condition.every(part => matches(doc, part));
+  return matchesCondition(valuesAt(doc, key), condition);
+});
+
+const parentOf = (doc, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let parent = doc;
+  for (const key of keys) {
+    if (parent[key] === undefined) parent[key] = {};
+    parent = parent[key];
+  }
+  return [parent, last];
+};
+
+const applyUpdate = (doc, update) => {
+  const { $set = {}, $unset = {}, $inc = {}, $push = {}, $pull = {}, $addToSet = {}, ...fields } = update;
+
+  Object.entries({ ...fields, ...$set }).forEach(([path, value]) => {
+    if (path.startsWith('$')) return;
+    const [parent, key] = parentOf(doc, path);
+    parent[key] = clone(value);
+  });
+  Object.keys($unset).forEach((path) => {
+    const [parent, key] = parentOf(doc, path);
+    delete parent[key];
+  });
+  Object.entries($inc).forEach(([path, amount]) => {
+    const [parent, key] = parentOf(doc, path);
+    parent[key] = (parent[key] || 0) + amount;
+  });
+  Object.entries($push).forEach(([path, value]) => {
+    const [parent, key] = parentOf(doc, path);
+    parent[key] = [...(parent[key] || []), ...(value?.$each || [value]).map(clone)];
+  });
+  Object.entries($addToSet).forEach(([path, value]) => {
+    const [parent, key] = parentOf(doc, path);
+    const list = parent[key] || [];
+    parent[key] = list.some(item => equals(item, value)) ? list : [...list, clone(value)];
+  });
+  Object.entries($pull).forEach(([path, criteria]) => {
+    const [parent, key] = parentOf(doc, path);
+    parent[key] = (parent[key] || []).filter(item => (
+      isPlainObject(criteria) ? !matches(item, criteria) : !equals(item, criteria)
+    ));
+  });
+};
+
+// Resolves like a query and ignores the chained options the tests don't need
+const query = (run) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject),
+    exec: () => Promise.resolve().then(run)
+  };
+  ['select', 'populate', 'sort', 'skip', 'limit', 'lean', 'session'].forEach((method) => {
+    chain[method] = () => chain;
+  });
+  return chain;
+};
+
+// Replace the model's database calls with an in-memory collection. Mocks are
+// undone by mock.restoreAll() (or the test's own mock tracker).
+export const fakeModel = (Model, { tracker = mock } = {}) => {
+  const docs = [];
+
+  const toDoc = (raw) => raw && Model.hydrate(clone(raw));
+  const store = (doc) => {
+    const raw = doc.toObject({ depopulate: true });
+    const index = docs.findIndex(item => equals(item._id, raw._id));
+    if (index === -1) docs.push(raw); else docs[index] = raw;
+    return raw;
+  };
+
+  const findRaw = (filter, options = {}) => {
+    const found = docs.filter(doc => matches(doc, filter));
+    if (options.sort) {
+      const [[field, direction]] = Object.entries(options.sort);
+      found.sort((a, b) => (comparable(a[field]) > comparable(b[field]) ? direction : -direction));
+    }
+    return found;
+  };
+
+  const upsert = (filter, update) => {
+    const raw = new Model(Object.fromEntries(
+      Object.entries(filter).filter(([key, value]) => !key.startsWith('$') && !isPlainObject(value))
+    )).toObject();
+    const { $setOnInsert, ...rest } = update;
+    applyUpdate(raw, { ...rest, $set: { ...rest.$set, ...$setOnInsert } });
+    docs.push(raw);
+    return raw;
+  };
+
+  const updateFirst = (filter, update, options = {}) => {
+    const [raw] = findRaw(filter, options);
+    if (!raw) {
+      return options.upsert ? { raw: upsert(filter, update), before: null, upserted: true } : null;
+    }
+    const before = clone(raw);
+    applyUpdate(raw, update);
+    return { raw, before };
+  };
+
+  tracker.method(Model, 'create', async (data) => {
+    if (Array.isArray(data)) return data.map(item => toDoc(store(new Model(item))));
+    return toDoc(store(new Model(data)));
+  });
+  tracker.method(Model, 'findOne', (filter) => query(() => toDoc(findRaw(filter)[0])));
+  tracker.method(Model, 'findById', (id) => query(() => toDoc(findRaw({ _id: id })[0])));
+  tracker.method(Model, 'find', (filter) => query(() => findRaw(filter).map(toDoc)));
+  tracker.method(Model, 'exists', (filter) => query(() => (findRaw(filter)[0] ? { _id: findRaw(filter)[0]._id } : null)));
+  tracker.method(Model, 'countDocuments', (filter) => query(() => findRaw(filter).length));
+  tracker.method(Model, 'findOneAndUpdate', (filter, update, options = {}) => query(() => {
+    const result = updateFirst(filter, update, options);
+    if (!result) return null;
+    return toDoc(options.new ? result.raw : result.before);
+  }));
+  tracker.method(Model, 'findByIdAndUpdate', (id, update, options = {}) => {
+    return Model.findOneAndUpdate({ _id: id }, update, options);
+  });
+  tracker.method(Model, 'updateOne', (filter, update, options = {}) => query(() => {
+    const result = updateFirst(filter, update, options);
+    return { matchedCount: result && !result.upserted ? 1 : 0, modifiedCount: result ? 1 : 0 };
+  }));
+  tracker.method(Model, 'updateMany', (filter, update) => query(() => {
+    const found = findRaw(filter);
+    found.forEach(raw => applyUpdate(raw, update));
+    return { matchedCount: found.length, modifiedCount: found.length };
+  }));
+  tracker.method(Model.prototype, 'save', async function() {
+    store(this);
+    return this;
+  });
+  tracker.method(Model.prototype, 'populate', async function() {
+    return this;
+  });
+
+  return {
+    docs,
+    insert: (data) => toDoc(store(new Model(data))),
+    get: (id) => toDoc(findRaw({ _id: id })[0])
+  };
+};
@@ -0,0 +1,131 @@
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import bcrypt from 'bcryptjs';
+import User from '../src/models/User.js';
+import Notification from '../src/models/Notification.js';
+import { createLoginThrottle, setLoginThrottle } from '../src/utils/loginThrottle.js';
+import { setMailTransport } from '../src/utils/mailer.js';
+import { generateCode, generateSecret, getCounter } from '../src/utils/totp.js';
+import { verifyStepUpCode } from '../src/utils/twoFactor.js';
+import { TooManyRequestsError } from '../src/utils/errors.js';
+import authRoutes from '../src/routes/auth.js';
+import { errorHandler } from '../src/middleware/errorHandler.js';
+import { fakeModel } from './support/fakeModel.js';
+
+const MINUTE = 60 * 1000;
+
+describe('two-factor step-up', () => {
+  let users;
+  let notifications;
+  let mail;
+  let time;
+  let user;
+  let secret;
+
+  const req = { ip: '203.0.113.7' };
+  const currentCode = () => generateCode(secret, getCounter(new Date()));
+
+  beforeEach(() => {
+    users = fakeModel(User);
+    notifications = fakeModel(Notification);
+
+    time = new Date('2025-01-01T00:00:00Z');
+    setLoginThrottle(createLoginThrottle({ clock: () => time, maxAccountFailures: 3 }));
+
+    mail = { sendMail: mock.fn(async () => ({})) };
+    setMailTransport(mail);
+
+    secret = generateSecret();
+    user = users.insert({
+      username: 'seller',
+      email: 'seller@example.com',
+      password: 'secret-password',
+      fullName: 'Seller',
+      twoFactor: { enabled: true, secret }
+    });
+  });
+
+  afterEach(() => {
+    setLoginThrottle(undefined);
+    setMailTransport(undefined);
+    mock.restoreAll();
+  });
+
+  test('accepts a current code', async () => {
+    assert.equal(await verifyStepUpCode(req, user, currentCode()), 'totp');
+  });
+
+  test('locks the account after too many wrong codes, even for the right one', async () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      assert.equal(await verifyStepUpCode(req, user, '000000'), null);
+      time = new Date(time.getTime() + MINUTE);
+    }
+
+    await assert.rejects(verifyStepUpCode(req, user, currentCode()), (error) => {
+      assert.ok(error instanceof TooManyRequestsError);
+      assert.equal(error.code, 'LOGIN_LOCKED');
+      return true;
+    });
+
+    // The owner hears about the lockout once
+    assert.equal(notifications.docs.length, 1);
+    assert.equal(notifications.docs[0].type, 'security_alert');
+    assert.equal(mail.sendMail.mock.callCount(), 1);
+
+    time = new Date(time.getTime() + 15 * MINUTE);
+    assert.equal(await verifyStepUpCode(req, user, currentCode()), 'totp');
+  });
+
+  describe('login', () => {
+    let server;
+    let url;
+
+    beforeEach(async () => {
+      process.env.JWT_SECRET = 'test-secret';
+      await User.updateOne({ _id: user._id }, { password: bcrypt.hashSync('secret-password', 4) });
+
+      const app = express();
+      app.use(express.json());
+      app.use('/api/auth', authRoutes);
+      app.use(errorHandler);
+      server = app.listen(0);
+      await new Promise(resolve => server.once('listening', resolve));
+      url = `http://127.0.0.1:${server.address().port}/api/auth`;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    const post = async (path, body) => {
+      time = new Date(time.getTime() + MINUTE);
+      const response = await fetch(`${url}${path}`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    const logIn = async () => {
+      const { status, body } = await post('/login', { email: 'seller@example.com', password: 'secret-password' });
+      assert.equal(status, 200);
+      assert.equal(body.twoFactorRequired, true);
+      return body.challengeToken;
+    };
+
+    test('logging in again does not reset the count of wrong codes', async () => {
+      let challengeToken = await logIn();
+      assert.equal((await post('/login/2fa', { challengeToken, code: '000000' })).status, 401);
+      assert.equal((await post('/login/2fa', { challengeToken, code: '000000' })).status, 401);
+
+      challengeToken = await logIn();
+      assert.equal((await post('/login/2fa', { challengeToken, code: '000000' })).status, 401);
+
+      const locked = await post('/login/2fa', { challengeToken, code: currentCode() });
+      assert.equal(locked.status, 429);
+      assert.equal(locked.body.code, 'LOGIN_LOCKED');
+    });
+  });
+});